@@ -1,13 +1,16 @@
-import React, { useEffect, useState } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useEffect, useMemo, useState } from 'react';
+import { NavigationContainer, DefaultTheme, DarkTheme } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import { createBottomTabNavigator, BottomTabBar } from '@react-navigation/bottom-tabs';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { Text, View, LogBox, ActivityIndicator, Platform } from 'react-native';
 import * as SplashScreen from 'expo-splash-screen';
 import { registerRootComponent } from 'expo';
-import { COLORS } from './src/utils/theme';
+import TrackPlayer from 'react-native-track-player';
+// The error boundary and startup views render outside the ThemeProvider,
+// so they use the light palette directly
+import { LIGHT_COLORS as COLORS, ThemeProvider, useTheme } from './src/theme';
 
 // Make Platform available globally to fix reference errors
 global.Platform = Platform;
@@ -21,11 +24,22 @@ import SearchScreen from './src/screens/SearchScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
 import PeopleScreen from './src/screens/PeopleScreen';
 import PersonDetailScreen from './src/screens/PersonDetailScreen';
+import InboxScreen from './src/screens/InboxScreen';
+import UpNextScreen from './src/screens/UpNextScreen';
+import StreamsScreen from './src/screens/StreamsScreen';
 
 // Import components
 import NetworkStatusBar from './src/components/NetworkStatusBar';
+import MiniPlayer from './src/components/MiniPlayer';
 import AppIcon from './src/components/AppIcon';
 import DiagnosticScreen from './src/components/DiagnosticScreen';
+import LoadingIndicator from './src/components/LoadingIndicator';
+
+// Import services
+import playbackService from './src/services/playbackService';
+import { linking } from './src/utils/deepLinking';
+// Loaded at startup so show reminders follow calendar changes
+import './src/services/reminderService';
 
 // Prevent splash screen from auto-hiding
 SplashScreen.preventAutoHideAsync().catch(() => {
@@ -52,9 +66,9 @@ class ErrorBoundary extends React.Component {
     if (this.state.hasError) {
       return (
         <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20, backgroundColor: COLORS.BACKGROUND }}>
-          <Text style={{ fontSize: 20, fontWeight: 'bold', marginBottom: 10, color: COLORS.TEXT_DARK }}>Something went wrong!</Text>
-          <Text style={{ marginBottom: 20, color: COLORS.ERROR }}>{this.state.error?.toString() || 'Unknown error'}</Text>
-          <Text style={{ fontSize: 16, color: COLORS.TEXT_MEDIUM }}>Please restart the app</Text>
+          <Text style={{ fontSize: 20, fontWeight: 'bold', marginBottom: 10, color: COLORS.TEXT }}>Something went wrong!</Text>
+          <Text style={{ marginBottom: 20, color: COLORS.TEXT_DANGER }}>{this.state.error?.toString() || 'Unknown error'}</Text>
+          <Text style={{ fontSize: 16, color: COLORS.TEXT_MUTED }}>Please restart the app</Text>
         </View>
       );
     }
@@ -66,202 +80,297 @@ const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
 // Main stack navigator for each tab
-const ShowsStack = () => (
-  <Stack.Navigator
-    screenOptions={{
-      headerStyle: {
-        backgroundColor: COLORS.PRIMARY,
-        height: 48, // Reduce header height from 56 to 48
-      },
-      headerTitleAlign: 'center', // Center the title
-      headerTintColor: COLORS.TEXT_LIGHT,
-      headerBackTitle: 'Back',
-      headerTitleStyle: {
-        fontSize: 18, // Slightly smaller font size
-      },
-      contentStyle: {
-        paddingTop: 0, // Remove any top padding in the content
-      },
-    }}
-  >
-    <Stack.Screen 
-      name="ShowsList" 
-      component={HomeScreen} 
-      options={{ 
-        title: 'TWiT Shows',
-        headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
-      }} 
-    />
-    <Stack.Screen 
-      name="ShowDetail" 
-      component={ShowDetailScreen} 
-      options={({ route }) => ({ title: route.params?.title || 'Show Details' })} 
-    />
-    <Stack.Screen 
-      name="EpisodeDetail" 
-      component={EpisodeDetailScreen} 
-      options={({ route }) => ({ title: route.params?.title || 'Episode Details' })} 
-    />
-  </Stack.Navigator>
-);
-
-const ScheduleStack = () => (
-  <Stack.Navigator
-    screenOptions={{
-      headerStyle: {
-        backgroundColor: COLORS.PRIMARY,
-        height: 56, // Reduce the header height
-      },
-      headerTitleAlign: 'center', // Center the title
-      headerTintColor: COLORS.TEXT_LIGHT,
-      headerBackTitle: 'Back',
-    }}
-  >
-    <Stack.Screen 
-      name="ScheduleView" 
-      component={ScheduleScreen} 
-      options={{ 
-        title: 'Schedule',
-        headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
-      }} 
-    />
-  </Stack.Navigator>
-);
+const ShowsStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: colors.NAV_BACKGROUND,
+          height: 48, // Reduce header height from 56 to 48
+        },
+        headerTitleAlign: 'center', // Center the title
+        headerTintColor: colors.ON_NAV,
+        headerBackTitle: 'Back',
+        headerTitleStyle: {
+          fontSize: 18, // Slightly smaller font size
+        },
+        contentStyle: {
+          paddingTop: 0, // Remove any top padding in the content
+        },
+      }}
+    >
+      <Stack.Screen 
+        name="ShowsList" 
+        component={HomeScreen} 
+        options={{ 
+          title: 'TWiT Shows',
+          headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+        }} 
+      />
+      <Stack.Screen 
+        name="ShowDetail" 
+        component={ShowDetailScreen} 
+        options={({ route }) => ({ title: route.params?.title || 'Show Details' })} 
+      />
+      <Stack.Screen 
+        name="EpisodeDetail" 
+        component={EpisodeDetailScreen} 
+        options={({ route }) => ({ title: route.params?.title || 'Episode Details' })} 
+      />
+      <Stack.Screen 
+        name="UpNext" 
+        component={UpNextScreen} 
+        options={{ title: 'Up Next' }} 
+      />
+      <Stack.Screen 
+        name="Inbox" 
+        component={InboxScreen} 
+        options={{ title: 'New Episodes' }} 
+      />
+    </Stack.Navigator>
+  );
+};
+
+const LiveStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: colors.NAV_BACKGROUND,
+          height: 56, // Reduce the header height
+        },
+        headerTitleAlign: 'center', // Center the title
+        headerTintColor: colors.ON_NAV,
+        headerBackTitle: 'Back',
+      }}
+    >
+      <Stack.Screen 
+        name="LiveStreams" 
+        component={StreamsScreen} 
+        options={{ 
+          title: 'Live',
+          headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+        }} 
+      />
+    </Stack.Navigator>
+  );
+};
+
+const ScheduleStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: colors.NAV_BACKGROUND,
+          height: 56, // Reduce the header height
+        },
+        headerTitleAlign: 'center', // Center the title
+        headerTintColor: colors.ON_NAV,
+        headerBackTitle: 'Back',
+      }}
+    >
+      <Stack.Screen 
+        name="ScheduleView" 
+        component={ScheduleScreen} 
+        options={{ 
+          title: 'Schedule',
+          headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+        }} 
+      />
+      <Stack.Screen 
+        name="ShowDetail" 
+        component={ShowDetailScreen} 
+        options={({ route }) => ({ title: route.params?.title || 'Show Details' })} 
+      />
+      <Stack.Screen 
+        name="EpisodeDetail" 
+        component={EpisodeDetailScreen} 
+        options={({ route }) => ({ title: route.params?.title || 'Episode Details' })} 
+      />
+      <Stack.Screen 
+        name="UpNext" 
+        component={UpNextScreen} 
+        options={{ title: 'Up Next' }} 
+      />
+    </Stack.Navigator>
+  );
+};
 
 // People stack for the people tab
-const PeopleStack = () => (
-  <Stack.Navigator
-    screenOptions={{
-      headerStyle: {
-        backgroundColor: COLORS.PRIMARY,
-        height: 56, // Reduce the header height
-      },
-      headerTitleAlign: 'center', // Center the title
-      headerTintColor: COLORS.TEXT_LIGHT,
-      headerBackTitle: 'Back',
-    }}
-  >
-    <Stack.Screen
-      name="PeopleList"
-      component={PeopleScreen}
-      options={{ 
-        title: 'People',
-        headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+const PeopleStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: colors.NAV_BACKGROUND,
+          height: 56, // Reduce the header height
+        },
+        headerTitleAlign: 'center', // Center the title
+        headerTintColor: colors.ON_NAV,
+        headerBackTitle: 'Back',
       }}
-    />
-    <Stack.Screen
-      name="PersonDetail"
-      component={PersonDetailScreen}
-      options={({ route }) => ({
-        title: route.params?.name || 'Person Detail',
-      })}
-    />
-    <Stack.Screen 
-      name="EpisodeDetail" 
-      component={EpisodeDetailScreen} 
-      options={({ route }) => ({ title: route.params?.title || 'Episode Details' })} 
-    />
-  </Stack.Navigator>
-);
-
-const SearchStack = () => (
-  <Stack.Navigator
-    screenOptions={{
-      headerStyle: {
-        backgroundColor: COLORS.PRIMARY,
-        height: 56, // Reduce the header height
-      },
-      headerTitleAlign: 'center', // Center the title
-      headerTintColor: COLORS.TEXT_LIGHT,
-      headerBackTitle: 'Back',
-    }}
-  >
-    <Stack.Screen 
-      name="SearchContent" 
-      component={SearchScreen} 
-      options={{ 
-        title: 'Search',
-        headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
-      }} 
-    />
-    <Stack.Screen 
-      name="ShowDetail" 
-      component={ShowDetailScreen} 
-      options={({ route }) => ({ title: route.params?.title || 'Show Details' })} 
-    />
-    <Stack.Screen 
-      name="EpisodeDetail" 
-      component={EpisodeDetailScreen} 
-      options={({ route }) => ({ title: route.params?.title || 'Episode Details' })} 
-    />
-  </Stack.Navigator>
-);
-
-const SettingsStack = () => (
-  <Stack.Navigator
-    screenOptions={{
-      headerStyle: {
-        backgroundColor: COLORS.PRIMARY,
-        height: 56, // Reduce the header height
-      },
-      headerTitleAlign: 'center', // Center the title
-      headerTintColor: COLORS.TEXT_LIGHT,
-      headerBackTitle: 'Back',
-    }}
-  >
-    <Stack.Screen 
-      name="SettingsScreen" 
-      component={SettingsScreen} 
-      options={{ 
-        title: 'Settings',
-        headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
-      }} 
-    />
-    <Stack.Screen 
-      name="DiagnosticScreen" 
-      component={DiagnosticScreen} 
-      options={{ 
-        title: 'Diagnostics',
-        headerTintColor: '#ff0000'
-      }} 
-    />
-  </Stack.Navigator>
-);
+    >
+      <Stack.Screen
+        name="PeopleList"
+        component={PeopleScreen}
+        options={{ 
+          title: 'People',
+          headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+        }}
+      />
+      <Stack.Screen
+        name="PersonDetail"
+        component={PersonDetailScreen}
+        options={({ route }) => ({
+          title: route.params?.name || 'Person Detail',
+        })}
+      />
+      <Stack.Screen 
+        name="EpisodeDetail" 
+        component={EpisodeDetailScreen} 
+        options={({ route }) => ({ title: route.params?.title || 'Episode Details' })} 
+      />
+      <Stack.Screen 
+        name="UpNext" 
+        component={UpNextScreen} 
+        options={{ title: 'Up Next' }} 
+      />
+    </Stack.Navigator>
+  );
+};
+
+const SearchStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: colors.NAV_BACKGROUND,
+          height: 56, // Reduce the header height
+        },
+        headerTitleAlign: 'center', // Center the title
+        headerTintColor: colors.ON_NAV,
+        headerBackTitle: 'Back',
+      }}
+    >
+      <Stack.Screen 
+        name="SearchContent" 
+        component={SearchScreen} 
+        options={{ 
+          title: 'Search',
+          headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+        }} 
+      />
+      <Stack.Screen 
+        name="ShowDetail" 
+        component={ShowDetailScreen} 
+        options={({ route }) => ({ title: route.params?.title || 'Show Details' })} 
+      />
+      <Stack.Screen
+        name="PersonDetail"
+        component={PersonDetailScreen}
+        options={({ route }) => ({
+          title: route.params?.name || 'Person Detail',
+        })}
+      />
+      <Stack.Screen 
+        name="EpisodeDetail" 
+        component={EpisodeDetailScreen} 
+        options={({ route }) => ({ title: route.params?.title || 'Episode Details' })} 
+      />
+      <Stack.Screen 
+        name="UpNext" 
+        component={UpNextScreen} 
+        options={{ title: 'Up Next' }} 
+      />
+    </Stack.Navigator>
+  );
+};
+
+const SettingsStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: colors.NAV_BACKGROUND,
+          height: 56, // Reduce the header height
+        },
+        headerTitleAlign: 'center', // Center the title
+        headerTintColor: colors.ON_NAV,
+        headerBackTitle: 'Back',
+      }}
+    >
+      <Stack.Screen 
+        name="SettingsScreen" 
+        component={SettingsScreen} 
+        options={{ 
+          title: 'Settings',
+          headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+        }} 
+      />
+      <Stack.Screen 
+        name="DiagnosticScreen" 
+        component={DiagnosticScreen} 
+        options={{ 
+          title: 'Diagnostics',
+        }} 
+      />
+    </Stack.Navigator>
+  );
+};
 
 // Diagnostic stack for troubleshooting
-const DiagnosticStack = () => (
-  <Stack.Navigator
-    screenOptions={{
-      headerStyle: {
-        backgroundColor: COLORS.PRIMARY,
-        height: 56, // Reduce the header height
-      },
-      headerTitleAlign: 'center', // Center the title
-      headerTintColor: COLORS.TEXT_LIGHT,
-    }}
-  >
-    <Stack.Screen 
-      name="DiagnosticScreen" 
-      component={DiagnosticScreen} 
-      options={{ 
-        title: 'Diagnostics',
-        headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
-      }} 
-    />
-  </Stack.Navigator>
-);
+const DiagnosticStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: colors.NAV_BACKGROUND,
+          height: 56, // Reduce the header height
+        },
+        headerTitleAlign: 'center', // Center the title
+        headerTintColor: colors.ON_NAV,
+      }}
+    >
+      <Stack.Screen 
+        name="DiagnosticScreen" 
+        component={DiagnosticScreen} 
+        options={{ 
+          title: 'Diagnostics',
+          headerLeft: () => <AppIcon size={30} showText={false} style={{ marginLeft: 15, marginRight: 10 }} />
+        }} 
+      />
+    </Stack.Navigator>
+  );
+};
 
 // Tab navigator
 const TabNavigator = () => {
+  const { colors } = useTheme();
   console.log('Rendering TabNavigator');
   return (
     <Tab.Navigator
+      // The mini-player lives in the tab bar so it survives tab switches
+      tabBar={props => (
+        <View>
+          <MiniPlayer navigation={props.navigation} state={props.state} />
+          <BottomTabBar {...props} />
+        </View>
+      )}
       screenOptions={({ route }) => ({
         tabBarIcon: ({ focused, color, size }) => {
           let iconName;
 
           if (route.name === 'Shows') {
             iconName = focused ? 'tv' : 'tv-outline';
+          } else if (route.name === 'Live') {
+            iconName = focused ? 'radio' : 'radio-outline';
           } else if (route.name === 'Schedule') {
             iconName = focused ? 'calendar' : 'calendar-outline';
           } else if (route.name === 'People') {
@@ -274,18 +383,18 @@ const TabNavigator = () => {
 
           return <Ionicons name={iconName} size={size} color={color} />;
         },
-        tabBarActiveTintColor: COLORS.SECONDARY,
-        tabBarInactiveTintColor: COLORS.TAB_INACTIVE,
+        tabBarActiveTintColor: colors.HIGHLIGHT,
+        tabBarInactiveTintColor: colors.ON_NAV_MUTED,
         tabBarStyle: {
-          backgroundColor: COLORS.PRIMARY,
-          borderTopColor: COLORS.PRIMARY_LIGHT,
+          backgroundColor: colors.NAV_BACKGROUND,
+          borderTopColor: colors.NAV_BORDER,
         },
         headerStyle: {
-          backgroundColor: COLORS.PRIMARY,
-          borderBottomColor: COLORS.PRIMARY_LIGHT,
+          backgroundColor: colors.NAV_BACKGROUND,
+          borderBottomColor: colors.NAV_BORDER,
           borderBottomWidth: 1,
         },
-        headerTintColor: COLORS.TEXT_LIGHT,
+        headerTintColor: colors.ON_NAV,
       })}
     >
       <Tab.Screen 
@@ -293,6 +402,11 @@ const TabNavigator = () => {
         component={ShowsStack} 
         options={{ headerShown: false }}
       />
+      <Tab.Screen 
+        name="Live" 
+        component={LiveStack} 
+        options={{ headerShown: false }}
+      />
       <Tab.Screen 
         name="Schedule" 
         component={ScheduleStack} 
@@ -317,6 +431,37 @@ const TabNavigator = () => {
   );
 };
 
+// Navigation container using the active theme for screen backgrounds
+const ThemedNavigation = () => {
+  const { colors, isDark } = useTheme();
+
+  const navigationTheme = useMemo(() => {
+    const baseTheme = isDark ? DarkTheme : DefaultTheme;
+    return {
+      ...baseTheme,
+      colors: {
+        ...baseTheme.colors,
+        primary: colors.HIGHLIGHT,
+        background: colors.BACKGROUND,
+        card: colors.NAV_BACKGROUND,
+        text: colors.ON_NAV,
+        border: colors.NAV_BORDER,
+      },
+    };
+  }, [colors, isDark]);
+
+  return (
+    <NavigationContainer
+      theme={navigationTheme}
+      linking={linking}
+      fallback={<LoadingIndicator message="Opening link..." />}
+    >
+      <TabNavigator />
+      <NetworkStatusBar />
+    </NavigationContainer>
+  );
+};
+
 const App = () => {
   const [appIsReady, setAppIsReady] = useState(false);
   const [appError, setAppError] = useState(null);
@@ -369,7 +514,7 @@ const App = () => {
     return (
       <View style={{ flex: 1, alignItems: 'center', justifyContent: 'center', backgroundColor: COLORS.BACKGROUND }}>
         <ActivityIndicator size="large" color={COLORS.CTA} />
-        <Text style={{ marginTop: 10, color: COLORS.TEXT_MEDIUM }}>Loading...</Text>
+        <Text style={{ marginTop: 10, color: COLORS.TEXT_MUTED }}>Loading...</Text>
       </View>
     );
   }
@@ -377,9 +522,9 @@ const App = () => {
   if (appError) {
     return (
       <View style={{ flex: 1, alignItems: 'center', justifyContent: 'center', padding: 20, backgroundColor: COLORS.BACKGROUND }}>
-        <Text style={{ fontSize: 20, fontWeight: 'bold', marginBottom: 10, color: COLORS.TEXT_DARK }}>App Error</Text>
-        <Text style={{ marginBottom: 20, color: COLORS.ERROR }}>{appError.toString()}</Text>
-        <Text style={{ fontSize: 16, color: COLORS.TEXT_MEDIUM }}>Please restart the app</Text>
+        <Text style={{ fontSize: 20, fontWeight: 'bold', marginBottom: 10, color: COLORS.TEXT }}>App Error</Text>
+        <Text style={{ marginBottom: 20, color: COLORS.TEXT_DANGER }}>{appError.toString()}</Text>
+        <Text style={{ fontSize: 16, color: COLORS.TEXT_MUTED }}>Please restart the app</Text>
       </View>
     );
   }
@@ -387,10 +532,9 @@ const App = () => {
   return (
     <ErrorBoundary>
       <SafeAreaProvider>
-        <NavigationContainer>
-          <TabNavigator />
-          <NetworkStatusBar />
-        </NavigationContainer>
+        <ThemeProvider>
+          <ThemedNavigation />
+        </ThemeProvider>
       </SafeAreaProvider>
     </ErrorBoundary>
   );
@@ -398,4 +542,7 @@ const App = () => {
 
 registerRootComponent(App);
 
+// Lock-screen and notification controls for background audio
+TrackPlayer.registerPlaybackService(() => playbackService);
+
 export default App;
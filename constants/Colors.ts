@@ -1,26 +1,26 @@
 /**
- * Below are the colors that are used in the app. The colors are defined in the light and dark mode.
- * There are many other ways to style your app. For example, [Nativewind](https://www.nativewind.dev/), [Tamagui](https://tamagui.dev/), [unistyles](https://reactnativeunistyles.vercel.app), etc.
+ * Colours for the Expo Router template screens (app/, components/Themed*),
+ * taken from the app's design tokens so both UIs share one palette.
+ * The TWiT app itself reads the full token set through src/theme.
  */
 
-const tintColorLight = '#0a7ea4';
-const tintColorDark = '#fff';
+import { DARK_COLORS, LIGHT_COLORS } from '@/src/theme/tokens';
 
 export const Colors = {
   light: {
-    text: '#11181C',
-    background: '#fff',
-    tint: tintColorLight,
-    icon: '#687076',
-    tabIconDefault: '#687076',
-    tabIconSelected: tintColorLight,
+    text: LIGHT_COLORS.TEXT,
+    background: LIGHT_COLORS.BACKGROUND,
+    tint: LIGHT_COLORS.TEXT_LINK,
+    icon: LIGHT_COLORS.TEXT_MUTED,
+    tabIconDefault: LIGHT_COLORS.TEXT_MUTED,
+    tabIconSelected: LIGHT_COLORS.TEXT_LINK,
   },
   dark: {
-    text: '#ECEDEE',
-    background: '#151718',
-    tint: tintColorDark,
-    icon: '#9BA1A6',
-    tabIconDefault: '#9BA1A6',
-    tabIconSelected: tintColorDark,
+    text: DARK_COLORS.TEXT,
+    background: DARK_COLORS.BACKGROUND,
+    tint: DARK_COLORS.TEXT_LINK,
+    icon: DARK_COLORS.TEXT_MUTED,
+    tabIconDefault: DARK_COLORS.TEXT_MUTED,
+    tabIconSelected: DARK_COLORS.TEXT_LINK,
   },
 };
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Checks every text and background pair in CONTRAST_PAIRS (src/theme/tokens.js)
+ * against WCAG AA in both the light and dark palettes.
+ * Exits with status 1 when a pair falls below 4.5:1.
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+// Run through `npm run check:contrast`, so the working directory is the project root
+const themeDir = path.join(process.cwd(), "src", "theme");
+const load = (file) => import(pathToFileURL(path.join(themeDir, file)).href);
+
+(async () => {
+  const { LIGHT_COLORS, DARK_COLORS, CONTRAST_PAIRS } = await load("tokens.js");
+  const { findContrastIssues, WCAG_AA } = await load("contrast.js");
+
+  let failures = 0;
+  for (const [name, palette] of [["light", LIGHT_COLORS], ["dark", DARK_COLORS]]) {
+    const issues = findContrastIssues(palette, CONTRAST_PAIRS);
+    issues.forEach(({ text, background, ratio }) => {
+      console.error(
+        `✗ ${name}: ${text} (${palette[text]}) on ${background} (${palette[background]}) is ${ratio.toFixed(2)}:1, needs ${WCAG_AA}:1`
+      );
+    });
+    failures += issues.length;
+    console.log(`${name}: ${CONTRAST_PAIRS.length - issues.length}/${CONTRAST_PAIRS.length} pairs pass WCAG AA`);
+  }
+
+  if (failures > 0) {
+    process.exit(1);
+  }
+})().catch((error) => {
+  console.error(`Contrast check failed: ${error.message}`);
+  process.exit(1);
+});
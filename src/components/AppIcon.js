@@ -1,12 +1,13 @@
 import React from 'react';
 import { View, Text, StyleSheet, Image } from 'react-native';
-import { COLORS } from '../utils/theme';
+import { useThemedStyles } from '../theme';
 
 /**
  * A simple app icon component that displays the TWiT logo
  * Can be used as a placeholder or in headers
  */
 const AppIcon = ({ size = 40, showText = true, style }) => {
+  const styles = useThemedStyles(createStyles);
   return (
     <View style={[styles.container, style]}>
       <Image 
@@ -25,7 +26,7 @@ const AppIcon = ({ size = 40, showText = true, style }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -34,7 +35,7 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontSize: 18,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
   }
 });
 
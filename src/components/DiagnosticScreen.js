@@ -3,16 +3,29 @@ import { View, Text, StyleSheet, Button, ScrollView } from 'react-native';
 import { API_CREDENTIALS } from '../config/credentials';
 import apiService from '../services/api';
 import cacheManager from '../utils/cacheManager';
+import { RADII, useThemedStyles } from '../theme';
+
+// Format a duration in ms as a compact string (e.g. 10m, 1d)
+const formatDuration = (ms) => {
+  if (ms == null) return 'no limit';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+};
 
 /**
  * A diagnostic screen to help troubleshoot API and other issues
  */
 const DiagnosticScreen = () => {
+  const styles = useThemedStyles(createStyles);
   const [isOnline, setIsOnline] = useState(true);
   const [apiStatus, setApiStatus] = useState('Not tested');
   const [showsData, setShowsData] = useState(null);
   const [errors, setErrors] = useState([]);
   const [cacheStatus, setCacheStatus] = useState('Idle');
+  const [requestStats, setRequestStats] = useState(apiService.getRequestStats());
 
   const checkNetworkStatus = async () => {
     try {
@@ -39,19 +52,21 @@ const DiagnosticScreen = () => {
     }
   };
 
+  const circuitBreaker = apiService.getCircuitBreakerState();
+
   return (
     <ScrollView style={styles.container}>
       <Text style={styles.title}>TWiT App Diagnostics</Text>
       
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>API Credentials</Text>
-        <Text>App ID: {API_CREDENTIALS?.APP_ID || 'Missing'}</Text>
-        <Text>App Key: {API_CREDENTIALS?.APP_KEY ? '✓ Present' : '✗ Missing'}</Text>
+        <Text style={styles.text}>App ID: {API_CREDENTIALS?.APP_ID || 'Missing'}</Text>
+        <Text style={styles.text}>App Key: {API_CREDENTIALS?.APP_KEY ? '✓ Present' : '✗ Missing'}</Text>
       </View>
 
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Network Status</Text>
-        <Text>Online: {isOnline ? '✓ Yes' : '✗ No'}</Text>
+        <Text style={styles.text}>Online: {isOnline ? '✓ Yes' : '✗ No'}</Text>
         <Button 
           title="Check Network" 
           onPress={checkNetworkStatus}
@@ -60,7 +75,7 @@ const DiagnosticScreen = () => {
 
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>API Connection</Text>
-        <Text>Status: {apiStatus}</Text>
+        <Text style={styles.text}>Status: {apiStatus}</Text>
         <Button 
           title="Test API Connection" 
           onPress={testApiConnection}
@@ -69,7 +84,7 @@ const DiagnosticScreen = () => {
 
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Cache</Text>
-        <Text>Status: {cacheStatus}</Text>
+        <Text style={styles.text}>Status: {cacheStatus}</Text>
         <Button
           title="Clear API Cache"
           onPress={async () => {
@@ -85,6 +100,51 @@ const DiagnosticScreen = () => {
         />
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Request De-duplication</Text>
+        <Text style={styles.text}>Network requests: {requestStats.networkRequests}</Text>
+        <Text style={styles.text}>Coalesced calls: {requestStats.coalescedRequests}</Text>
+        <Text style={styles.text}>In flight: {requestStats.inFlight}</Text>
+        <Text style={styles.text}>Not modified (304): {requestStats.notModifiedResponses}</Text>
+        <Text style={styles.text}>
+          Usage-limit breaker: {circuitBreaker.open
+            ? `open until ${new Date(circuitBreaker.retryAt).toLocaleTimeString()}`
+            : 'closed'}
+        </Text>
+        {Object.entries(requestStats.coalescedByEndpoint).map(([endpoint, count]) => (
+          <Text key={endpoint} style={styles.text}>  {endpoint}: {count} coalesced</Text>
+        ))}
+        <Button
+          title="Refresh Counters"
+          onPress={() => setRequestStats(apiService.getRequestStats())}
+        />
+        <Button
+          title="Reset Counters"
+          onPress={() => {
+            apiService.resetRequestStats();
+            setRequestStats(apiService.getRequestStats());
+          }}
+        />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Cache Policies</Text>
+        <View style={styles.policyRow}>
+          <Text style={[styles.policyCell, styles.policyEndpoint, styles.policyHeader]}>Endpoint</Text>
+          <Text style={[styles.policyCell, styles.policyHeader]}>TTL</Text>
+          <Text style={[styles.policyCell, styles.policyHeader]}>Max stale</Text>
+          <Text style={[styles.policyCell, styles.policyHeader]}>Offline</Text>
+        </View>
+        {apiService.getCachePolicies().map(policy => (
+          <View key={policy.endpoint} style={styles.policyRow}>
+            <Text style={[styles.policyCell, styles.policyEndpoint]}>{policy.endpoint}</Text>
+            <Text style={styles.policyCell}>{formatDuration(policy.ttlMs)}</Text>
+            <Text style={styles.policyCell}>{formatDuration(policy.maxStaleMs)}</Text>
+            <Text style={styles.policyCell}>{policy.serveStaleOffline ? '✓ Stale' : '✗ None'}</Text>
+          </View>
+        ))}
+      </View>
+
       {errors.length > 0 && (
         <View style={styles.errorSection}>
           <Text style={styles.sectionTitle}>Errors</Text>
@@ -101,50 +161,71 @@ const DiagnosticScreen = () => {
       {showsData && (
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Shows Data</Text>
-          <Text>Found {showsData.length} shows:</Text>
+          <Text style={styles.text}>Found {showsData.length} shows:</Text>
           {showsData.slice(0, 3).map((show, index) => (
-            <Text key={index}>{show.label || show.title || `Show ${index}`}</Text>
+            <Text key={index} style={styles.text}>{show.label || show.title || `Show ${index}`}</Text>
           ))}
-          {showsData.length > 3 && <Text>... and {showsData.length - 3} more</Text>}
+          {showsData.length > 3 && <Text style={styles.text}>... and {showsData.length - 3} more</Text>}
         </View>
       )}
     </ScrollView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     padding: 20,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.BACKGROUND,
   },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
     marginBottom: 20,
-    color: '#ff0000',
+    color: colors.TEXT_ACCENT,
   },
   section: {
-    backgroundColor: '#fff',
+    backgroundColor: colors.SURFACE,
     padding: 15,
-    borderRadius: 10,
+    borderRadius: RADII.MEDIUM,
     marginBottom: 20,
   },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 10,
+    color: colors.TEXT,
+  },
+  text: {
+    color: colors.TEXT,
+  },
+  policyRow: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.BORDER,
+  },
+  policyCell: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.TEXT,
+  },
+  policyEndpoint: {
+    flex: 1.4,
+  },
+  policyHeader: {
+    fontWeight: 'bold',
   },
   errorSection: {
-    backgroundColor: '#fff8f8',
+    backgroundColor: colors.SURFACE,
     padding: 15,
-    borderRadius: 10,
+    borderRadius: RADII.MEDIUM,
     marginBottom: 20,
     borderLeftWidth: 4,
-    borderLeftColor: '#ff0000',
+    borderLeftColor: colors.DANGER,
   },
   errorText: {
-    color: '#cc0000',
+    color: colors.TEXT_DANGER,
     marginBottom: 5,
   }
 });
@@ -8,11 +8,16 @@ import {
 } from 'react-native';
 import { formatDate } from '../utils/apiHelpers';
 import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
+import EpisodeProgressBar from './EpisodeProgressBar';
+import QueueButton from './QueueButton';
+import ShareButton from './ShareButton';
+import { RADII, ELEVATION, useThemedStyles } from '../theme';
 
 /**
  * A reusable component for displaying an episode item in a list
  */
 const EpisodeItem = ({ episode, onPress }) => {
+  const styles = useThemedStyles(createStyles);
   // Extract show name from embedded data if available
   const getShowName = (episode) => {
     // Debug log for tracing episode data structure
@@ -109,23 +114,22 @@ const EpisodeItem = ({ episode, onPress }) => {
             {stripHtmlAndDecodeEntities(episode.description)}
           </Text>
         )}
+        <EpisodeProgressBar episodeId={episode.id} />
       </View>
+      <ShareButton episode={episode} />
+      <QueueButton episode={episode} />
     </TouchableOpacity>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   episodeItem: {
     flexDirection: 'row',
-    backgroundColor: '#ffffff',
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     marginBottom: 12,
     overflow: 'hidden',
-    elevation: 2,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.2,
-    shadowRadius: 1.41,
+    ...ELEVATION.SMALL,
   },
   episodeImage: {
     width: 100,
@@ -138,24 +142,24 @@ const styles = StyleSheet.create({
   showName: {
     fontSize: 13,
     fontWeight: '600',
-    color: '#007AFF',
+    color: colors.TEXT_LINK,
     marginBottom: 2,
     textTransform: 'uppercase',
   },
   episodeTitle: {
     fontSize: 16,
     fontWeight: 'bold',
-    color: '#333333',
+    color: colors.TEXT,
     marginBottom: 4,
   },
   episodeDate: {
     fontSize: 14,
-    color: '#999999',
+    color: colors.TEXT_MUTED,
     marginBottom: 4,
   },
   episodeDescription: {
     fontSize: 14,
-    color: '#666666',
+    color: colors.TEXT_MUTED,
   },
 });
 
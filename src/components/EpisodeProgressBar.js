@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import progressManager from '../services/progressManager';
+import { useTheme, useThemedStyles } from '../theme';
+
+/**
+ * A thin progress bar showing how much of an episode has been played.
+ * Renders nothing for episodes that have never been started.
+ */
+const EpisodeProgressBar = ({ episodeId, style }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [progress, setProgress] = useState(() => progressManager.getProgress(episodeId));
+
+  useEffect(() => {
+    const update = () => setProgress(progressManager.getProgress(episodeId));
+    update();
+    return progressManager.addListener(update);
+  }, [episodeId]);
+
+  if (!progress) return null;
+
+  if (progress.played) {
+    return (
+      <View style={[styles.playedContainer, style]}>
+        <Ionicons name="checkmark-circle" size={14} color={colors.SUCCESS} />
+        <Text style={styles.playedText}>Played</Text>
+      </View>
+    );
+  }
+
+  if (!progress.durationMillis || !progress.positionMillis) return null;
+
+  const percent = Math.min(100, (progress.positionMillis / progress.durationMillis) * 100);
+
+  return (
+    <View style={[styles.track, style]}>
+      <View style={[styles.fill, { width: `${percent}%` }]} />
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  track: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.BORDER,
+    overflow: 'hidden',
+    marginTop: 6,
+  },
+  fill: {
+    height: '100%',
+    backgroundColor: colors.CTA,
+  },
+  playedContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  playedText: {
+    fontSize: 12,
+    color: colors.TEXT_SUCCESS,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+});
+
+export default EpisodeProgressBar;
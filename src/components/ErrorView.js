@@ -1,18 +1,38 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   Text, 
   StyleSheet, 
   TouchableOpacity 
 } from 'react-native';
+import { parseApiError } from '../utils/apiHelpers';
+import { isApiUsageLimitError } from '../utils/apiErrors';
+import { RADII, useThemedStyles } from '../theme';
 
 /**
- * A reusable error display component
+ * A reusable error display component.
+ * Pass `error` to show a usage-limit cooldown that counts down live.
  */
-const ErrorView = ({ message, onRetry }) => {
+const ErrorView = ({ message, error, onRetry }) => {
+  const styles = useThemedStyles(createStyles);
+  const isUsageLimit = isApiUsageLimitError(error);
+  const [, setTick] = useState(0);
+
+  // Re-render every second while a usage-limit cooldown is running
+  useEffect(() => {
+    if (!isUsageLimit) return undefined;
+    const interval = setInterval(() => {
+      setTick(tick => tick + 1);
+      if (error.getRemainingMs() === 0) clearInterval(interval);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [error, isUsageLimit]);
+
+  const text = isUsageLimit ? parseApiError(error) : message;
+
   return (
     <View style={styles.container}>
-      <Text style={styles.errorText}>{message || 'An error occurred'}</Text>
+      <Text style={styles.errorText}>{text || 'An error occurred'}</Text>
       {onRetry && (
         <TouchableOpacity style={styles.retryButton} onPress={onRetry}>
           <Text style={styles.retryButtonText}>Retry</Text>
@@ -22,28 +42,28 @@ const ErrorView = ({ message, onRetry }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.BACKGROUND,
     padding: 20,
   },
   errorText: {
     fontSize: 16,
-    color: '#ff0000',
+    color: colors.TEXT_DANGER,
     textAlign: 'center',
     marginBottom: 16,
   },
   retryButton: {
-    backgroundColor: '#ff0000',
+    backgroundColor: colors.DANGER,
     paddingVertical: 10,
     paddingHorizontal: 20,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
   },
   retryButtonText: {
-    color: '#ffffff',
+    color: colors.ON_DANGER,
     fontWeight: 'bold',
   },
 });
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { View, Text, Image, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { Video, ResizeMode } from 'expo-av';
+import { Ionicons } from '@expo/vector-icons';
+import playerManager from '../services/playerManager';
+import audioPlayer from '../services/audioPlayer';
+import networkManager from '../services/NetworkManager';
+import {
+  STREAM_PLAYBACK,
+  getInAppPlayback,
+  getExternalAppName,
+  isHlsStream,
+  openStreamInApp,
+} from '../utils/streamUtils';
+import { getStreamLogo } from '../utils/streamLogos';
+import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
+
+// Player id used with playerManager for live video
+const LIVE_VIDEO_PLAYER_ID = 'live-stream-video';
+
+/**
+ * In-app player for a live stream. HLS video plays here; audio streams
+ * (Icecast/Shoutcast, HLS audio) play in the background audio player so they
+ * keep going when the screen is left. "Open in…" hands the stream to another
+ * app instead.
+ */
+const LiveStreamPlayer = ({ stream, onClose }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const playback = getInAppPlayback(stream);
+  const videoRef = useRef(null);
+  const [nowPlaying, setNowPlaying] = useState(playerManager.getNowPlaying());
+
+  const title = stripHtmlAndDecodeEntities(stream.label) || 'TWiT Live';
+  const provider = stream.streamProviders?.label || '';
+
+  useEffect(() => playerManager.addListener(setNowPlaying), []);
+
+  const isThisStream = !!nowPlaying && String(nowPlaying.streamId) === String(stream.id);
+  const isPlaying = isThisStream && nowPlaying.isPlaying;
+  const isBuffering = isThisStream && nowPlaying.isBuffering;
+
+  const canStream = () => {
+    if (networkManager.canPlayMedia()) return true;
+    Alert.alert('Cannot Play', 'Streaming is not available on this connection. Check your network or cellular data setting.');
+    return false;
+  };
+
+  // Depends only on plain values so a refreshed stream object with the same
+  // details does not restart playback
+  const isHls = isHlsStream(stream);
+  const startAudio = useCallback(() => audioPlayer.play({
+    streamId: stream.id,
+    url: stream.streamSource,
+    title,
+    artist: provider || 'TWiT.tv',
+    artwork: stream.image || null,
+    isLiveStream: true,
+    isHls,
+  }), [stream.id, stream.streamSource, stream.image, title, provider, isHls]);
+
+  // Make the video the active player so other players stop and the rest of
+  // the app can see it
+  const activateVideoPlayer = () => {
+    if (playerManager.isActive(LIVE_VIDEO_PLAYER_ID)) return;
+
+    playerManager.registerPlayer(
+      LIVE_VIDEO_PLAYER_ID,
+      () => {
+        videoRef.current?.pauseAsync().catch(err => console.log('Error pausing live video:', err));
+      },
+      {
+        play: () => videoRef.current?.playAsync(),
+        pause: () => videoRef.current?.pauseAsync(),
+        setVolume: volume => videoRef.current?.setVolumeAsync(volume),
+      },
+      {
+        kind: 'live-video',
+        streamId: stream.id,
+        title,
+        artist: provider || 'TWiT.tv',
+        artwork: stream.image || null,
+        url: stream.streamSource,
+      }
+    );
+  };
+
+  // Start playing as soon as a stream is opened
+  useEffect(() => {
+    if (!canStream()) return;
+
+    if (playback === STREAM_PLAYBACK.AUDIO && !audioPlayer.isCurrentStream(stream.id)) {
+      startAudio().catch(error => {
+        console.error('Error playing live audio:', error);
+        Alert.alert('Stream Error', 'Unable to play this stream. Try "Open in…" instead.');
+      });
+    }
+
+    // Video keeps playing only while its player is on screen
+    return () => {
+      if (playerManager.isActive(LIVE_VIDEO_PLAYER_ID)) {
+        playerManager.unregisterPlayer(LIVE_VIDEO_PLAYER_ID);
+      }
+    };
+  }, [stream.id, playback, startAudio]);
+
+  const onPlaybackStatusUpdate = (status) => {
+    if (status.isLoaded) {
+      if (status.isPlaying) {
+        activateVideoPlayer();
+      }
+      playerManager.updatePlaybackState(LIVE_VIDEO_PLAYER_ID, {
+        isPlaying: status.isPlaying,
+        isBuffering: status.isBuffering,
+      });
+    } else if (status.error) {
+      console.error(`Live stream error: ${status.error}`);
+      Alert.alert('Stream Error', 'Unable to play this stream. Try "Open in…" instead.');
+    }
+  };
+
+  const togglePlayPause = () => {
+    if (isThisStream) {
+      playerManager.togglePlayPause();
+    } else if (canStream()) {
+      if (playback === STREAM_PLAYBACK.AUDIO) {
+        startAudio();
+      } else {
+        videoRef.current?.playAsync();
+      }
+    }
+  };
+
+  const close = () => {
+    if (isThisStream) {
+      playerManager.stopAllPlayers();
+    }
+    onClose();
+  };
+
+  const openExternally = async () => {
+    try {
+      await openStreamInApp(stream);
+      onClose();
+    } catch (error) {
+      console.error('Error opening stream:', error);
+      Alert.alert('Stream Error', 'Unable to open this stream in another app.');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.media}>
+        {playback === STREAM_PLAYBACK.VIDEO ? (
+          <Video
+            ref={videoRef}
+            source={{ uri: stream.streamSource }}
+            style={styles.video}
+            resizeMode={ResizeMode.CONTAIN}
+            shouldPlay={networkManager.canPlayMedia()}
+            useNativeControls
+            onPlaybackStatusUpdate={onPlaybackStatusUpdate}
+          />
+        ) : (
+          <View style={styles.audioArtwork}>
+            <Image
+              source={stream.image ? { uri: stream.image } : getStreamLogo(provider)}
+              style={styles.artworkImage}
+              resizeMode="contain"
+            />
+            <TouchableOpacity style={styles.playButton} onPress={togglePlayPause}>
+              {isBuffering ? (
+                <ActivityIndicator size="large" color={colors.ON_MEDIA} />
+              ) : (
+                <Ionicons name={isPlaying ? 'pause' : 'play'} size={36} color={colors.ON_MEDIA} />
+              )}
+            </TouchableOpacity>
+          </View>
+        )}
+        <View style={styles.liveBadge}>
+          <Text style={styles.liveBadgeText}>LIVE</Text>
+        </View>
+      </View>
+
+      <View style={styles.infoRow}>
+        <View style={styles.info}>
+          <Text style={styles.title} numberOfLines={1}>{title}</Text>
+          {!!provider && <Text style={styles.provider} numberOfLines={1}>{provider}</Text>}
+        </View>
+        <TouchableOpacity style={styles.openInButton} onPress={openExternally}>
+          <Ionicons name="open-outline" size={16} color={colors.ON_NAV} />
+          <Text style={styles.openInText}>Open in {getExternalAppName(stream)}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.closeButton} onPress={close} accessibilityLabel="Close player">
+          <Ionicons name="close" size={22} color={colors.ON_NAV} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    backgroundColor: colors.NAV_BACKGROUND,
+  },
+  media: {
+    width: '100%',
+    aspectRatio: 16 / 9,
+    backgroundColor: colors.MEDIA_BACKGROUND,
+  },
+  video: {
+    width: '100%',
+    height: '100%',
+  },
+  audioArtwork: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  artworkImage: {
+    width: '100%',
+    height: '100%',
+    opacity: 0.6,
+  },
+  playButton: {
+    position: 'absolute',
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: colors.OVERLAY,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  liveBadge: {
+    position: 'absolute',
+    top: SPACING.SMALL,
+    left: SPACING.SMALL,
+    backgroundColor: colors.DANGER,
+    borderRadius: RADII.SMALL,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  liveBadgeText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.ON_DANGER,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: SPACING.SMALL,
+  },
+  info: {
+    flex: 1,
+    marginRight: SPACING.SMALL,
+  },
+  title: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: 'bold',
+    color: colors.ON_NAV,
+  },
+  provider: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_NAV_MUTED,
+    marginTop: 2,
+  },
+  openInButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.NAV_SURFACE,
+    paddingVertical: 6,
+    paddingHorizontal: SPACING.SMALL,
+    borderRadius: RADII.SMALL,
+  },
+  openInText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_NAV,
+    marginLeft: 4,
+  },
+  closeButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
+
+export default LiveStreamPlayer;
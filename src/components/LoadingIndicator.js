@@ -5,31 +5,33 @@ import {
   StyleSheet, 
   ActivityIndicator 
 } from 'react-native';
-import { COLORS } from '../utils/theme';
+import { useTheme, useThemedStyles } from '../theme';
 
 /**
  * A reusable loading indicator component
  */
 const LoadingIndicator = ({ message = 'Loading...' }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   return (
     <View style={styles.container}>
-      <ActivityIndicator size="large" color={COLORS.CTA} />
+      <ActivityIndicator size="large" color={colors.CTA} />
       <Text style={styles.text}>{message}</Text>
     </View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.BACKGROUND,
   },
   text: {
     marginTop: 12,
     fontSize: 16,
-    color: '#666666',
+    color: colors.TEXT_MUTED,
   },
 });
 
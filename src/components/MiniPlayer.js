@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Image, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import playerManager from '../services/playerManager';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
+
+// Tabs whose stacks contain the EpisodeDetail (full player) and Up Next screens
+const PLAYER_TABS = ['Shows', 'Schedule', 'People', 'Search'];
+
+/**
+ * Find the deepest focused route in a navigation state
+ * @param {Object} state - Navigation state
+ * @returns {Object|null} Focused route
+ */
+const getFocusedRoute = (state) => {
+  const route = state?.routes?.[state.index ?? 0];
+  if (!route) return null;
+  return route.state ? getFocusedRoute(route.state) : route;
+};
+
+/**
+ * App-wide mini-player shown above the tab bar while something is playing.
+ * Rendered by the tab navigator, so it stays mounted across tab switches.
+ * Tapping it opens the full player (EpisodeDetail) for the playing episode.
+ */
+const MiniPlayer = ({ navigation, state }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [nowPlaying, setNowPlaying] = useState(playerManager.getNowPlaying());
+  const [collapsed, setCollapsed] = useState(false);
+
+  useEffect(() => playerManager.addListener(setNowPlaying), []);
+
+  // Expand again whenever a new episode starts
+  useEffect(() => {
+    setCollapsed(false);
+  }, [nowPlaying?.episodeId]);
+
+  // Video can't play off-screen, so only its own screen controls it
+  if (!nowPlaying || nowPlaying.kind === 'video' || nowPlaying.kind === 'live-video') return null;
+
+  // The full player already shows this episode
+  const focusedRoute = getFocusedRoute(state);
+  if (
+    focusedRoute?.name === 'EpisodeDetail' &&
+    String(focusedRoute.params?.id) === String(nowPlaying.episodeId)
+  ) {
+    return null;
+  }
+
+  const { title, artist, artwork, isPlaying, isBuffering, positionMillis, durationMillis } = nowPlaying;
+  const isLive = nowPlaying.kind === 'live-audio';
+  const progress = durationMillis > 0 && !isLive ? Math.min(1, positionMillis / durationMillis) : 0;
+
+  // Open a screen in the current tab's stack, or the Shows stack if it has none
+  const openInPlayerTab = (screen, params) => {
+    const currentTab = state?.routes?.[state.index]?.name;
+    const tab = PLAYER_TABS.includes(currentTab) ? currentTab : 'Shows';
+    navigation.navigate(tab, { screen, params });
+  };
+
+  const openFullPlayer = () => {
+    // Live streams play from the Live tab
+    if (isLive) {
+      navigation.navigate('Live');
+      return;
+    }
+    openInPlayerTab('EpisodeDetail', { id: nowPlaying.episodeId, title: title || 'Episode Details' });
+  };
+
+  const renderPlayPause = (size) => (
+    isBuffering ? (
+      <ActivityIndicator size="small" color={colors.ON_NAV} />
+    ) : (
+      <Ionicons name={isPlaying ? 'pause' : 'play'} size={size} color={colors.ON_NAV} />
+    )
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${progress * 100}%` }]} />
+      </View>
+
+      {collapsed ? (
+        <View style={styles.collapsedRow}>
+          <TouchableOpacity style={styles.info} onPress={openFullPlayer}>
+            <Text style={styles.collapsedTitle} numberOfLines={1}>{title}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.smallButton} onPress={() => playerManager.togglePlayPause()}>
+            {renderPlayPause(18)}
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.smallButton} onPress={() => setCollapsed(false)}>
+            <Ionicons name="chevron-up" size={18} color={colors.ON_NAV} />
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.row}>
+          <TouchableOpacity style={styles.info} onPress={openFullPlayer}>
+            {artwork ? (
+              <Image source={{ uri: artwork }} style={styles.artwork} />
+            ) : (
+              <View style={[styles.artwork, styles.artworkPlaceholder]}>
+                <Ionicons name="musical-notes" size={20} color={colors.ON_PRIMARY} />
+              </View>
+            )}
+            <View style={styles.textContainer}>
+              <Text style={styles.title} numberOfLines={1}>{title}</Text>
+              {isLive ? (
+                <Text style={styles.liveText}>LIVE</Text>
+              ) : (
+                !!artist && <Text style={styles.artist} numberOfLines={1}>{artist}</Text>
+              )}
+            </View>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => playerManager.togglePlayPause()}>
+            {renderPlayPause(26)}
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => openInPlayerTab('UpNext')}>
+            <Ionicons name="list" size={22} color={colors.ON_NAV_MUTED} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => playerManager.stopAllPlayers()}>
+            <Ionicons name="close" size={22} color={colors.ON_NAV_MUTED} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.smallButton} onPress={() => setCollapsed(true)}>
+            <Ionicons name="chevron-down" size={18} color={colors.ON_NAV_MUTED} />
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    backgroundColor: colors.NAV_SURFACE,
+    borderTopWidth: 1,
+    borderTopColor: colors.NAV_BACKGROUND,
+  },
+  progressTrack: {
+    height: 2,
+    backgroundColor: colors.NAV_BACKGROUND,
+  },
+  progressFill: {
+    height: 2,
+    backgroundColor: colors.HIGHLIGHT,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: SPACING.SMALL,
+    paddingVertical: 6,
+  },
+  collapsedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: SPACING.SMALL,
+    paddingVertical: 2,
+  },
+  info: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  artwork: {
+    width: 40,
+    height: 40,
+    borderRadius: RADII.SMALL,
+    marginRight: SPACING.SMALL,
+  },
+  artworkPlaceholder: {
+    backgroundColor: colors.PRIMARY,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  textContainer: {
+    flex: 1,
+  },
+  title: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    color: colors.ON_NAV,
+  },
+  collapsedTitle: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_NAV,
+  },
+  artist: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_NAV_MUTED,
+    marginTop: 2,
+  },
+  liveText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.ON_NAV_DANGER,
+    marginTop: 2,
+  },
+  button: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  smallButton: {
+    width: 32,
+    height: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default MiniPlayer;
@@ -1,14 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, Animated } from 'react-native';
 import NetInfo from '@react-native-community/netinfo';
-import { colors } from '../theme';
+import outboxManager from '../services/outboxManager';
+import { useThemedStyles } from '../theme';
 
 /**
  * A component that monitors network connectivity and displays a status bar
  * when the device is offline
  */
 const NetworkStatusBar = () => {
+  const styles = useThemedStyles(createStyles);
   const [isConnected, setIsConnected] = useState(true);
+  const [pendingCount, setPendingCount] = useState(outboxManager.getStatus().pendingCount);
   const translateY = new Animated.Value(-50);
 
   useEffect(() => {
@@ -37,6 +40,11 @@ const NetworkStatusBar = () => {
     }
   }, []);
 
+  // Show how many offline actions are waiting to sync
+  useEffect(() => {
+    return outboxManager.addListener(status => setPendingCount(status.pendingCount));
+  }, []);
+
   return (
       <Animated.View
           style={[
@@ -46,24 +54,25 @@ const NetworkStatusBar = () => {
       >
         <Text style={styles.text}>
           No Internet Connection
+          {pendingCount > 0 ? ` • ${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to sync` : ''}
         </Text>
       </Animated.View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     position: 'absolute',
     top: 0,
     left: 0,
     right: 0,
-    backgroundColor: colors.warning,
+    backgroundColor: colors.WARNING,
     padding: 10,
     alignItems: 'center',
     zIndex: 1000,
   },
   text: {
-    color: colors.text.primary,
+    color: colors.ON_WARNING,
     fontWeight: 'bold',
   }
 });
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import queueManager, { buildQueueItem } from '../services/queueManager';
+import { useTheme, useThemedStyles } from '../theme';
+
+/**
+ * "Add to queue" button for episode rows. Offers Play Next / Play Last, or
+ * removal when the episode is already in Up Next.
+ */
+const QueueButton = ({ episode, showId, showName, style }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [queued, setQueued] = useState(() => queueManager.isQueued(episode.id));
+
+  useEffect(() => {
+    const update = () => setQueued(queueManager.isQueued(episode.id));
+    update();
+    return queueManager.addListener(update);
+  }, [episode.id]);
+
+  const showOptions = () => {
+    const item = buildQueueItem(episode, { showId, showName });
+
+    if (queued) {
+      Alert.alert(item.title, 'This episode is in Up Next.', [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove from Up Next', style: 'destructive', onPress: () => queueManager.remove(episode.id) },
+      ]);
+      return;
+    }
+
+    Alert.alert('Add to Up Next', item.title, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Play Next', onPress: () => queueManager.playNext(item) },
+      { text: 'Play Last', onPress: () => queueManager.playLast(item) },
+    ]);
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, style]}
+      onPress={showOptions}
+      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+      accessibilityLabel={queued ? 'In Up Next' : 'Add to queue'}
+    >
+      <Ionicons
+        name={queued ? 'checkmark-circle' : 'add-circle-outline'}
+        size={24}
+        color={queued ? colors.SUCCESS : colors.TEXT_MUTED}
+      />
+    </TouchableOpacity>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  button: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+  },
+});
+
+export default QueueButton;
@@ -3,20 +3,27 @@ import {
   View,
   TextInput,
   StyleSheet,
-  TouchableOpacity,
-  Platform
+  TouchableOpacity
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { COLORS } from '../utils/theme';
+import { RADII, ELEVATION, useTheme, useThemedStyles } from '../theme';
 
 /**
  * A reusable search bar component that triggers search only on submit/button.
+ * onChangeText reports each keystroke (e.g. for suggestions); pass value to
+ * set the text from outside, such as when a recent search is picked.
  */
-const SearchBar = ({ onSearch, placeholder = 'Search...' }) => {
-  const [searchText, setSearchText] = useState('');
+const SearchBar = ({ onSearch, onChangeText, value, placeholder = 'Search...' }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [localText, setLocalText] = useState('');
+  const searchText = value ?? localText;
 
   const handleTextChange = (text) => {
-    setSearchText(text);
+    setLocalText(text);
+    if (onChangeText) {
+      onChangeText(text);
+    }
     // Do NOT trigger onSearch while typing. Submission only.
     if (!text.trim() && onSearch) {
       // Clearing should also clear results immediately.
@@ -31,7 +38,10 @@ const SearchBar = ({ onSearch, placeholder = 'Search...' }) => {
   };
 
   const handleClear = () => {
-    setSearchText('');
+    setLocalText('');
+    if (onChangeText) {
+      onChangeText('');
+    }
     if (onSearch) {
       onSearch('');
     }
@@ -40,10 +50,11 @@ const SearchBar = ({ onSearch, placeholder = 'Search...' }) => {
   return (
     <View style={styles.container}>
       <View style={styles.searchContainer}>
-        <Ionicons name="search" size={20} color="#999" style={styles.searchIcon} />
+        <Ionicons name="search" size={20} color={colors.TEXT_MUTED} style={styles.searchIcon} />
         <TextInput
           style={styles.input}
           placeholder={placeholder}
+          placeholderTextColor={colors.TEXT_MUTED}
           value={searchText}
           onChangeText={handleTextChange}
           onSubmitEditing={handleSearch}
@@ -52,42 +63,32 @@ const SearchBar = ({ onSearch, placeholder = 'Search...' }) => {
         />
         {searchText.length > 0 && (
           <TouchableOpacity style={styles.clearButton} onPress={handleClear}>
-            <Ionicons name="close-circle" size={18} color="#999" />
+            <Ionicons name="close-circle" size={18} color={colors.TEXT_MUTED} />
           </TouchableOpacity>
         )}
       </View>
       <TouchableOpacity style={styles.searchButton} onPress={handleSearch}>
-        <Ionicons name="search" size={24} color="#fff" />
+        <Ionicons name="search" size={24} color={colors.ON_CTA} />
       </TouchableOpacity>
     </View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flexDirection: 'row',
     padding: 10,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.BACKGROUND,
   },
   searchContainer: {
     flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#fff',
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     paddingHorizontal: 10,
     marginRight: 10,
-    ...Platform.select({
-      ios: {
-        shadowColor: '#000',
-        shadowOffset: { width: 0, height: 1 },
-        shadowOpacity: 0.2,
-        shadowRadius: 1.41,
-      },
-      android: {
-        elevation: 2,
-      },
-    }),
+    ...ELEVATION.SMALL,
   },
   searchIcon: {
     marginRight: 8,
@@ -96,16 +97,16 @@ const styles = StyleSheet.create({
     flex: 1,
     height: 40,
     fontSize: 16,
-    color: '#333',
+    color: colors.TEXT,
   },
   clearButton: {
     padding: 5,
   },
   searchButton: {
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     width: 40,
     height: 40,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     justifyContent: 'center',
     alignItems: 'center',
   },
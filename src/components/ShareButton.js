@@ -0,0 +1,35 @@
+import React from 'react';
+import { TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { shareEpisode } from '../utils/shareUtils';
+import { useTheme, useThemedStyles } from '../theme';
+
+/**
+ * "Share" button for episode rows. Shares the episode's twit.tv link with
+ * its title and show.
+ */
+const ShareButton = ({ episode, show, style }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, style]}
+      onPress={() => shareEpisode(episode, { show })}
+      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+      accessibilityLabel="Share episode"
+    >
+      <Ionicons name="share-social-outline" size={22} color={colors.TEXT_MUTED} />
+    </TouchableOpacity>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  button: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 6,
+  },
+});
+
+export default ShareButton;
@@ -6,11 +6,13 @@ import {
   TouchableOpacity, 
   Image 
 } from 'react-native';
+import { RADII, ELEVATION, useThemedStyles } from '../theme';
 
 /**
  * A reusable component for displaying a show item in a list
  */
 const ShowItem = ({ show, onPress }) => {
+  const styles = useThemedStyles(createStyles);
   return (
     <TouchableOpacity
       style={styles.showCard}
@@ -35,17 +37,13 @@ const ShowItem = ({ show, onPress }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   showCard: {
-    backgroundColor: '#ffffff',
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     marginBottom: 12,
     overflow: 'hidden',
-    elevation: 2,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.2,
-    shadowRadius: 1.41,
+    ...ELEVATION.SMALL,
   },
   showImage: {
     width: '100%',
@@ -58,11 +56,11 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
     marginBottom: 4,
-    color: '#333333',
+    color: colors.TEXT,
   },
   showDescription: {
     fontSize: 14,
-    color: '#666666',
+    color: colors.TEXT_MUTED,
   },
 });
 
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import sleepTimer, {
+  SLEEP_TIMER_MODES,
+  SLEEP_TIMER_MINUTES,
+  SLEEP_TIMER_EXTEND_MINUTES,
+} from '../services/sleepTimer';
+import { getChapterEnd } from '../utils/chapterUtils';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
+
+/**
+ * Format the time left on the timer
+ * @param {Object} state - Sleep timer state
+ * @returns {string} e.g. "12:05", or "End" while waiting for the episode position
+ */
+const formatRemaining = ({ remainingMillis }) => {
+  if (remainingMillis === null) return 'End';
+  const totalSeconds = Math.max(0, Math.ceil(remainingMillis / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Sleep timer control for the episode player: the moon opens the timer
+ * options, and the remaining time (shown while a timer runs) adds
+ * SLEEP_TIMER_EXTEND_MINUTES when tapped.
+ */
+const SleepTimerButton = ({ episodeId, chapters = [], positionMillis = 0 }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [timerState, setTimerState] = useState(sleepTimer.getState());
+  const [showOptions, setShowOptions] = useState(false);
+
+  useEffect(() => sleepTimer.addListener(setTimerState), []);
+
+  const chapterEnd = getChapterEnd(chapters, positionMillis);
+
+  const choose = (mode, options) => {
+    setShowOptions(false);
+    sleepTimer.start(mode, { episodeId, ...options });
+  };
+
+  const turnOff = () => {
+    setShowOptions(false);
+    sleepTimer.cancel();
+  };
+
+  const renderOption = (label, onPress, selected = false) => (
+    <TouchableOpacity key={label} style={styles.option} onPress={onPress}>
+      <Text style={[styles.optionText, selected && styles.optionTextActive]}>{label}</Text>
+      {selected && <Ionicons name="checkmark" size={18} color={colors.ON_NAV_ACTIVE} />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => setShowOptions(true)}
+        accessibilityLabel="Sleep timer"
+      >
+        <Ionicons name={timerState ? 'moon' : 'moon-outline'} size={18} color={colors.ON_MEDIA} />
+      </TouchableOpacity>
+
+      {timerState && (
+        <TouchableOpacity
+          style={styles.remaining}
+          onPress={() => sleepTimer.extend()}
+          accessibilityLabel={`Add ${SLEEP_TIMER_EXTEND_MINUTES} minutes to the sleep timer`}
+        >
+          <Text style={styles.remainingText}>{formatRemaining(timerState)}</Text>
+        </TouchableOpacity>
+      )}
+
+      <Modal
+        visible={showOptions}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowOptions(false)}
+      >
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={() => setShowOptions(false)}>
+          <View style={styles.sheet}>
+            <Text style={styles.title}>Sleep Timer</Text>
+            <Text style={styles.hint}>
+              Shake your device or tap the time left to add {SLEEP_TIMER_EXTEND_MINUTES} minutes.
+            </Text>
+
+            {SLEEP_TIMER_MINUTES.map(minutes => renderOption(
+              `${minutes} minutes`,
+              () => choose(SLEEP_TIMER_MODES.DURATION, { minutes })
+            ))}
+            {renderOption(
+              'End of episode',
+              () => choose(SLEEP_TIMER_MODES.END_OF_EPISODE),
+              timerState?.mode === SLEEP_TIMER_MODES.END_OF_EPISODE
+            )}
+            {chapterEnd && renderOption(
+              chapterEnd.title ? `End of chapter (${chapterEnd.title})` : 'End of chapter',
+              () => choose(SLEEP_TIMER_MODES.END_OF_CHAPTER, { chapterEndMillis: chapterEnd.endMillis }),
+              timerState?.mode === SLEEP_TIMER_MODES.END_OF_CHAPTER
+            )}
+
+            {timerState && (
+              <TouchableOpacity style={styles.option} onPress={turnOff}>
+                <Text style={styles.turnOffText}>Turn Off Timer</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.option} onPress={() => setShowOptions(false)}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: SPACING.SMALL,
+  },
+  button: {
+    backgroundColor: colors.OVERLAY,
+    padding: SPACING.SMALL,
+    borderRadius: RADII.MEDIUM,
+  },
+  remaining: {
+    backgroundColor: colors.OVERLAY,
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: SPACING.SMALL,
+    borderRadius: RADII.MEDIUM,
+    marginLeft: 4,
+  },
+  remainingText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.ON_MEDIA,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.OVERLAY,
+  },
+  sheet: {
+    backgroundColor: colors.NAV_SURFACE,
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+    paddingVertical: SPACING.MEDIUM,
+    paddingHorizontal: SPACING.LARGE,
+  },
+  title: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
+    fontWeight: 'bold',
+    color: colors.ON_NAV,
+  },
+  hint: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_NAV_MUTED,
+    marginTop: 4,
+    marginBottom: SPACING.SMALL,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+  },
+  optionText: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.ON_NAV,
+  },
+  optionTextActive: {
+    color: colors.ON_NAV_ACTIVE,
+    fontWeight: 'bold',
+  },
+  turnOffText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.ON_NAV_DANGER,
+  },
+  cancelText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.ON_NAV_MUTED,
+  },
+});
+
+export default SleepTimerButton;
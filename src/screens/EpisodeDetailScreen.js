@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -15,7 +15,7 @@ import {
   BackHandler,
   Animated,
 } from 'react-native';
-import { Video, ResizeMode } from 'expo-av';
+import { Video, ResizeMode, PitchCorrectionQuality } from 'expo-av';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useIsFocused } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
@@ -23,14 +23,36 @@ import Slider from '@react-native-community/slider';
 import * as ScreenOrientation from 'expo-screen-orientation';
 import apiService from '../services/api';
 import playerManager from '../services/playerManager';
+import audioPlayer, { AUDIO_PLAYER_ID } from '../services/audioPlayer';
+import downloadManager, { DOWNLOAD_QUALITIES, DOWNLOAD_STATUS } from '../services/downloadManager';
+import progressManager from '../services/progressManager';
+import queueManager from '../services/queueManager';
+import sleepTimer from '../services/sleepTimer';
 import networkManager from '../services/NetworkManager';
+import settingsManager, { PLAYBACK_SPEEDS } from '../utils/settings/settingsManager';
 import { decodeHtmlEntities, stripHtmlAndDecodeEntities } from '../utils/textUtils';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
+import { getChapters } from '../utils/chapterUtils';
+import { shareEpisode } from '../utils/shareUtils';
+import SleepTimerButton from '../components/SleepTimerButton';
+import {
+  AUTO_QUALITY,
+  RENDITION_LABELS,
+  EXTERNAL_RENDITIONS,
+  getAvailableRenditions,
+  getRenditionUrl,
+  pickAutoRendition,
+} from '../utils/renditionUtils';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
 
 const { width, height } = Dimensions.get('window');
 
+// How often (ms) the playback position is persisted while playing
+const PROGRESS_SAVE_INTERVAL_MS = 5000;
+
 // Collapsible Section Component
 const CollapsibleSection = ({ title, children, initiallyExpanded = false, expanded, setExpanded, rotation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const toggleExpand = () => {
     if (expanded) {
       Animated.timing(rotation, {
@@ -62,7 +84,7 @@ const CollapsibleSection = ({ title, children, initiallyExpanded = false, expand
       >
         <Text style={styles.collapsibleTitle}>{title}</Text>
         <Animated.View style={{ transform: [{ rotate: spin }] }}>
-          <Ionicons name="chevron-forward" size={22} color="#666" />
+          <Ionicons name="chevron-forward" size={22} color={colors.TEXT_MUTED} />
         </Animated.View>
       </TouchableOpacity>
       {expanded && (
@@ -104,6 +126,33 @@ const extractImageUrl = (episode) => {
   return null;
 };
 
+// Name of the show an episode belongs to, for now-playing metadata
+const getEpisodeShowName = (episode) => {
+  const shows = episode?._embedded?.shows;
+  const show = Array.isArray(shows) ? shows[0] : shows;
+  return show?.label ? stripHtmlAndDecodeEntities(show.label) : 'TWiT.tv';
+};
+
+// Id of the show an episode belongs to, for per-show playback speed
+const getEpisodeShowId = (episode) => {
+  const shows = episode?._embedded?.shows;
+  const show = Array.isArray(shows) ? shows[0] : shows;
+  return show?.id ?? null;
+};
+
+// Label for a playback speed, e.g. "1.5x"
+const formatSpeed = (rate) => `${rate}x`;
+
+// Load status fields that start video at a speed, pitch-corrected. Speed goes
+// through loads and setRateAsync rather than Video props: expo-av sends its
+// rate, positionMillis and shouldPlay props together, so a rate prop change
+// would also re-send the position and play state.
+const getRateStatus = (rate) => ({
+  rate,
+  shouldCorrectPitch: true,
+  pitchCorrectionQuality: PitchCorrectionQuality.High,
+});
+
 const formatFileSize = (sizeInBytes) => {
   if (!sizeInBytes) return null;
   
@@ -121,7 +170,10 @@ const formatFileSize = (sizeInBytes) => {
 };
 
 const EpisodeDetailScreen = ({ route, navigation }) => {
-  const { id, title, showId } = route.params;
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  // t: start time in seconds, from a shared link
+  const { id, title, showId, autoPlay, t: startTime } = route.params;
   const [episode, setEpisode] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -133,15 +185,87 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
   const [showControls, setShowControls] = useState(true);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
-  const [playbackQuality, setPlaybackQuality] = useState('auto');
-  const [availableQualities, setAvailableQualities] = useState(['auto', '1080p', '720p', '480p', '360p']);
+  // mode: the quality menu choice (AUTO_QUALITY or a rendition key);
+  // label: the quality playing now, e.g. 'HD'
+  const [quality, setQuality] = useState({ mode: AUTO_QUALITY, label: null });
+  const playbackQuality = quality.label;
+  const [availableQualities, setAvailableQualities] = useState([]);
+  const [connectionType, setConnectionType] = useState(() => networkManager.getConnectionInfo().connectionType);
   const [showQualityOptions, setShowQualityOptions] = useState(false);
   const [isAudioOnly, setIsAudioOnly] = useState(false);
+  // Where the next load of the video starts and whether it plays. Opened from
+  // Up Next or a link with a start time, the first load already plays.
+  const [loadRequest, setLoadRequest] = useState(() => ({
+    positionMillis: startTime > 0 ? startTime * 1000 : 0,
+    shouldPlay: !!autoPlay || startTime > 0,
+  }));
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [skipIntervals, setSkipIntervals] = useState({
+    back: settingsManager.DEFAULT_SETTINGS.skipBackSeconds,
+    forward: settingsManager.DEFAULT_SETTINGS.skipForwardSeconds,
+  });
   const controlsTimeout = useRef(null);
   const scrollViewRef = useRef(null);
   const playerId = useRef(`episode-${id}`).current;
   const [playbackPosition, setPlaybackPosition] = useState(0);
   const [playbackDuration, setPlaybackDuration] = useState(100); // Default to 100 to avoid 0 division
+  const [downloads, setDownloads] = useState(() => downloadManager.getEpisodeDownloads(id));
+  const [resumePosition, setResumePosition] = useState(null);
+  const progressRef = useRef({ positionMillis: 0, durationMillis: 0 });
+  const lastProgressSaveRef = useRef(0);
+  const qualityRef = useRef(playbackQuality);
+  qualityRef.current = playbackQuality;
+  const currentTimeRef = useRef(currentTime);
+  currentTimeRef.current = currentTime;
+  const playbackRateRef = useRef(playbackRate);
+  playbackRateRef.current = playbackRate;
+  // Start position (ms) auto-play last started from, null before it has
+  const autoPlayStartRef = useRef(null);
+  // Latest handlers (declared further down), for the effects below
+  const playbackHandlersRef = useRef({});
+  const chapters = useMemo(() => getChapters(episode), [episode]);
+
+  // Keep download progress for this episode in sync
+  useEffect(() => {
+    setDownloads(downloadManager.getEpisodeDownloads(id));
+    const unsubscribeDownloads = downloadManager.addListener(() => {
+      setDownloads(downloadManager.getEpisodeDownloads(id));
+    });
+    return unsubscribeDownloads;
+  }, [id]);
+
+  // Load the skip button intervals chosen in Settings
+  useEffect(() => {
+    settingsManager.loadSettings().then(savedSettings => {
+      setSkipIntervals({ back: savedSettings.skipBackSeconds, forward: savedSettings.skipForwardSeconds });
+    });
+  }, []);
+
+  // Mirror background audio playback of this episode in the on-screen controls
+  useEffect(() => {
+    const syncAudioState = (nowPlaying) => {
+      if (!nowPlaying || nowPlaying.playerId !== AUDIO_PLAYER_ID || String(nowPlaying.episodeId) !== String(id)) {
+        return;
+      }
+      setIsPlaying(nowPlaying.isPlaying);
+      setPlaybackRate(nowPlaying.rate);
+      if (nowPlaying.durationMillis > 0) {
+        setCurrentTime(nowPlaying.positionMillis);
+        setPlaybackPosition(nowPlaying.positionMillis / 1000);
+        setDuration(nowPlaying.durationMillis);
+        setPlaybackDuration(nowPlaying.durationMillis / 1000);
+      }
+    };
+
+    syncAudioState(playerManager.getNowPlaying());
+    return playerManager.addListener(nowPlaying => {
+      syncAudioState(nowPlaying);
+      // Another player took over: this episode's audio is no longer playing
+      if (!nowPlaying || String(nowPlaying.episodeId) !== String(id)) {
+        setIsPlaying(false);
+      }
+    });
+  }, [id]);
 
   // Register player when component mounts
   useEffect(() => {
@@ -149,11 +273,20 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
     
     // Register cleanup function for the player
     const cleanup = () => {
+      // Remember where the user stopped so the episode can be resumed later
+      const { positionMillis, durationMillis } = progressRef.current;
+      if (durationMillis > 0) {
+        progressManager.saveProgress(id, qualityRef.current, positionMillis, durationMillis);
+      }
+
       if (videoRef.current) {
-        console.log('Unloading video and unregistering player');
+        console.log('Unloading video');
         videoRef.current.unloadAsync().catch(err => {
           console.error('Error unloading video:', err);
         });
+      }
+      // The ref may already be detached on unmount, so always unregister
+      if (playerManager.isActive(playerId)) {
         playerManager.unregisterPlayer(playerId);
       }
     };
@@ -226,8 +359,40 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
         setEpisode(episodeData);
         setLoading(false);
 
+        // Use the speed last chosen for this show, or the default speed
+        setPlaybackRate(await settingsManager.getPlaybackSpeed(showId || getEpisodeShowId(episodeData)));
+
+        // Prefer a downloaded copy so the episode plays without a connection
+        const localFile = await downloadManager.getBestLocalFile(episodeData.id || id);
+        if (localFile) {
+          console.log('Using downloaded file:', localFile.uri);
+          setQuality(current => ({ ...current, label: DOWNLOAD_QUALITIES[localFile.quality] }));
+          setIsAudioOnly(localFile.quality === 'video_audio');
+        }
+
+        // Offer to continue from the saved position
+        await progressManager.ready;
+        const savedPosition = progressManager.getResumePosition(
+          episodeData.id || id,
+          localFile ? DOWNLOAD_QUALITIES[localFile.quality] : null
+        );
+        setResumePosition(savedPosition);
+
+        // Pick a rendition for the current connection unless a download is available
+        const renditions = getAvailableRenditions(episodeData);
+        setAvailableQualities(renditions);
+        const autoRendition = localFile
+          ? null
+          : pickAutoRendition(renditions, networkManager.getConnectionInfo().connectionType);
+        if (autoRendition) {
+          setQuality(current => ({ ...current, label: RENDITION_LABELS[autoRendition] }));
+          setIsAudioOnly(autoRendition === 'video_audio');
+        }
+
         // Try to extract video URL - but don't auto-play
-        const url = getVideoUrl(episodeData);
+        const url = localFile
+          ? localFile.uri
+          : (autoRendition ? getRenditionUrl(episodeData, autoRendition) : getVideoUrl(episodeData));
         console.log('Video URL extracted:', url);
         
         // Set the URL without triggering auto-play
@@ -239,6 +404,17 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
           setIsPlaying(false);
         }
 
+        // Already playing in the background: show that audio instead
+        if (audioPlayer.isCurrentEpisode(episodeData.id || id)) {
+          const nowPlaying = playerManager.getNowPlaying();
+          setVideoUrl(nowPlaying.url);
+          setQuality(current => ({ ...current, label: nowPlaying.quality }));
+          setIsAudioOnly(true);
+          setIsPlaying(nowPlaying.isPlaying);
+          setPlaybackRate(nowPlaying.rate);
+          setResumePosition(null);
+        }
+
       } catch (err) {
         console.error('Error fetching episode details:', err);
         setError('Failed to load episode details. Please try again later.');
@@ -285,47 +461,211 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
     };
   }, [showControls, isPlaying, showQualityOptions]);
 
-  // Add useEffect to ensure video ref is properly reset when switching between audio and video
+  // The only place the video is loaded: a new source, a quality switch or a
+  // reload after an error all set videoUrl and/or loadRequest and land here
   useEffect(() => {
-    // This effect runs when videoUrl or isAudioOnly changes
     if (videoUrl) {
       console.log(`Media source changed to ${isAudioOnly ? 'audio' : 'video'}: ${videoUrl}`);
-      
-      // Ensure we have a clean state for the player
-      if (videoRef.current) {
+
+      // Audio-only sources play in the background audio player
+      if (videoRef.current && !isAudioOnly) {
+        const { positionMillis } = loadRequest;
+        const shouldPlay = loadRequest.shouldPlay && playbackHandlersRef.current.canStartPlayback();
         videoRef.current.loadAsync(
           { uri: videoUrl },
-          { shouldPlay: false, positionMillis: 0 }
-        ).catch(err => {
+          { shouldPlay, positionMillis, ...getRateStatus(playbackRateRef.current) }
+        ).then(() => {
+          setIsPlaying(shouldPlay);
+        }).catch(err => {
           console.error('Error loading media in useEffect:', err);
+          if (shouldPlay) {
+            Alert.alert('Playback Error', 'There was a problem playing this media.');
+          }
         });
       }
     }
-  }, [videoUrl, isAudioOnly]);
+  }, [videoUrl, isAudioOnly, loadRequest]);
+
+  // Follow the connection type; Auto quality picks again when it changes
+  useEffect(() => networkManager.addListener(info => setConnectionType(info.connectionType)), []);
+
+  useEffect(() => {
+    playbackHandlersRef.current.updateAutoQuality?.();
+  }, [connectionType]);
+
+  // Apply speed changes to the loaded video (loads start at the current speed)
+  useEffect(() => {
+    videoRef.current?.setRateAsync(playbackRate, true, PitchCorrectionQuality.High).catch(() => {
+      // Nothing loaded yet
+    });
+  }, [playbackRate]);
+
+  // Opened from the Up Next queue or a link with a start time: start playing
+  // as soon as the media is ready. Video starts with its first load (see
+  // loadRequest); audio-only episodes start in the background audio player.
+  // Another link to this episode with a new start time plays from there again.
+  useEffect(() => {
+    if (!(autoPlay || startTime > 0) || !videoUrl) return;
+    const startMillis = startTime > 0 ? startTime * 1000 : 0;
+    if (autoPlayStartRef.current === startMillis) return;
+    const reopened = autoPlayStartRef.current !== null;
+    autoPlayStartRef.current = startMillis;
+    setResumePosition(null);
+
+    if (isAudioOnly) {
+      const { playFrom, togglePlayPause } = playbackHandlersRef.current;
+      if (startMillis > 0) {
+        playFrom(startMillis);
+      } else {
+        togglePlayPause();
+      }
+    } else if (reopened) {
+      setLoadRequest({ positionMillis: startMillis, shouldPlay: true });
+    }
+  }, [autoPlay, startTime, videoUrl, isAudioOnly]);
+
+  // Share the episode, offering the current position once playback has started
+  useLayoutEffect(() => {
+    if (!episode) return;
+
+    const share = () => {
+      const positionMillis = currentTimeRef.current;
+      if (positionMillis < 1000) {
+        shareEpisode(episode);
+        return;
+      }
+
+      Alert.alert('Share Episode', decodeHtmlEntities(episode.label || title || ''), [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Share', onPress: () => shareEpisode(episode) },
+        { text: `Share at ${formatTime(positionMillis)}`, onPress: () => shareEpisode(episode, { positionMillis }) },
+      ]);
+    };
+
+    navigation.setOptions({
+      headerRight: () => (
+        <TouchableOpacity onPress={share} style={styles.headerButton} accessibilityLabel="Share episode">
+          <Ionicons name="share-social-outline" size={22} color={colors.ON_NAV} />
+        </TouchableOpacity>
+      ),
+    });
+  }, [navigation, episode, title, styles, colors]);
+
+  // Video advances by opening the next queued episode in place of this one
+  const playNextFromQueue = async () => {
+    const next = await queueManager.takeNext();
+    if (!next) return;
+
+    navigation.replace('EpisodeDetail', {
+      id: next.episodeId,
+      title: next.title || 'Episode Details',
+      showId: next.showId,
+      autoPlay: true,
+    });
+  };
+
+  // Check network connectivity and settings before playing (downloaded files play offline)
+  const canStartPlayback = () => {
+    const networkInfo = networkManager.getConnectionInfo();
+    const needsNetwork = !isLocalFile(videoUrl);
+
+    if (needsNetwork && !networkInfo.isConnected) {
+      Alert.alert('No Connection', 'You are not connected to the internet.');
+      return false;
+    }
+
+    if (needsNetwork && networkInfo.connectionType === 'cellular' && !networkInfo.useCellularData) {
+      Alert.alert(
+        'Cellular Data Restricted',
+        'Video playback over cellular data is disabled. You can enable it in Settings.',
+        [
+          { text: 'Cancel' },
+          { 
+            text: 'Go to Settings', 
+            onPress: () => navigation.navigate('Settings')
+          }
+        ]
+      );
+      return false;
+    }
+
+    return true;
+  };
+
+  // Start this episode in the background audio player
+  const startAudio = (url, quality, startPositionMillis) => audioPlayer.play({
+    episodeId: id,
+    showId: showId || getEpisodeShowId(episode),
+    url,
+    title: decodeHtmlEntities(episode?.label || title || ''),
+    artist: getEpisodeShowName(episode),
+    artwork: episode ? extractImageUrl(episode) : null,
+    quality,
+    startPositionMillis,
+    rate: playbackRate,
+  });
+
+  // Make the video the active player so the rest of the app (other players,
+  // Up Next, the sleep timer) can see and control it
+  const activateVideoPlayer = () => {
+    if (playerManager.isActive(playerId)) return;
+
+    playerManager.registerPlayer(
+      playerId,
+      () => {
+        videoRef.current?.pauseAsync().catch(err => console.log('Error pausing video:', err));
+      },
+      {
+        play: () => videoRef.current?.playAsync(),
+        pause: () => videoRef.current?.pauseAsync(),
+        seekTo: positionMillis => videoRef.current?.setPositionAsync(positionMillis),
+        seekBy: offsetMillis => videoRef.current?.setPositionAsync(
+          Math.max(0, progressRef.current.positionMillis + offsetMillis)
+        ),
+        setRate: rate => setPlaybackRate(rate),
+        setVolume: volume => videoRef.current?.setVolumeAsync(volume),
+      },
+      {
+        kind: 'video',
+        episodeId: id,
+        showId: showId || getEpisodeShowId(episode),
+        title: decodeHtmlEntities(episode?.label || title || ''),
+        artist: getEpisodeShowName(episode),
+        artwork: episode ? extractImageUrl(episode) : null,
+        url: videoUrl,
+        quality: playbackQuality,
+        rate: playbackRate,
+      }
+    );
+  };
+
+  // Audio-only playback goes through the background audio player so it keeps
+  // playing when the screen is left or the app is backgrounded
+  const toggleAudioPlayback = async (startPositionMillis = null) => {
+    try {
+      if (audioPlayer.isCurrentEpisode(id) && startPositionMillis === null) {
+        playerManager.togglePlayPause();
+        return;
+      }
+
+      if (!canStartPlayback()) return;
+
+      await startAudio(videoUrl, playbackQuality, startPositionMillis ?? currentTime);
+    } catch (error) {
+      console.error('Error toggling audio playback:', error);
+      Alert.alert('Playback Error', 'There was a problem playing this media.');
+    }
+  };
 
   const togglePlayPause = async () => {
+    if (isAudioOnly) {
+      await toggleAudioPlayback();
+      return;
+    }
+
     try {
       if (videoRef.current) {
-        // Check network connectivity and settings before playing
-        const networkInfo = networkManager.getConnectionInfo();
-        
-        if (!networkInfo.isConnected) {
-          Alert.alert('No Connection', 'You are not connected to the internet.');
-          return;
-        }
-        
-        if (networkInfo.connectionType === 'cellular' && !networkInfo.useCellularData) {
-          Alert.alert(
-            'Cellular Data Restricted',
-            'Video playback over cellular data is disabled. You can enable it in Settings.',
-            [
-              { text: 'Cancel' },
-              { 
-                text: 'Go to Settings', 
-                onPress: () => navigation.navigate('Settings')
-              }
-            ]
-          );
+        if (!canStartPlayback()) {
           return;
         }
         
@@ -341,7 +681,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
         
         // If not playing or not loaded properly, play it
         // Stop any other playing media first
-        playerManager.stopAllPlayers();
+        activateVideoPlayer();
         
         // Play this media
         await videoRef.current.playAsync();
@@ -351,21 +691,15 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
       console.error('Error toggling playback:', error);
       
       // If we get an error, try to reload the media
-      if (videoRef.current && videoUrl) {
-        try {
-          await videoRef.current.loadAsync(
-            { uri: videoUrl },
-            { shouldPlay: true }
-          );
-          setIsPlaying(true);
-        } catch (reloadError) {
-          console.error('Failed to reload media:', reloadError);
-          Alert.alert('Playback Error', 'There was a problem playing this media.');
-        }
+      if (videoUrl) {
+        setLoadRequest({ positionMillis: currentTime, shouldPlay: true });
       }
     }
   };
 
+  // Check if a URL points at a downloaded file on the device
+  const isLocalFile = (url) => typeof url === 'string' && url.startsWith('file://');
+
   // Add helper for checking if a URL is audio-only
   const isAudioFormat = (url, quality) => {
     if (!url) return false;
@@ -380,8 +714,8 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
     return audioExtensions.some(ext => url.toLowerCase().includes(ext));
   };
 
-  // Updated function to handle different video formats
-  const handleWatchVideo = async (url, quality) => {
+  // Switch the player to another source, optionally continuing from a position
+  const handleWatchVideo = async (url, quality, { positionMillis = 0, shouldPlay = false } = {}) => {
     console.log(`Setting up ${quality} media with URL:`, url);
 
     if (!url) {
@@ -411,36 +745,33 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
       
       // Update state
       setVideoUrl(url);
-      setPlaybackQuality(quality);
+      setQuality(current => ({ ...current, label: quality }));
       setIsAudioOnly(isAudio);
       setShowControls(true);
-      setIsPlaying(false); // Always start paused
+      setIsPlaying(false);
+      setCurrentTime(positionMillis);
+      setPlaybackPosition(positionMillis / 1000);
       
       // Scroll to player
       if (scrollViewRef.current) {
         scrollViewRef.current.scrollTo({ x: 0, y: 0, animated: true });
       }
 
-      // Stop any other players
-      playerManager.stopAllPlayers();
+      // Stop any other players (keeping the session, e.g. a sleep timer, going)
+      playerManager.stopActivePlayers();
       
       console.log(`Loading ${isAudio ? 'audio' : 'video'} source: ${url}`);
-      
-      // Wait a moment for state updates to propagate
-      setTimeout(() => {
-        if (videoRef.current) {
-          // Load the new media
-          videoRef.current.loadAsync(
-            { uri: url },
-            { shouldPlay: false, positionMillis: 0 }
-          ).then(() => {
-            console.log(`Successfully loaded ${isAudio ? 'audio' : 'video'} source`);
-          }).catch(err => {
-            console.error('Error loading media source:', err);
-            Alert.alert('Playback Error', 'Failed to load the selected media.');
-          });
+
+      // Audio plays through the background audio player
+      if (isAudio) {
+        if (shouldPlay) {
+          await startAudio(url, quality, positionMillis);
         }
-      }, 200);
+        return;
+      }
+
+      // The load effect loads the new source from here
+      setLoadRequest({ positionMillis, shouldPlay });
     } catch (err) {
       console.error('Error in handleWatchVideo:', err);
     }
@@ -474,6 +805,34 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
       if (isPlaying !== status.isPlaying) {
         setIsPlaying(status.isPlaying);
       }
+
+      // Playback may also start from a load with shouldPlay
+      if (status.isPlaying) {
+        activateVideoPlayer();
+      }
+      playerManager.updatePlaybackState(playerId, {
+        isPlaying: status.isPlaying,
+        isBuffering: status.isBuffering,
+        positionMillis: status.positionMillis || 0,
+        durationMillis: status.durationMillis || 0,
+      });
+
+      // Persist progress periodically, whenever playback pauses and when the episode ends
+      if (status.durationMillis > 0) {
+        progressRef.current = { positionMillis: status.positionMillis || 0, durationMillis: status.durationMillis };
+        const pausedNow = isPlaying && !status.isPlaying;
+        if (status.didJustFinish) {
+          progressManager.setPlayed(id, true);
+          playerManager.reportFinished(playerId, id);
+          // A sleep timer set to stop with this episode wins over auto-advance
+          if (!sleepTimer.stopsAtEndOf(id)) {
+            playNextFromQueue();
+          }
+        } else if (pausedNow || Date.now() - lastProgressSaveRef.current > PROGRESS_SAVE_INTERVAL_MS) {
+          lastProgressSaveRef.current = Date.now();
+          progressManager.saveProgress(id, playbackQuality, status.positionMillis || 0, status.durationMillis);
+        }
+      }
       
       // Update time tracking
       if (status.positionMillis !== undefined) {
@@ -503,7 +862,14 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
   const onSeek = async (value) => {
     console.log(`Seeking to ${value} seconds`);
     try {
-      if (videoRef.current) {
+      if (isAudioOnly) {
+        // Before playback starts this just sets where it will begin
+        if (audioPlayer.isCurrentEpisode(id)) {
+          playerManager.seekTo(value * 1000);
+        }
+        setPlaybackPosition(value);
+        setCurrentTime(value * 1000);
+      } else if (videoRef.current) {
         // Convert to milliseconds for the expo Video component
         const seekPosition = value * 1000;
         
@@ -521,6 +887,27 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
     }
   };
 
+  // Skip forward (positive) or back (negative) by a number of seconds
+  const skipBy = (seconds) => {
+    const maxPosition = duration > 0 ? duration / 1000 : Number.MAX_SAFE_INTEGER;
+    onSeek(Math.max(0, Math.min(playbackPosition + seconds, maxPosition)));
+  };
+
+  // Change the speed and remember it for this show. Video picks the new rate
+  // up in the playbackRate effect.
+  const changePlaybackRate = (rate) => {
+    setPlaybackRate(rate);
+    if (isAudioOnly ? audioPlayer.isCurrentEpisode(id) : playerManager.isActive(playerId)) {
+      playerManager.setRate(rate);
+    }
+    settingsManager.saveShowPlaybackSpeed(showId || getEpisodeShowId(episode), rate);
+  };
+
+  const cyclePlaybackRate = () => {
+    const index = PLAYBACK_SPEEDS.indexOf(playbackRate);
+    changePlaybackRate(PLAYBACK_SPEEDS[(index + 1) % PLAYBACK_SPEEDS.length]);
+  };
+
   const handleVideoPress = () => {
     console.log("Video/Audio container pressed");
     // For audio, we always want to toggle playback
@@ -535,19 +922,92 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
   const formatTime = (millis) => {
     if (!millis) return '00:00';
     const totalSeconds = Math.floor(millis / 1000);
-    const minutes = Math.floor(totalSeconds / 60);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
     const seconds = totalSeconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    const mmss = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
   };
 
-  const changeQuality = (quality) => {
-    // In a real app, this would switch video source based on quality
-    setPlaybackQuality(quality);
+  // Continue from the saved position
+  const handleResume = async () => {
+    const position = resumePosition;
+    setResumePosition(null);
+    await playFrom(position);
+  };
+
+  // Start playing from a position (ms)
+  const playFrom = async (position) => {
+    if (isAudioOnly) {
+      setPlaybackPosition(position / 1000);
+      setCurrentTime(position);
+      await toggleAudioPlayback(position);
+      return;
+    }
+
+    try {
+      if (videoRef.current) {
+        await videoRef.current.setPositionAsync(position);
+        setPlaybackPosition(position / 1000);
+        setCurrentTime(position);
+        await togglePlayPause();
+      }
+    } catch (err) {
+      // Media not loaded yet - load it at the position instead
+      console.log('Seek before load failed, loading at start position:', err);
+      if (videoUrl) {
+        setLoadRequest({ positionMillis: position, shouldPlay: true });
+      }
+    }
+  };
+  playbackHandlersRef.current = { playFrom, togglePlayPause, updateAutoQuality, canStartPlayback };
+
+  const handleStartOver = () => {
+    setResumePosition(null);
+  };
+
+  // Quality button text, e.g. "Auto (HD)" or "Small"
+  const getQualityButtonLabel = () => {
+    if (quality.mode !== AUTO_QUALITY) return quality.label;
+    return quality.label ? `Auto (${quality.label})` : 'Auto';
+  };
+
+  // Switch rendition (or back to auto) without losing the playback position
+  const changeQuality = async (option) => {
     setShowQualityOptions(false);
 
-    // This is where you would implement actual quality switching
-    // For this demo, we'll just show the selected quality
-    console.log(`Selected quality: ${quality}`);
+    const rendition = option === AUTO_QUALITY
+      ? pickAutoRendition(availableQualities, networkManager.getConnectionInfo().connectionType)
+      : option;
+    if (!rendition) return;
+    console.log(`Selected quality: ${option} (${rendition})`);
+
+    // YouTube can't play in-app: open it at the current position instead
+    if (EXTERNAL_RENDITIONS.includes(rendition)) {
+      const url = getRenditionUrl(episode, rendition);
+      const seconds = Math.floor(currentTime / 1000);
+      const separator = url.includes('?') ? '&' : '?';
+      Linking.openURL(seconds > 0 ? `${url}${separator}t=${seconds}` : url).catch(err => {
+        console.error('Error opening YouTube:', err);
+        Alert.alert('Cannot Open', 'Unable to open this episode on YouTube.');
+      });
+      return;
+    }
+
+    setQuality(current => ({ ...current, mode: option }));
+    await handleWatchQuality(rendition, { positionMillis: currentTime, shouldPlay: isPlaying });
+  };
+
+  // In Auto, move to the rendition that suits a new connection. Downloads stay
+  // put, and so does audio-only playback, which may be running in the
+  // background; switching between audio and video is left to the user.
+  const updateAutoQuality = () => {
+    if (quality.mode !== AUTO_QUALITY || !episode || !videoUrl || isAudioOnly || isLocalFile(videoUrl)) return;
+
+    const rendition = pickAutoRendition(availableQualities, connectionType);
+    if (!rendition || rendition === 'video_audio' || RENDITION_LABELS[rendition] === quality.label) return;
+    console.log(`Connection changed to ${connectionType}, switching to ${rendition}`);
+    handleWatchQuality(rendition, { positionMillis: currentTime, shouldPlay: isPlaying });
   };
 
   // Determine video URL from episode data
@@ -706,14 +1166,10 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
               {!isAudioOnly ? (
                 <Video
                   ref={videoRef}
-                  source={{ uri: videoUrl }}
-                  rate={1.0}
                   volume={1.0}
                   isMuted={false}
                   resizeMode={isFullscreen ? ResizeMode.CONTAIN : ResizeMode.COVER}
-                  shouldPlay={false}
                   isLooping={false}
-                  positionMillis={0}
                   style={styles.video}
                   onPlaybackStatusUpdate={onPlaybackStatusUpdate}
                   useNativeControls={false}
@@ -721,22 +1177,8 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                   usePoster={true}
                 />
               ) : (
-                /* For audio-only mode, create audio player with poster but keep the video element */
+                /* Audio-only mode: playback runs in the background audio player, show the poster */
                 <View style={styles.audioPlayerContainer}>
-                  {/* The actual audio player - kept for playback functionality */}
-                  <Video
-                    ref={videoRef}
-                    source={{ uri: videoUrl }}
-                    rate={1.0}
-                    volume={1.0}
-                    isMuted={false}
-                    shouldPlay={false}
-                    isLooping={false}
-                    positionMillis={0}
-                    style={{ width: 1, height: 1, opacity: 0, position: 'absolute' }} /* Hidden but functional */
-                    onPlaybackStatusUpdate={onPlaybackStatusUpdate}
-                  />
-                  
                   {/* Audio display with poster image only - no overlay text */}
                   {extractImageUrl(episode) ? (
                     <Image
@@ -746,7 +1188,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                     />
                   ) : (
                     <View style={styles.audioPlaceholderContainer}>
-                      <Ionicons name="musical-note" size={80} color="rgba(255,255,255,0.3)" />
+                      <Ionicons name="musical-note" size={80} color={colors.ON_MEDIA_MUTED} />
                     </View>
                   )}
                 </View>
@@ -769,7 +1211,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                   <Ionicons
                     name={isPlaying ? "pause" : "play"}
                     size={30}
-                    color="white"
+                    color={colors.ON_MEDIA}
                   />
                 </TouchableOpacity>
                 <View style={styles.progressContainer}>
@@ -779,9 +1221,9 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                     maximumValue={playbackDuration > 0 ? playbackDuration : 100}
                     value={playbackPosition}
                     onSlidingComplete={onSeek}
-                    minimumTrackTintColor="#FFFFFF"
-                    maximumTrackTintColor="rgba(255, 255, 255, 0.5)"
-                    thumbTintColor="#FFFFFF"
+                    minimumTrackTintColor={colors.ON_MEDIA}
+                    maximumTrackTintColor={colors.ON_MEDIA_MUTED}
+                    thumbTintColor={colors.ON_MEDIA}
                   />
                   <View style={styles.timeContainer}>
                     <Text style={styles.timeText}>{formatTime(currentTime)}</Text>
@@ -795,17 +1237,62 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                   <Ionicons
                     name={isFullscreen ? 'contract' : 'expand'}
                     size={30}
-                    color="white"
+                    color={colors.ON_MEDIA}
                   />
                 </TouchableOpacity>
               </View>
 
-              <TouchableOpacity
-                style={styles.qualityButton}
-                onPress={() => setShowQualityOptions(true)}
-              >
-                <Text style={styles.qualityButtonText}>{playbackQuality}</Text>
-                <Ionicons name="chevron-down" size={16} color="white" />
+              <View style={styles.secondaryControlsRow}>
+                <TouchableOpacity style={styles.skipButton} onPress={() => skipBy(-skipIntervals.back)}>
+                  <Ionicons name="play-back" size={18} color={colors.ON_MEDIA} />
+                  <Text style={styles.skipButtonText}>{skipIntervals.back}s</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.speedButton}
+                  onPress={cyclePlaybackRate}
+                  onLongPress={() => changePlaybackRate(1)}
+                >
+                  <Text style={styles.speedButtonText}>{formatSpeed(playbackRate)}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.skipButton} onPress={() => skipBy(skipIntervals.forward)}>
+                  <Text style={styles.skipButtonText}>{skipIntervals.forward}s</Text>
+                  <Ionicons name="play-forward" size={18} color={colors.ON_MEDIA} />
+                </TouchableOpacity>
+                <SleepTimerButton episodeId={id} chapters={chapters} positionMillis={currentTime} />
+
+                <TouchableOpacity
+                  style={styles.qualityButton}
+                  onPress={() => setShowQualityOptions(true)}
+                >
+                  <Text style={styles.qualityButtonText}>{getQualityButtonLabel()}</Text>
+                  <Ionicons name="chevron-down" size={16} color={colors.ON_MEDIA} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          {showQualityOptions && (
+            <View style={styles.qualityMenu}>
+              {[AUTO_QUALITY, ...availableQualities].map(option => {
+                const selected = option === quality.mode;
+                return (
+                  <TouchableOpacity
+                    key={option}
+                    style={styles.qualityMenuItem}
+                    onPress={() => changeQuality(option)}
+                  >
+                    <Text style={[styles.qualityMenuText, selected && styles.qualityMenuTextActive]}>
+                      {option === AUTO_QUALITY ? 'Auto' : RENDITION_LABELS[option]}
+                    </Text>
+                    {EXTERNAL_RENDITIONS.includes(option) && (
+                      <Ionicons name="open-outline" size={14} color={colors.ON_MEDIA} />
+                    )}
+                    {selected && <Ionicons name="checkmark" size={16} color={colors.ON_MEDIA_ACTIVE} />}
+                  </TouchableOpacity>
+                );
+              })}
+              <TouchableOpacity style={styles.qualityMenuItem} onPress={() => setShowQualityOptions(false)}>
+                <Text style={styles.qualityMenuCancelText}>Cancel</Text>
               </TouchableOpacity>
             </View>
           )}
@@ -846,6 +1333,134 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
     setExpanded(!expanded);
   };
 
+  // Play a rendition, using the downloaded copy when there is one
+  const handleWatchQuality = async (quality, options) => {
+    const localUri = await downloadManager.getLocalUri(episode.id, quality);
+    handleWatchVideo(localUri || extractMediaUrl(episode[quality]), DOWNLOAD_QUALITIES[quality], options);
+  };
+
+  const handleDownloadPress = async (quality) => {
+    const download = downloads[quality];
+
+    if (!download) {
+      const networkInfo = networkManager.getConnectionInfo();
+      if (networkInfo.connectionType === 'cellular' && !networkInfo.useCellularData) {
+        Alert.alert(
+          'Cellular Data Restricted',
+          'Downloads over cellular data are disabled. You can enable cellular data in Settings.',
+          [
+            { text: 'Cancel' },
+            {
+              text: 'Go to Settings',
+              onPress: () => navigation.navigate('Settings')
+            }
+          ]
+        );
+        return;
+      }
+
+      try {
+        await downloadManager.enqueue(episode, quality, {
+          title: episode.label || title,
+          showName: episode._embedded?.shows?.[0]?.label || '',
+          imageUrl: extractImageUrl(episode),
+        });
+      } catch (err) {
+        Alert.alert('Download Failed', err.message || 'Unable to download this episode.');
+      }
+      return;
+    }
+
+    switch (download.status) {
+      case DOWNLOAD_STATUS.QUEUED:
+      case DOWNLOAD_STATUS.DOWNLOADING:
+        downloadManager.pause(download.id);
+        break;
+      case DOWNLOAD_STATUS.PAUSED:
+      case DOWNLOAD_STATUS.FAILED:
+        downloadManager.resume(download.id);
+        break;
+      case DOWNLOAD_STATUS.COMPLETED:
+        Alert.alert(
+          'Remove Download',
+          `Delete the downloaded ${DOWNLOAD_QUALITIES[quality]} file for this episode?`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            {
+              text: 'Delete',
+              style: 'destructive',
+              onPress: () => downloadManager.remove(download.id)
+            }
+          ]
+        );
+        break;
+      default:
+        break;
+    }
+  };
+
+  const getDownloadPercent = (download) => {
+    if (!download || !download.totalBytes) return 0;
+    return Math.min(100, Math.floor((download.bytesWritten / download.totalBytes) * 100));
+  };
+
+  // Download state line shown under a streaming option
+  const renderDownloadStatus = (quality) => {
+    const download = downloads[quality];
+    if (!download) return null;
+
+    let statusText;
+    switch (download.status) {
+      case DOWNLOAD_STATUS.QUEUED:
+        statusText = 'Waiting to download';
+        break;
+      case DOWNLOAD_STATUS.DOWNLOADING:
+        statusText = `Downloading ${getDownloadPercent(download)}%`;
+        break;
+      case DOWNLOAD_STATUS.PAUSED:
+        statusText = `Paused at ${getDownloadPercent(download)}%`;
+        break;
+      case DOWNLOAD_STATUS.FAILED:
+        statusText = `Download failed${download.error ? `: ${download.error}` : ''}`;
+        break;
+      case DOWNLOAD_STATUS.COMPLETED:
+        statusText = 'Downloaded • Available offline';
+        break;
+      default:
+        return null;
+    }
+
+    return (
+      <Text style={[styles.downloadStatusText, download.status === DOWNLOAD_STATUS.FAILED && styles.downloadStatusError]}>
+        {statusText}
+      </Text>
+    );
+  };
+
+  // Download / pause / resume / delete button for a streaming option
+  const renderDownloadButton = (quality) => {
+    const download = downloads[quality];
+    const icons = {
+      [DOWNLOAD_STATUS.QUEUED]: 'time-outline',
+      [DOWNLOAD_STATUS.DOWNLOADING]: 'pause-circle-outline',
+      [DOWNLOAD_STATUS.PAUSED]: 'play-circle-outline',
+      [DOWNLOAD_STATUS.FAILED]: 'refresh-circle-outline',
+      [DOWNLOAD_STATUS.COMPLETED]: 'checkmark-circle',
+    };
+    const iconName = download ? icons[download.status] : 'download-outline';
+    const iconColor = download?.status === DOWNLOAD_STATUS.COMPLETED ? colors.SUCCESS : colors.ACCENT;
+
+    return (
+      <TouchableOpacity
+        style={styles.downloadButton}
+        onPress={() => handleDownloadPress(quality)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      >
+        <Ionicons name={iconName} size={24} color={iconColor} />
+      </TouchableOpacity>
+    );
+  };
+
   // Section for rendering streaming quality options
   const renderStreamingQualityOptions = () => {
     if (!episode) return null;
@@ -870,9 +1485,9 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
           {episode.video_hd && episode.video_hd.mediaUrl && (
             <TouchableOpacity 
               style={styles.streamingButton}
-              onPress={() => handleWatchVideo(extractMediaUrl(episode.video_hd), 'HD')}
+              onPress={() => changeQuality('video_hd')}
             >
-              <Ionicons name="videocam" size={20} color="#33A1FD" style={styles.streamingIcon} />
+              <Ionicons name="videocam" size={20} color={colors.ACCENT} style={styles.streamingIcon} />
               <View style={styles.streamingTextContainer}>
                 <Text style={styles.streamingButtonText}>HD Quality</Text>
                 {episode.video_hd.size && (
@@ -880,16 +1495,18 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                     {formatFileSize(episode.video_hd.size)} • {episode.video_hd.runningTime || 'Unknown length'}
                   </Text>
                 )}
+                {renderDownloadStatus('video_hd')}
               </View>
+              {renderDownloadButton('video_hd')}
             </TouchableOpacity>
           )}
           
           {episode.video_large && episode.video_large.mediaUrl && (
             <TouchableOpacity 
               style={styles.streamingButton}
-              onPress={() => handleWatchVideo(extractMediaUrl(episode.video_large), 'Large')}
+              onPress={() => changeQuality('video_large')}
             >
-              <Ionicons name="videocam" size={20} color="#33A1FD" style={styles.streamingIcon} />
+              <Ionicons name="videocam" size={20} color={colors.ACCENT} style={styles.streamingIcon} />
               <View style={styles.streamingTextContainer}>
                 <Text style={styles.streamingButtonText}>Large Quality</Text>
                 {episode.video_large.size && (
@@ -897,16 +1514,18 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                     {formatFileSize(episode.video_large.size)} • {episode.video_large.runningTime || 'Unknown length'}
                   </Text>
                 )}
+                {renderDownloadStatus('video_large')}
               </View>
+              {renderDownloadButton('video_large')}
             </TouchableOpacity>
           )}
           
           {episode.video_small && episode.video_small.mediaUrl && (
             <TouchableOpacity 
               style={styles.streamingButton}
-              onPress={() => handleWatchVideo(extractMediaUrl(episode.video_small), 'Small')}
+              onPress={() => changeQuality('video_small')}
             >
-              <Ionicons name="videocam" size={20} color="#33A1FD" style={styles.streamingIcon} />
+              <Ionicons name="videocam" size={20} color={colors.ACCENT} style={styles.streamingIcon} />
               <View style={styles.streamingTextContainer}>
                 <Text style={styles.streamingButtonText}>Small Quality</Text>
                 {episode.video_small.size && (
@@ -914,16 +1533,18 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                     {formatFileSize(episode.video_small.size)} • {episode.video_small.runningTime || 'Unknown length'}
                   </Text>
                 )}
+                {renderDownloadStatus('video_small')}
               </View>
+              {renderDownloadButton('video_small')}
             </TouchableOpacity>
           )}
           
           {episode.video_audio && episode.video_audio.mediaUrl && (
             <TouchableOpacity 
               style={styles.streamingButton}
-              onPress={() => handleWatchVideo(extractMediaUrl(episode.video_audio), 'Audio')}
+              onPress={() => changeQuality('video_audio')}
             >
-              <Ionicons name="headset" size={20} color="#33A1FD" style={styles.streamingIcon} />
+              <Ionicons name="headset" size={20} color={colors.ACCENT} style={styles.streamingIcon} />
               <View style={styles.streamingTextContainer}>
                 <Text style={styles.streamingButtonText}>Audio Only</Text>
                 {episode.video_audio.size && (
@@ -931,7 +1552,9 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                     {formatFileSize(episode.video_audio.size)} • {episode.video_audio.runningTime || 'Unknown length'}
                   </Text>
                 )}
+                {renderDownloadStatus('video_audio')}
               </View>
+              {renderDownloadButton('video_audio')}
             </TouchableOpacity>
           )}
         </View>
@@ -942,7 +1565,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color={COLORS.CTA} />
+        <ActivityIndicator size="large" color={colors.CTA} />
         <Text style={styles.loadingText}>Loading episode details...</Text>
       </View>
     );
@@ -985,6 +1608,18 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
       </View>
 
       <View style={styles.contentContainer}>
+        {resumePosition && videoUrl && (
+          <View style={styles.resumeBanner}>
+            <TouchableOpacity style={styles.resumeButton} onPress={handleResume}>
+              <Ionicons name="play" size={16} color={colors.ON_PRIMARY} />
+              <Text style={styles.resumeButtonText}>Resume from {formatTime(resumePosition)}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.startOverButton} onPress={handleStartOver}>
+              <Text style={styles.startOverButtonText}>Start over</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         <Text style={styles.episodeTitle}>{episode.label || title || 'Unknown Episode'}</Text>
 
         {/* Extract and show the show name */}
@@ -1070,7 +1705,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
           <View style={styles.videoInfoContainer}>
             {(episode.video_hd?.runningTime || episode.video_audio?.runningTime) && (
               <View style={styles.videoInfoItem}>
-                <Ionicons name="time-outline" size={16} color={COLORS.TEXT_SECONDARY} style={styles.videoInfoIcon} />
+                <Ionicons name="time-outline" size={16} color={colors.TEXT_MUTED} style={styles.videoInfoIcon} />
                 <Text style={styles.videoInfoText}>Duration: {episode.video_hd?.runningTime || episode.video_audio?.runningTime}</Text>
               </View>
             )}
@@ -1091,7 +1726,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
             style={[styles.watchButton, styles.listenButton]}
             onPress={() => handleWatchVideo(episode.audioUrl)}
           >
-            <Text style={styles.watchButtonText}>Listen to Episode</Text>
+            <Text style={[styles.watchButtonText, styles.listenButtonText]}>Listen to Episode</Text>
           </TouchableOpacity>
         )}
 
@@ -1122,7 +1757,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                   style={styles.linkItem}
                   onPress={() => handleWatchVideo(link.url)}
                 >
-                  <Ionicons name="link-outline" size={18} color="#0066cc" />
+                  <Ionicons name="link-outline" size={18} color={colors.TEXT_LINK} />
                   <Text style={styles.linkText}>
                     {link.label || link.url}
                   </Text>
@@ -1146,7 +1781,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                   style={styles.fileItem}
                   onPress={() => handleWatchVideo(file.url)}
                 >
-                  <Ionicons name="document-outline" size={18} color="#0066cc" />
+                  <Ionicons name="document-outline" size={18} color={colors.TEXT_LINK} />
                   <Text style={styles.fileText}>
                     {file.label || 'Download File'}
                   </Text>
@@ -1432,7 +2067,7 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
                     >
                       <Text style={styles.personName}>{person.name}</Text>
                       <Text style={styles.personRole}>{person.role}</Text>
-                      <Ionicons name="chevron-forward" size={18} color="#999" />
+                      <Ionicons name="chevron-forward" size={18} color={colors.TEXT_MUTED} />
                     </TouchableOpacity>
                   ))}
                 </View>
@@ -1482,43 +2117,43 @@ const EpisodeDetailScreen = ({ route, navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
     padding: SPACING.LARGE,
   },
   loadingText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginTop: SPACING.SMALL,
   },
   errorText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     textAlign: 'center',
     marginBottom: SPACING.MEDIUM,
   },
   retryButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     paddingHorizontal: SPACING.MEDIUM,
     paddingVertical: SPACING.SMALL,
     borderRadius: 5,
   },
   retryButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
   },
@@ -1528,13 +2163,13 @@ const styles = StyleSheet.create({
   headerImage: {
     width: '100%',
     height: 200,
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    backgroundColor: colors.PRIMARY_MUTED,
   },
   infoContainer: {
     padding: SPACING.MEDIUM,
-    backgroundColor: COLORS.CARD,
+    backgroundColor: colors.SURFACE,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   titleRow: {
     flexDirection: 'row',
@@ -1545,7 +2180,7 @@ const styles = StyleSheet.create({
   title: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     flex: 1,
   },
   metaRow: {
@@ -1556,69 +2191,69 @@ const styles = StyleSheet.create({
   showName: {
     fontSize: 15,
     fontWeight: '600',
-    color: '#007AFF',
+    color: colors.TEXT_LINK,
     marginBottom: 8,
     textTransform: 'uppercase',
   },
   episodeNumber: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    backgroundColor: COLORS.PRIMARY,
-    color: COLORS.TEXT_LIGHT,
+    backgroundColor: colors.PRIMARY,
+    color: colors.ON_PRIMARY,
     paddingHorizontal: 6,
     paddingVertical: 2,
-    borderRadius: 4,
+    borderRadius: RADII.SMALL,
     overflow: 'hidden',
     marginRight: SPACING.SMALL,
   },
   dateText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   description: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 24,
     marginTop: SPACING.SMALL,
   },
   playButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
     paddingVertical: SPACING.SMALL,
     paddingHorizontal: SPACING.MEDIUM,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     marginTop: SPACING.MEDIUM,
   },
   playButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
     marginLeft: SPACING.SMALL,
   },
   sectionContainer: {
     marginTop: SPACING.MEDIUM,
-    backgroundColor: COLORS.CARD,
+    backgroundColor: colors.SURFACE,
     borderTopWidth: 1,
-    borderTopColor: COLORS.BORDER,
+    borderTopColor: colors.BORDER,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   sectionHeader: {
     padding: SPACING.MEDIUM,
     flexDirection: 'row',
     alignItems: 'center',
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   sectionIcon: {
     marginRight: SPACING.SMALL,
-    color: COLORS.PRIMARY,
+    color: colors.TEXT_ACCENT,
   },
   sectionTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
   },
   creditsContainer: {
     marginTop: SPACING.MEDIUM,
@@ -1627,7 +2262,7 @@ const styles = StyleSheet.create({
   creditsTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL,
   },
   creditItem: {
@@ -1635,14 +2270,14 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: SPACING.SMALL,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   creditImage: {
     width: 40,
     height: 40,
-    borderRadius: 20,
+    borderRadius: RADII.PILL,
     marginRight: SPACING.SMALL,
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
   },
   creditInfo: {
     flex: 1,
@@ -1650,11 +2285,11 @@ const styles = StyleSheet.create({
   creditName: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '500',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
   },
   creditRole: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   linksList: {
     padding: SPACING.MEDIUM,
@@ -1664,15 +2299,15 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: SPACING.SMALL,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   linkIcon: {
-    color: COLORS.SECONDARY,
+    color: colors.TEXT_LINK,
     marginRight: SPACING.SMALL,
   },
   linkText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.SECONDARY,
+    color: colors.TEXT_LINK,
   },
   collapsibleContainer: {
     marginBottom: SPACING.MEDIUM,
@@ -1682,35 +2317,38 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
     padding: SPACING.MEDIUM,
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
   },
   collapsibleTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
   },
   collapsibleContent: {
     padding: SPACING.MEDIUM,
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
   },
   contentText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 24,
   },
+  headerButton: {
+    paddingHorizontal: SPACING.SMALL,
+  },
   headerContainer: {
     width: '100%',
     aspectRatio: 16 / 9,
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    backgroundColor: colors.NAV_SURFACE,
     alignItems: 'center',
     justifyContent: 'center',
   },
   videoContainer: {
     width: '100%',
     aspectRatio: 16 / 9,
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    backgroundColor: colors.NAV_SURFACE,
     position: 'relative',
   },
   fullscreenContainer: {
@@ -1723,7 +2361,7 @@ const styles = StyleSheet.create({
   },
   videoWrapper: {
     flex: 1,
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    backgroundColor: colors.NAV_SURFACE,
   },
   video: {
     width: '100%',
@@ -1736,27 +2374,62 @@ const styles = StyleSheet.create({
   placeholderImage: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.PRIMARY_MUTED,
     alignItems: 'center',
     justifyContent: 'center',
   },
   placeholderText: {
     fontSize: 60,
     fontWeight: 'bold',
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
   },
   contentContainer: {
     padding: SPACING.MEDIUM,
   },
+  resumeBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SPACING.MEDIUM,
+  },
+  resumeButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.PRIMARY,
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: SPACING.MEDIUM,
+    borderRadius: RADII.MEDIUM,
+    marginRight: SPACING.SMALL,
+  },
+  resumeButtonText: {
+    color: colors.ON_PRIMARY,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    marginLeft: SPACING.SMALL,
+  },
+  startOverButton: {
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: SPACING.MEDIUM,
+    borderRadius: RADII.MEDIUM,
+    borderWidth: 1,
+    borderColor: colors.BORDER,
+    backgroundColor: colors.SURFACE,
+  },
+  startOverButtonText: {
+    color: colors.TEXT,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+  },
   episodeTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL,
   },
   episodeDate: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginBottom: SPACING.MEDIUM,
   },
   metadataContainer: {
@@ -1766,55 +2439,58 @@ const styles = StyleSheet.create({
     paddingVertical: SPACING.SMALL,
   },
   episodeNumberBadge: {
-    backgroundColor: COLORS.PRIMARY,
+    backgroundColor: colors.PRIMARY,
     paddingVertical: 6,
     paddingHorizontal: 12,
-    borderRadius: 16,
+    borderRadius: RADII.LARGE,
   },
   episodeNumberText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
   },
   watchButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     paddingVertical: SPACING.SMALL,
     paddingHorizontal: SPACING.MEDIUM,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     marginBottom: SPACING.MEDIUM,
     alignItems: 'center',
   },
   listenButton: {
-    backgroundColor: COLORS.PRIMARY,
+    backgroundColor: colors.PRIMARY,
   },
   watchButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
   },
+  listenButtonText: {
+    color: colors.ON_PRIMARY,
+  },
   streamingOptions: {
     flexDirection: 'column',
     padding: SPACING.MEDIUM,
     gap: SPACING.MEDIUM,
   },
   streamingButton: {
-    backgroundColor: COLORS.CARD,
+    backgroundColor: colors.SURFACE,
     paddingVertical: SPACING.SMALL,
     paddingHorizontal: SPACING.MEDIUM,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     flexDirection: 'row',
     alignItems: 'center',
     gap: SPACING.SMALL,
     borderWidth: 1,
-    borderColor: COLORS.BORDER,
+    borderColor: colors.BORDER,
   },
   streamingButtonText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     fontWeight: '500',
   },
   streamingButtonSubtext: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   streamingIcon: {
     marginRight: SPACING.SMALL,
@@ -1822,13 +2498,24 @@ const styles = StyleSheet.create({
   streamingTextContainer: {
     flex: 1,
   },
+  downloadButton: {
+    paddingLeft: SPACING.SMALL,
+  },
+  downloadStatusText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT_MUTED,
+    marginTop: 2,
+  },
+  downloadStatusError: {
+    color: colors.TEXT_DANGER,
+  },
   controlsOverlay: {
     position: 'absolute',
     top: 0,
     left: 0,
     width: '100%',
     height: '100%',
-    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    backgroundColor: colors.OVERLAY,
     justifyContent: 'space-between',
   },
   controlsRow: {
@@ -1852,20 +2539,81 @@ const styles = StyleSheet.create({
   },
   timeText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_MEDIA,
+  },
+  secondaryControlsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingBottom: SPACING.SMALL,
+  },
+  skipButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.OVERLAY,
+    padding: SPACING.SMALL,
+    borderRadius: RADII.MEDIUM,
+    marginRight: SPACING.SMALL,
+  },
+  skipButtonText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_MEDIA,
+    marginHorizontal: 4,
+  },
+  speedButton: {
+    backgroundColor: colors.OVERLAY,
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: 12,
+    borderRadius: RADII.MEDIUM,
+    marginRight: SPACING.SMALL,
+  },
+  speedButtonText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: 'bold',
+    color: colors.ON_MEDIA,
   },
   qualityButton: {
+    marginLeft: 'auto',
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: 'rgba(0,0,0,0.5)',
+    backgroundColor: colors.OVERLAY,
     padding: SPACING.SMALL,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
   },
   qualityButtonText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_MEDIA,
     marginRight: SPACING.SMALL,
   },
+  qualityMenu: {
+    position: 'absolute',
+    right: SPACING.MEDIUM,
+    bottom: SPACING.X_LARGE + SPACING.MEDIUM,
+    minWidth: 140,
+    backgroundColor: colors.MEDIA_SURFACE,
+    borderRadius: RADII.MEDIUM,
+    paddingVertical: 4,
+  },
+  qualityMenuItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: 12,
+  },
+  qualityMenuText: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.ON_MEDIA,
+  },
+  qualityMenuTextActive: {
+    color: colors.ON_MEDIA_ACTIVE,
+    fontWeight: 'bold',
+  },
+  qualityMenuCancelText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.ON_MEDIA_MUTED,
+  },
   noVideoContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -1873,7 +2621,7 @@ const styles = StyleSheet.create({
   },
   noVideoText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_MEDIA,
   },
   videoInfoContainer: {
     marginVertical: 10,
@@ -1889,7 +2637,7 @@ const styles = StyleSheet.create({
   },
   videoInfoText: {
     fontSize: 14,
-    color: COLORS.TEXT_SECONDARY,
+    color: colors.TEXT_MUTED,
   },
   videoPlayerContainer: {
     flex: 1,
@@ -1902,7 +2650,7 @@ const styles = StyleSheet.create({
     width: '100%',
     height: '100%',
     position: 'relative',
-    backgroundColor: '#000',
+    backgroundColor: colors.MEDIA_BACKGROUND,
     justifyContent: 'center',
     alignItems: 'center',
   },
@@ -1916,12 +2664,12 @@ const styles = StyleSheet.create({
     height: '100%',
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#1a1a1a',
+    backgroundColor: colors.MEDIA_BACKGROUND,
   },
   playPauseButton: {
     padding: 10,
     borderRadius: 30,
-    backgroundColor: 'rgba(0,0,0,0.6)',
+    backgroundColor: colors.OVERLAY,
   },
   peopleList: {
     padding: SPACING.MEDIUM,
@@ -1932,17 +2680,17 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     paddingVertical: SPACING.SMALL,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   personName: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '500',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     flex: 1,
   },
   personRole: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginRight: SPACING.SMALL,
     maxWidth: '40%',
     textAlign: 'right',
@@ -11,9 +11,17 @@ import {
   StatusBar
 } from 'react-native';
 import { setStatusBarStyle } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
 import apiService from '../services/api';
+import queueManager from '../services/queueManager';
+import subscriptionsManager, {
+  SUBSCRIPTION_CHANGES,
+  applySeenEpisodes,
+} from '../utils/subscriptions/subscriptionsManager';
 import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
+import { parseApiError } from '../utils/apiHelpers';
+import { isApiUsageLimitError } from '../utils/apiErrors';
+import { SPACING, TYPOGRAPHY, RADII, ELEVATION, useTheme, useThemedStyles } from '../theme';
 
 // Legacy function for backward compatibility
 const stripHtmlTags = (html) => {
@@ -21,19 +29,43 @@ const stripHtmlTags = (html) => {
 };
 
 const HomeScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [shows, setShows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [showMyShows, setShowMyShows] = useState(false);
+  const [followedIds, setFollowedIds] = useState([]);
+  const [inbox, setInbox] = useState([]);
+  const [queueCount, setQueueCount] = useState(queueManager.getQueue().length);
+
+  const loadSubscriptions = useCallback(async () => {
+    const subscriptions = await subscriptionsManager.getSubscriptions();
+    setFollowedIds(subscriptions.map(show => String(show.id)));
+  }, []);
+
+  const loadInbox = useCallback(async () => {
+    try {
+      setInbox(await subscriptionsManager.getInbox());
+    } catch (err) {
+      console.error('Error loading inbox count:', err);
+    }
+  }, []);
+
+  const unseenCount = inbox.filter(episode => episode.unseen).length;
 
   const fetchShows = async () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await apiService.getShows();
+      // Render cached shows immediately; a newer list replaces them when it arrives
+      const data = await apiService.getShows({}, { onUpdate: setShows });
       setShows(data);
     } catch (err) {
-      setError('Failed to load shows. Please check your API credentials.');
+      setError(isApiUsageLimitError(err)
+        ? parseApiError(err)
+        : 'Failed to load shows. Please check your API credentials.');
       console.error('Error fetching shows:', err);
     } finally {
       setLoading(false);
@@ -44,12 +76,77 @@ const HomeScreen = ({ navigation }) => {
   const onRefresh = () => {
     setRefreshing(true);
     fetchShows();
+    loadInbox();
   };
 
   useEffect(() => {
     fetchShows();
   }, []);
 
+  // Keep followed shows and the inbox badge in sync with the subscriptions
+  // store. Seen changes only update the badge; follows fetch the inbox again.
+  useEffect(() => {
+    loadSubscriptions();
+    loadInbox();
+    return subscriptionsManager.addListener(change => {
+      if (change?.type === SUBSCRIPTION_CHANGES.SEEN) {
+        setInbox(current => applySeenEpisodes(current, change.episodeIds));
+        return;
+      }
+      loadSubscriptions();
+      loadInbox();
+    });
+  }, [loadSubscriptions, loadInbox]);
+
+  useEffect(() => queueManager.addListener(queue => setQueueCount(queue.length)), []);
+
+  const displayedShows = showMyShows
+    ? shows.filter(show => followedIds.includes(String(show.id)))
+    : shows;
+
+  const renderHeader = () => (
+    <View style={styles.filterContainer}>
+      <TouchableOpacity
+        style={[styles.filterButton, !showMyShows && styles.filterButtonActive]}
+        onPress={() => setShowMyShows(false)}
+      >
+        <Text style={[styles.filterButtonText, !showMyShows && styles.filterButtonTextActive]}>
+          All Shows
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[styles.filterButton, showMyShows && styles.filterButtonActive]}
+        onPress={() => setShowMyShows(true)}
+      >
+        <Text style={[styles.filterButtonText, showMyShows && styles.filterButtonTextActive]}>
+          My Shows
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.upNextButton}
+        onPress={() => navigation.navigate('UpNext')}
+      >
+        <Ionicons name="list-outline" size={22} color={colors.TEXT_ACCENT} />
+        {queueCount > 0 && (
+          <View style={styles.inboxBadge}>
+            <Text style={styles.inboxBadgeText}>{queueCount > 99 ? '99+' : queueCount}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.inboxButton}
+        onPress={() => navigation.navigate('Inbox')}
+      >
+        <Ionicons name="mail-outline" size={22} color={colors.TEXT_ACCENT} />
+        {unseenCount > 0 && (
+          <View style={styles.inboxBadge}>
+            <Text style={styles.inboxBadgeText}>{unseenCount > 99 ? '99+' : unseenCount}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
   const renderShowItem = ({ item }) => {
     // Extract the appropriate image URL from the coverArt object or fall back to image if available
     let imageSource = null;
@@ -104,7 +201,7 @@ const HomeScreen = ({ navigation }) => {
   if (loading && !refreshing) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color={COLORS.CTA} />
+        <ActivityIndicator size="large" color={colors.CTA} />
         <Text style={styles.loadingText}>Loading shows...</Text>
       </View>
     );
@@ -124,8 +221,9 @@ const HomeScreen = ({ navigation }) => {
   return (
     <View style={styles.container}>
       <StatusBar barStyle="dark-content" />
+      {renderHeader()}
       <FlatList
-        data={shows}
+        data={displayedShows}
         renderItem={renderShowItem}
         keyExtractor={(item) => item.id.toString()}
         contentContainerStyle={styles.showsList}
@@ -133,17 +231,74 @@ const HomeScreen = ({ navigation }) => {
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
         ListEmptyComponent={
-          <Text style={styles.emptyText}>No shows available</Text>
+          <Text style={styles.emptyText}>
+            {showMyShows
+              ? 'You are not following any shows yet. Tap Follow on a show to add it here.'
+              : 'No shows available'}
+          </Text>
         }
       />
     </View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
+  },
+  filterContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    backgroundColor: colors.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.BORDER,
+  },
+  filterButton: {
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: SPACING.MEDIUM,
+    borderRadius: RADII.PILL,
+    borderWidth: 1,
+    borderColor: colors.BORDER,
+    marginRight: SPACING.SMALL,
+  },
+  filterButtonActive: {
+    backgroundColor: colors.PRIMARY,
+    borderColor: colors.PRIMARY,
+  },
+  filterButtonText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.TEXT_MUTED,
+  },
+  filterButtonTextActive: {
+    color: colors.ON_PRIMARY,
+    fontWeight: '600',
+  },
+  upNextButton: {
+    marginLeft: 'auto',
+    padding: SPACING.SMALL,
+  },
+  inboxButton: {
+    padding: SPACING.SMALL,
+  },
+  inboxBadge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: colors.CTA,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  inboxBadgeText: {
+    color: colors.ON_CTA,
+    fontSize: 11,
+    fontWeight: 'bold',
   },
   showsList: {
     flexGrow: 1,
@@ -152,13 +307,9 @@ const styles = StyleSheet.create({
   },
   showCard: {
     marginBottom: 15,
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.2,
-    shadowRadius: 1.41,
-    elevation: 2,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
+    ...ELEVATION.SMALL,
     overflow: 'hidden',
   },
   imageContainer: {
@@ -172,19 +323,19 @@ const styles = StyleSheet.create({
     width: '100%',
     height: '100%',
     resizeMode: 'contain',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
   },
   placeholderImage: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
     justifyContent: 'center',
     alignItems: 'center',
   },
   placeholderText: {
     fontSize: 40,
     fontWeight: 'bold',
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   showInfo: {
     padding: 12,
@@ -192,53 +343,53 @@ const styles = StyleSheet.create({
   showTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL / 2,
   },
   showDescription: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginBottom: SPACING.SMALL,
   },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   loadingText: {
     marginTop: SPACING.SMALL,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
     padding: SPACING.LARGE,
   },
   errorText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: 'bold',
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     marginBottom: SPACING.SMALL,
   },
   retryButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     paddingHorizontal: SPACING.MEDIUM,
     paddingVertical: SPACING.SMALL,
     borderRadius: 5,
   },
   retryButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
   },
   emptyText: {
     textAlign: 'center',
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginTop: 40,
   },
   streamsButtonContainer: {
@@ -247,13 +398,13 @@ const styles = StyleSheet.create({
     marginBottom: SPACING.SMALL,
   },
   streamsButton: {
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     padding: SPACING.MEDIUM,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     alignItems: 'center',
   },
   streamsButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_CTA,
     fontSize: TYPOGRAPHY.SIZE_MEDIUM,
     fontWeight: 'bold',
   },
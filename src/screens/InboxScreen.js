@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl
+} from 'react-native';
+import EpisodeItem from '../components/EpisodeItem';
+import subscriptionsManager, {
+  SUBSCRIPTION_CHANGES,
+  applySeenEpisodes,
+} from '../utils/subscriptions/subscriptionsManager';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
+
+/**
+ * New-episode inbox: the latest episodes of all followed shows, newest first
+ */
+const InboxScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [episodes, setEpisodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchInbox = useCallback(async () => {
+    try {
+      setError(null);
+      const inbox = await subscriptionsManager.getInbox();
+      setEpisodes(inbox);
+    } catch (err) {
+      console.error('Error loading inbox:', err);
+      setError('Failed to load new episodes.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  // Seen changes are local, so only a follow or unfollow fetches the inbox again
+  useEffect(() => {
+    fetchInbox();
+    return subscriptionsManager.addListener(change => {
+      if (change?.type === SUBSCRIPTION_CHANGES.SEEN) {
+        setEpisodes(current => applySeenEpisodes(current, change.episodeIds));
+      } else {
+        fetchInbox();
+      }
+    });
+  }, [fetchInbox]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    fetchInbox();
+  };
+
+  const openEpisode = (episode) => {
+    if (episode.unseen) {
+      subscriptionsManager.markEpisodesSeen([episode.id]);
+    }
+    navigation.navigate('EpisodeDetail', {
+      id: episode.id,
+      title: episode.label || 'Episode Details',
+      showId: episode.show?.id
+    });
+  };
+
+  const markAllSeen = () => {
+    const unseenIds = episodes.filter(episode => episode.unseen).map(episode => episode.id);
+    if (unseenIds.length > 0) {
+      subscriptionsManager.markEpisodesSeen(unseenIds);
+    }
+  };
+
+  const unseenCount = episodes.filter(episode => episode.unseen).length;
+
+  const renderEpisode = ({ item }) => (
+    <View>
+      {item.unseen && (
+        <View style={styles.newBadge}>
+          <Text style={styles.newBadgeText}>NEW</Text>
+        </View>
+      )}
+      <EpisodeItem episode={item} onPress={() => openEpisode(item)} />
+    </View>
+  );
+
+  if (loading && !refreshing) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.CTA} />
+        <Text style={styles.loadingText}>Loading new episodes...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerText}>
+          {unseenCount > 0 ? `${unseenCount} new episode${unseenCount === 1 ? '' : 's'}` : 'All caught up'}
+        </Text>
+        {unseenCount > 0 && (
+          <TouchableOpacity onPress={markAllSeen}>
+            <Text style={styles.markAllText}>Mark all as seen</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+      <FlatList
+        data={episodes}
+        renderItem={renderEpisode}
+        keyExtractor={(item) => item.id.toString()}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            Follow shows to see their latest episodes here.
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.BACKGROUND,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    backgroundColor: colors.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.BORDER,
+  },
+  headerText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    color: colors.TEXT,
+  },
+  markAllText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: '600',
+    color: colors.TEXT_HIGHLIGHT,
+  },
+  list: {
+    flexGrow: 1,
+    padding: SPACING.MEDIUM,
+  },
+  newBadge: {
+    position: 'absolute',
+    top: 6,
+    left: 6,
+    zIndex: 1,
+    backgroundColor: colors.CTA,
+    borderRadius: RADII.SMALL,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  newBadgeText: {
+    color: colors.ON_CTA,
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.BACKGROUND,
+  },
+  loadingText: {
+    marginTop: SPACING.SMALL,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.TEXT_MUTED,
+  },
+  errorText: {
+    textAlign: 'center',
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT_DANGER,
+    marginTop: SPACING.SMALL,
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.TEXT_MUTED,
+    marginTop: 40,
+    paddingHorizontal: SPACING.LARGE,
+  },
+});
+
+export default InboxScreen;
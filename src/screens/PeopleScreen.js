@@ -11,9 +11,11 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import apiService from '../services/api';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
 
 const PeopleScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [people, setPeople] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -117,7 +119,7 @@ const PeopleScreen = ({ navigation }) => {
           )}
           {item.staff && (
             <View style={styles.staffBadge}>
-              <Ionicons name="star" size={12} color="#fff" />
+              <Ionicons name="star" size={12} color={colors.ON_CTA} />
             </View>
           )}
         </View>
@@ -175,7 +177,7 @@ const PeopleScreen = ({ navigation }) => {
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color={COLORS.CTA} />
+        <ActivityIndicator size="large" color={colors.CTA} />
         <Text style={styles.loadingText}>Loading people...</Text>
       </View>
     );
@@ -184,7 +186,7 @@ const PeopleScreen = ({ navigation }) => {
   if (error) {
     return (
       <View style={styles.errorContainer}>
-        <Ionicons name="alert-circle" size={50} color="#f03e3e" />
+        <Ionicons name="alert-circle" size={50} color={colors.DANGER} />
         <Text style={styles.errorText}>{error}</Text>
         <TouchableOpacity style={styles.retryButton} onPress={fetchPeople}>
           <Text style={styles.retryButtonText}>Retry</Text>
@@ -208,7 +210,7 @@ const PeopleScreen = ({ navigation }) => {
         onEndReachedThreshold={0.5}
         ListFooterComponent={loadingMore ? (
           <View style={{ padding: SPACING.MEDIUM }}>
-            <ActivityIndicator size="small" color={COLORS.CTA} />
+            <ActivityIndicator size="small" color={colors.CTA} />
           </View>
         ) : null}
         initialNumToRender={10}
@@ -225,37 +227,37 @@ const PeopleScreen = ({ navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   filterContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     paddingHorizontal: SPACING.MEDIUM,
     paddingVertical: SPACING.SMALL,
-    backgroundColor: COLORS.CARD,
+    backgroundColor: colors.SURFACE,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   filterButton: {
     paddingVertical: SPACING.SMALL,
     paddingHorizontal: SPACING.MEDIUM,
-    borderRadius: 20,
+    borderRadius: RADII.PILL,
     borderWidth: 1,
-    borderColor: COLORS.BORDER,
+    borderColor: colors.BORDER,
   },
   filterButtonActive: {
-    backgroundColor: COLORS.PRIMARY,
-    borderColor: COLORS.PRIMARY,
+    backgroundColor: colors.PRIMARY,
+    borderColor: colors.PRIMARY,
   },
   filterButtonText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   filterButtonTextActive: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
     fontWeight: '600',
   },
   peopleGrid: {
@@ -263,13 +265,13 @@ const styles = StyleSheet.create({
     paddingTop: SPACING.SMALL,
   },
   personItem: {
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     overflow: 'hidden',
     margin: SPACING.SMALL,
     width: '46%',
     borderWidth: 1,
-    borderColor: COLORS.BORDER,
+    borderColor: colors.BORDER,
     alignItems: 'center',
   },
   personImageContainer: {
@@ -284,13 +286,13 @@ const styles = StyleSheet.create({
   personPlaceholder: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    backgroundColor: colors.PRIMARY_MUTED,
     justifyContent: 'center',
     alignItems: 'center',
   },
   personPlaceholderText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.XX_LARGE,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
     fontWeight: 'bold',
   },
   personInfo: {
@@ -300,13 +302,13 @@ const styles = StyleSheet.create({
   personName: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     textAlign: 'center',
     marginBottom: 2,
   },
   personRole: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     textAlign: 'center',
     marginBottom: SPACING.SMALL,
   },
@@ -314,7 +316,7 @@ const styles = StyleSheet.create({
     position: 'absolute',
     bottom: 5,
     right: 5,
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     width: 24,
     height: 24,
     borderRadius: 12,
@@ -323,7 +325,7 @@ const styles = StyleSheet.create({
   },
   staffText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_CTA,
     fontWeight: '500',
     marginLeft: 2,
   },
@@ -331,29 +333,29 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
     padding: SPACING.LARGE,
   },
   errorText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     textAlign: 'center',
     marginBottom: SPACING.MEDIUM,
   },
   retryButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     paddingHorizontal: SPACING.MEDIUM,
     paddingVertical: SPACING.SMALL,
     borderRadius: 5,
   },
   retryButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
   },
@@ -365,7 +367,7 @@ const styles = StyleSheet.create({
   },
   noResultsText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     textAlign: 'center',
   },
 });
@@ -14,8 +14,11 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import apiService from '../services/api';
+import EpisodeProgressBar from '../components/EpisodeProgressBar';
+import QueueButton from '../components/QueueButton';
+import ShareButton from '../components/ShareButton';
 import { stripHtmlAndDecodeEntities, decodeHtmlEntities } from '../utils/textUtils';
-import { COLORS, TYPOGRAPHY, SPACING } from '../utils/theme';
+import { TYPOGRAPHY, SPACING, RADII, useTheme, useThemedStyles } from '../theme';
 
 // Add utility function for formatting file sizes
 const formatFileSize = (sizeInBytes) => {
@@ -35,6 +38,8 @@ const formatFileSize = (sizeInBytes) => {
 };
 
 const PersonDetailScreen = ({ route, navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const { personId } = route.params;
   const [person, setPerson] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -320,9 +325,14 @@ const PersonDetailScreen = ({ route, navigation }) => {
               {stripHtmlAndDecodeEntities(item.description)}
             </Text>
           ) : null}
+
+          {/* Playback progress */}
+          <EpisodeProgressBar episodeId={item.id} />
         </View>
+        <ShareButton episode={item} />
+        <QueueButton episode={item} />
         <View style={styles.episodeChevronContainer}>
-          <Ionicons name="chevron-forward" size={16} color="#adb5bd" />
+          <Ionicons name="chevron-forward" size={16} color={colors.TEXT_MUTED} />
         </View>
       </TouchableOpacity>
     );
@@ -352,11 +362,11 @@ const PersonDetailScreen = ({ route, navigation }) => {
           onPress={toggleEpisodesSection}
         >
           <View style={styles.sectionTitleContainer}>
-            <Ionicons name="videocam" size={20} color={COLORS.CTA} style={styles.sectionIcon} />
+            <Ionicons name="videocam" size={20} color={colors.CTA} style={styles.sectionIcon} />
             <Text style={styles.sectionTitle}>Episodes</Text>
           </View>
           <Animated.View style={{ transform: [{ rotate: rotateInterpolation }] }}>
-            <Ionicons name="chevron-down" size={20} color="#6c757d" />
+            <Ionicons name="chevron-down" size={20} color={colors.TEXT_MUTED} />
           </Animated.View>
         </TouchableOpacity>
         
@@ -364,7 +374,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
           <View style={styles.episodesContainer}>
             {episodesLoading ? (
               <View style={styles.episodesLoadingContainer}>
-                <ActivityIndicator size="small" color={COLORS.CTA} />
+                <ActivityIndicator size="small" color={colors.CTA} />
                 <Text style={styles.episodesLoadingText}>Loading episodes...</Text>
               </View>
             ) : episodesError ? (
@@ -397,7 +407,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color={COLORS.CTA} />
+        <ActivityIndicator size="large" color={colors.CTA} />
         <Text style={styles.loadingText}>Loading person details...</Text>
       </View>
     );
@@ -406,7 +416,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
   if (error || !person) {
     return (
       <View style={styles.errorContainer}>
-        <Ionicons name="alert-circle" size={50} color="#f03e3e" />
+        <Ionicons name="alert-circle" size={50} color={colors.DANGER} />
         <Text style={styles.errorText}>{error || 'Failed to load person'}</Text>
         <TouchableOpacity style={styles.retryButton} onPress={fetchPersonDetails}>
           <Text style={styles.retryButtonText}>Retry</Text>
@@ -446,7 +456,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
             )}
             {person.staff && (
               <View style={styles.staffBadge}>
-                <Ionicons name="star" size={14} color="#fff" style={styles.staffIcon} />
+                <Ionicons name="star" size={14} color={colors.ON_PRIMARY} style={styles.staffIcon} />
                 <Text style={styles.staffText}>TWiT Staff</Text>
               </View>
             )}
@@ -463,7 +473,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
               onPress={toggleBioSection}
             >
               <View style={styles.sectionTitleContainer}>
-                <Ionicons name="person" size={20} color={COLORS.CTA} style={styles.sectionIcon} />
+                <Ionicons name="person" size={20} color={colors.CTA} style={styles.sectionIcon} />
                 <Text style={styles.sectionTitle}>Biography</Text>
               </View>
               <Animated.View style={{ 
@@ -474,7 +484,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
                   })
                 }] 
               }}>
-                <Ionicons name="chevron-down" size={20} color="#6c757d" />
+                <Ionicons name="chevron-down" size={20} color={colors.TEXT_MUTED} />
               </Animated.View>
             </TouchableOpacity>
             
@@ -499,7 +509,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
               onPress={toggleLinksSection}
             >
               <View style={styles.sectionTitleContainer}>
-                <Ionicons name="link" size={20} color={COLORS.CTA} style={styles.sectionIcon} />
+                <Ionicons name="link" size={20} color={colors.CTA} style={styles.sectionIcon} />
                 <Text style={styles.sectionTitle}>Related Links</Text>
               </View>
               <Animated.View style={{ 
@@ -510,7 +520,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
                   })
                 }] 
               }}>
-                <Ionicons name="chevron-down" size={20} color="#6c757d" />
+                <Ionicons name="chevron-down" size={20} color={colors.TEXT_MUTED} />
               </Animated.View>
             </TouchableOpacity>
             
@@ -522,7 +532,7 @@ const PersonDetailScreen = ({ route, navigation }) => {
                     style={styles.linkButton}
                     onPress={() => handleRelatedLinkPress(link.url)}
                   >
-                    <Ionicons name="link" size={16} color="#f03e3e" />
+                    <Ionicons name="link" size={16} color={colors.TEXT_LINK} />
                     <Text style={styles.linkText}>{link.title || link.url}</Text>
                   </TouchableOpacity>
                 ))}
@@ -535,10 +545,10 @@ const PersonDetailScreen = ({ route, navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   contentContainer: {
     padding: SPACING.MEDIUM,
@@ -547,23 +557,23 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   loadingText: {
     marginTop: SPACING.SMALL,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
     padding: SPACING.LARGE,
   },
   errorText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     marginTop: SPACING.MEDIUM,
     textAlign: 'center',
   },
@@ -571,11 +581,11 @@ const styles = StyleSheet.create({
     marginTop: SPACING.LARGE,
     paddingHorizontal: SPACING.MEDIUM,
     paddingVertical: SPACING.SMALL,
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     borderRadius: 5,
   },
   retryButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
   },
@@ -590,19 +600,19 @@ const styles = StyleSheet.create({
     width: 100,
     height: 100,
     borderRadius: 50,
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
   },
   placeholderImage: {
     width: 100,
     height: 100,
     borderRadius: 50,
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    backgroundColor: colors.PRIMARY_MUTED,
     justifyContent: 'center',
     alignItems: 'center',
   },
   placeholderText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
     fontWeight: 'bold',
   },
   headerInfo: {
@@ -612,21 +622,21 @@ const styles = StyleSheet.create({
   personName: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL / 2,
   },
   personRole: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginBottom: SPACING.SMALL,
   },
   staffBadge: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: COLORS.PRIMARY,
+    backgroundColor: colors.PRIMARY,
     paddingHorizontal: SPACING.SMALL,
     paddingVertical: SPACING.SMALL / 2,
-    borderRadius: 4,
+    borderRadius: RADII.SMALL,
     alignSelf: 'flex-start',
   },
   staffIcon: {
@@ -634,16 +644,16 @@ const styles = StyleSheet.create({
   },
   staffText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
     fontWeight: '500',
   },
   sectionContainer: {
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     marginBottom: SPACING.MEDIUM,
     overflow: 'hidden',
     borderWidth: 1,
-    borderColor: COLORS.BORDER,
+    borderColor: colors.BORDER,
   },
   sectionHeader: {
     flexDirection: 'row',
@@ -651,7 +661,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: SPACING.MEDIUM,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   sectionTitleContainer: {
     flexDirection: 'row',
@@ -663,14 +673,14 @@ const styles = StyleSheet.create({
   sectionTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
   },
   bioContainer: {
     padding: SPACING.SMALL,
   },
   bioText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 22,
   },
   episodesContainer: {
@@ -685,27 +695,27 @@ const styles = StyleSheet.create({
   },
   episodesLoadingText: {
     marginTop: SPACING.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   episodesErrorContainer: {
     padding: SPACING.MEDIUM,
     alignItems: 'center',
   },
   episodesErrorText: {
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     marginBottom: SPACING.MEDIUM,
   },
   episodesRetryButton: {
     paddingHorizontal: SPACING.SMALL,
     paddingVertical: SPACING.SMALL / 2,
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     borderRadius: 5,
   },
   episodesRetryText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
   },
   noEpisodesText: {
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     textAlign: 'center',
     padding: SPACING.MEDIUM,
   },
@@ -713,7 +723,7 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     padding: SPACING.MEDIUM,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   episodeImageContainer: {
     marginRight: SPACING.MEDIUM,
@@ -721,8 +731,8 @@ const styles = StyleSheet.create({
   episodeImage: {
     width: 80,
     height: 45,
-    borderRadius: 4,
-    backgroundColor: COLORS.BORDER,
+    borderRadius: RADII.SMALL,
+    backgroundColor: colors.BORDER,
   },
   episodeContent: {
     flex: 1,
@@ -730,7 +740,7 @@ const styles = StyleSheet.create({
   episodeTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: 4,
   },
   episodeMetaRow: {
@@ -741,21 +751,21 @@ const styles = StyleSheet.create({
   },
   episodeDate: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_SECONDARY,
+    color: colors.TEXT_MUTED,
     marginRight: 8,
   },
   episodeRunningTime: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_SECONDARY,
+    color: colors.TEXT_MUTED,
   },
   episodeShow: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_SECONDARY,
+    color: colors.TEXT_MUTED,
     fontStyle: 'italic',
   },
   episodeDescription: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginTop: 8,
     flex: 1,
   },
@@ -764,11 +774,11 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: SPACING.MEDIUM,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   linkText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.SECONDARY,
+    color: colors.TEXT_LINK,
     marginLeft: SPACING.SMALL,
   },
   linksContainer: {
@@ -780,14 +790,14 @@ const styles = StyleSheet.create({
   placeholderEpisodeImage: {
     width: 80,
     height: 45,
-    borderRadius: 4,
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    borderRadius: RADII.SMALL,
+    backgroundColor: colors.PRIMARY_MUTED,
     justifyContent: 'center',
     alignItems: 'center',
   },
   placeholderEpisodeText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
     fontWeight: 'bold',
   },
   episodeNumberRow: {
@@ -795,7 +805,7 @@ const styles = StyleSheet.create({
     marginBottom: 4,
   },
   episodeNumberBadge: {
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     paddingHorizontal: 8,
     paddingVertical: 2,
     borderRadius: 12,
@@ -803,14 +813,14 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   episodeNumberText: {
-    color: 'white',
+    color: colors.ON_CTA,
     fontSize: 12,
     fontWeight: 'bold',
   },
   showName: {
     fontSize: 13,
     fontWeight: '600',
-    color: '#007AFF', 
+    color: colors.TEXT_LINK, 
     marginBottom: 4,
     textTransform: 'uppercase',
   },
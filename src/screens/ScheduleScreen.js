@@ -1,145 +1,429 @@
-import React, { useRef, useState, useCallback } from 'react';
-import { View, Text, StyleSheet, ActivityIndicator, TouchableOpacity, Platform } from 'react-native';
-import { WebView } from 'react-native-webview';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
-
-// Use the Google Calendar embed URL for best in-app rendering
-// Default to Agenda (Schedule) view and hide extraneous chrome
-// Ref: https://twit.tv/schedule
-const CALENDAR_EMBED_URL =
-  'https://calendar.google.com/calendar/embed?src=mg877fp19824mj30g497frm74o@group.calendar.google.com&ctz=America/Los_Angeles&mode=AGENDA&showPrint=0&showTabs=0&showDate=0&showTitle=0&showCalendars=0&wkst=1&hl=en';
-
-const ScheduleScreen = () => {
-  const webRef = useRef(null);
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  Image,
+  ActivityIndicator,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import scheduleService from '../services/scheduleService';
+import reminderService from '../services/reminderService';
+import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
+
+// Schedule window: airings from a little earlier today to two weeks out
+const PAST_WINDOW_MS = 3 * 60 * 60 * 1000;
+const FUTURE_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+// How often the LIVE markers are re-checked
+const NOW_REFRESH_MS = 60 * 1000;
+
+/**
+ * Format a time in the device's timezone
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} e.g. "2:00 PM"
+ */
+const formatTime = (timestamp) => (
+  new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+);
+
+/**
+ * Title for a day's section
+ * @param {Date} date - Any time on that day
+ * @returns {string} "Today", "Tomorrow" or e.g. "Monday, Oct 20"
+ */
+const formatDayTitle = (date) => {
+  const today = new Date();
+  const tomorrow = new Date();
+  tomorrow.setDate(today.getDate() + 1);
+
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+  return date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Group airings into one section per local day
+ * @param {Array} events - Airings sorted by start
+ * @returns {Array} Sections { title, data }
+ */
+const groupByDay = (events) => {
+  const sections = [];
+  events.forEach(event => {
+    const day = new Date(event.start).toDateString();
+    let section = sections[sections.length - 1];
+    if (!section || section.day !== day) {
+      section = { day, title: formatDayTitle(new Date(event.start)), data: [] };
+      sections.push(section);
+    }
+    section.data.push(event);
+  });
+  return sections;
+};
+
+/**
+ * Get a show's thumbnail URL
+ * @param {Object} show - Show object
+ * @returns {string|null} Image URL
+ */
+const getShowImage = (show) => (
+  show?.coverArt?.derivatives?.twit_album_art_300x300 || show?.coverArt?.url ||
+  (typeof show?.image === 'string' ? show.image : null)
+);
+
+/**
+ * Native agenda of upcoming live shows from the TWiT calendar, in the
+ * device's timezone. Entries link to their show.
+ */
+const ScheduleScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [sections, setSections] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [status, setStatus] = useState(scheduleService.getStatus());
+  const [now, setNow] = useState(Date.now());
+  const [reminderVersion, setReminderVersion] = useState(0);
 
-  const handleReload = useCallback(() => {
-    setError(null);
-    setLoading(true);
+  const loadSchedule = useCallback(async (forceRefresh = false) => {
     try {
-      webRef.current?.reload();
-    } catch (_) {
-      // no-op
+      if (forceRefresh) {
+        await scheduleService.loadCalendar(true);
+      }
+      const start = Date.now();
+      const events = await scheduleService.getSchedule(start - PAST_WINDOW_MS, start + FUTURE_WINDOW_MS);
+      // Keep what is still on air, drop what already finished
+      setSections(groupByDay(events.filter(event => event.end > start)));
+      setStatus(scheduleService.getStatus());
+      setError(null);
+    } catch (err) {
+      console.error('Error loading schedule:', err);
+      setError('Failed to load schedule');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
     }
   }, []);
 
-  return (
-    <View style={styles.container}>
-      {error ? (
-        <View style={styles.errorContainer}>
-          <Text style={styles.errorTitle}>Failed to load schedule</Text>
-          <Text style={styles.errorText}>Please check your connection and try again.</Text>
-          <TouchableOpacity style={styles.retryButton} onPress={handleReload}>
-            <Text style={styles.retryButtonText}>Retry</Text>
-          </TouchableOpacity>
+  useEffect(() => {
+    loadSchedule();
+    return scheduleService.addListener(() => loadSchedule());
+  }, [loadSchedule]);
+
+  // Redraw the reminder bells when reminders change
+  useEffect(() => {
+    const updateReminders = () => setReminderVersion(version => version + 1);
+    reminderService.ready.then(updateReminders);
+    return reminderService.addListener(updateReminders);
+  }, []);
+
+  // Move the LIVE marker along while the screen is open
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), NOW_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadSchedule(true);
+  };
+
+  const handleRetry = () => {
+    setLoading(true);
+    loadSchedule(true);
+  };
+
+  const openShow = (show) => {
+    navigation.navigate('ShowDetail', {
+      id: show.id,
+      title: show.label || 'Show Details',
+      showData: show,
+    });
+  };
+
+  const toggleEventReminder = async (event) => {
+    if (event.show && reminderService.hasShowReminder(event.show.id)) {
+      Alert.alert(
+        'Reminders On',
+        `You get a reminder before every airing of ${stripHtmlAndDecodeEntities(event.show.label)}. Turn it off on the show's page.`
+      );
+      return;
+    }
+
+    try {
+      const updated = await reminderService.setEventReminder(event, !reminderService.hasEventReminder(event.id));
+      if (!updated) {
+        Alert.alert(
+          'Notifications Off',
+          'Allow notifications for this app in your device settings to get show reminders.'
+        );
+      }
+    } catch (err) {
+      console.error('Error updating reminder:', err);
+    }
+  };
+
+  const renderEvent = ({ item }) => {
+    const isLive = item.start <= now && item.end > now;
+    const image = getShowImage(item.show);
+    const hasReminder = reminderService.hasEventReminder(item.id) ||
+      (!!item.show && reminderService.hasShowReminder(item.show.id));
+
+    return (
+      <TouchableOpacity
+        style={[styles.eventRow, isLive && styles.eventRowLive]}
+        onPress={() => item.show && openShow(item.show)}
+        disabled={!item.show}
+      >
+        <View style={styles.timeColumn}>
+          {item.allDay ? (
+            <Text style={styles.timeText}>All day</Text>
+          ) : (
+            <>
+              <Text style={styles.timeText}>{formatTime(item.start)}</Text>
+              <Text style={styles.endTimeText}>{formatTime(item.end)}</Text>
+            </>
+          )}
         </View>
-      ) : (
-        <>
-          {loading && (
-            <View style={styles.loadingOverlay}>
-              <ActivityIndicator size="large" color={COLORS.CTA} />
-              <Text style={styles.loadingText}>Loading schedule…</Text>
+        {image ? (
+          <Image source={{ uri: image }} style={styles.showImage} />
+        ) : (
+          <View style={[styles.showImage, styles.showImagePlaceholder]}>
+            <Ionicons name="tv-outline" size={20} color={colors.ON_PRIMARY} />
+          </View>
+        )}
+        <View style={styles.eventInfo}>
+          {isLive && (
+            <View style={styles.liveBadge}>
+              <Text style={styles.liveBadgeText}>LIVE NOW</Text>
             </View>
           )}
-          <View style={styles.webContainer}>
-            <WebView
-              ref={webRef}
-              source={{ uri: CALENDAR_EMBED_URL }}
-              onLoadStart={() => {
-                setError(null);
-                setLoading(true);
-              }}
-              onLoadEnd={() => setLoading(false)}
-              onError={(syntheticEvent) => {
-                setLoading(false);
-                setError(syntheticEvent?.nativeEvent?.description || 'Unknown error');
-              }}
-              startInLoadingState={false}
-              javaScriptEnabled
-              domStorageEnabled
-              allowsBackForwardNavigationGestures
-              originWhitelist={["*"]}
-              pullToRefreshEnabled={Platform.OS === 'android'}
-              showsVerticalScrollIndicator={false}
-              showsHorizontalScrollIndicator={false}
-              // Best-effort to hide/disable inner scrollbars
-              injectedJavaScript={`(function(){
-                try {
-                  var css = '*{-ms-overflow-style:none;scrollbar-width:none}*::-webkit-scrollbar{display:none}';
-                  var s = document.createElement('style'); s.type='text/css'; s.appendChild(document.createTextNode(css));
-                  document.head.appendChild(s);
-                  document.body.style.overflow='hidden';
-                } catch(e) { /* no-op */ }
-              })();`}
-              style={styles.webView}
+          <Text style={styles.eventTitle} numberOfLines={2}>{item.title}</Text>
+          {!!item.show && (
+            <Text style={styles.showName} numberOfLines={1}>
+              {stripHtmlAndDecodeEntities(item.show.label)}
+            </Text>
+          )}
+        </View>
+        {!item.allDay && item.start > now && (
+          <TouchableOpacity
+            style={styles.reminderButton}
+            onPress={() => toggleEventReminder(item)}
+            accessibilityLabel={hasReminder ? 'Turn off reminder' : 'Remind me before this airs'}
+          >
+            <Ionicons
+              name={hasReminder ? 'notifications' : 'notifications-outline'}
+              size={20}
+              color={hasReminder ? colors.CTA : colors.TEXT_MUTED}
             />
-          </View>
-        </>
+          </TouchableOpacity>
+        )}
+        {!!item.show && <Ionicons name="chevron-forward" size={20} color={colors.TEXT_MUTED} />}
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={colors.CTA} />
+        <Text style={styles.loadingText}>Loading schedule…</Text>
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorTitle}>{error}</Text>
+        <Text style={styles.errorText}>Please check your connection and try again.</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={handleRetry}>
+          <Text style={styles.retryButtonText}>Retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {status.isOffline && (
+        <View style={styles.offlineBanner}>
+          <Ionicons name="cloud-offline-outline" size={16} color={colors.ON_PRIMARY} />
+          <Text style={styles.offlineText}>
+            Offline: showing the schedule saved {new Date(status.fetchedAt).toLocaleString()}
+          </Text>
+        </View>
       )}
+      <SectionList
+        sections={sections}
+        renderItem={renderEvent}
+        renderSectionHeader={({ section }) => <Text style={styles.sectionTitle}>{section.title}</Text>}
+        keyExtractor={(item) => item.id}
+        extraData={`${now}-${reminderVersion}`}
+        contentContainerStyle={styles.listContent}
+        stickySectionHeadersEnabled
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} tintColor={colors.CTA} />
+        }
+        ListEmptyComponent={<Text style={styles.emptyText}>No upcoming shows scheduled.</Text>}
+      />
+      <Text style={styles.timezoneText}>
+        Times shown in {Intl.DateTimeFormat().resolvedOptions().timeZone}
+      </Text>
     </View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
-  webContainer: {
+  centered: {
     flex: 1,
-    padding: SPACING.MEDIUM,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: SPACING.LARGE,
+    backgroundColor: colors.BACKGROUND,
+  },
+  listContent: {
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingBottom: SPACING.MEDIUM,
   },
-  webView: {
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.PRIMARY_MUTED,
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+  },
+  offlineText: {
     flex: 1,
-    borderRadius: 10,
-    overflow: 'hidden',
-    backgroundColor: COLORS.BACKGROUND,
-  },
-  loadingOverlay: {
-    position: 'absolute',
-    top: 0,
-    left: 0,
-    right: 0,
-    bottom: 0,
+    marginLeft: SPACING.SMALL,
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_PRIMARY,
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.TEXT_MUTED,
+    textTransform: 'uppercase',
+    backgroundColor: colors.BACKGROUND,
+    paddingTop: SPACING.MEDIUM,
+    paddingBottom: SPACING.SMALL,
+  },
+  eventRow: {
+    flexDirection: 'row',
     alignItems: 'center',
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
+    borderWidth: 1,
+    borderColor: colors.BORDER,
+    padding: SPACING.SMALL,
+    marginBottom: SPACING.SMALL,
+  },
+  eventRowLive: {
+    borderColor: colors.DANGER,
+  },
+  timeColumn: {
+    width: 68,
+  },
+  timeText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    color: colors.TEXT,
+  },
+  endTimeText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT_MUTED,
+    marginTop: 2,
+  },
+  showImage: {
+    width: 48,
+    height: 48,
+    borderRadius: RADII.SMALL,
+    marginRight: SPACING.SMALL,
+  },
+  showImagePlaceholder: {
+    backgroundColor: colors.PRIMARY,
     justifyContent: 'center',
-    zIndex: 10,
+    alignItems: 'center',
+  },
+  eventInfo: {
+    flex: 1,
+  },
+  liveBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: colors.DANGER,
+    borderRadius: RADII.SMALL,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    marginBottom: 2,
+  },
+  liveBadgeText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.ON_DANGER,
+  },
+  eventTitle: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    color: colors.TEXT,
+  },
+  showName: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT_LINK,
+    marginTop: 2,
+  },
+  reminderButton: {
+    padding: SPACING.SMALL,
   },
   loadingText: {
     marginTop: SPACING.SMALL + 4,
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.TEXT_MEDIUM,
-  },
-  errorContainer: {
-    flex: 1,
-    alignItems: 'center',
-    justifyContent: 'center',
-    padding: SPACING.LARGE,
+    color: colors.TEXT_MUTED,
   },
   errorTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
     fontWeight: '700',
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     marginBottom: SPACING.SMALL,
   },
   errorText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     textAlign: 'center',
     marginBottom: SPACING.MEDIUM,
   },
   retryButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     paddingHorizontal: SPACING.MEDIUM,
     paddingVertical: SPACING.SMALL,
     borderRadius: 6,
   },
   retryButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
   },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.TEXT_MUTED,
+    marginTop: 40,
+  },
+  timezoneText: {
+    textAlign: 'center',
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT_MUTED,
+    paddingVertical: 4,
+  },
 });
 
 export default ScheduleScreen;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,17 +7,28 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   SafeAreaView,
-  Image
+  Image,
+  Alert
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import apiService from '../services/api';
+import searchService from '../services/searchService';
 import SearchBar from '../components/SearchBar';
 import EpisodeItem from '../components/EpisodeItem';
 import ErrorView from '../components/ErrorView';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
+import { SPACING, TYPOGRAPHY, RADII, ELEVATION, useTheme, useThemedStyles } from '../theme';
 import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
 
+// Pause (ms) after the last keystroke before suggestions are looked up
+const SUGGESTION_DEBOUNCE_MS = 250;
+
 const SearchScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [inputText, setInputText] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [recentSearches, setRecentSearches] = useState(() => searchService.getRecentSearches());
   const [searchResults, setSearchResults] = useState({
     shows: [],
     episodes: [],
@@ -26,6 +37,39 @@ const SearchScreen = ({ navigation }) => {
   const [activeTab, setActiveTab] = useState('shows');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  const searchControllerRef = useRef(null);
+
+  useEffect(() => searchService.addListener(setRecentSearches), []);
+
+  // Cancel a search still running when the screen goes away
+  useEffect(() => () => searchControllerRef.current?.abort(), []);
+
+  // Suggest shows and people as the user types. Each keystroke restarts the
+  // debounce and aborts the lookup for the previous text.
+  useEffect(() => {
+    if (!inputText.trim()) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchService.getSuggestions(inputText, { signal: controller.signal });
+        if (!controller.signal.aborted) {
+          setSuggestions(results);
+        }
+      } catch (err) {
+        console.error('Error loading search suggestions:', err);
+      }
+    }, SUGGESTION_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [inputText]);
 
   // Relevance helpers to rank results client-side
   const normalize = (s) => stripHtmlAndDecodeEntities(String(s || '')).toLowerCase().trim();
@@ -54,14 +98,28 @@ const SearchScreen = ({ navigation }) => {
   );
 
   const handleSearch = async (query) => {
+    // A newer query (or clearing the box) cancels the search still running
+    searchControllerRef.current?.abort();
+    searchControllerRef.current = null;
+
     if (!query.trim()) {
+      setSearchQuery('');
       setSearchResults({ shows: [], episodes: [], people: [] });
+      setLoading(false);
       return;
     }
 
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+    const { signal } = controller;
+
+    setInputText(query);
+    setSuggestions([]);
     setSearchQuery(query);
+    searchService.addRecentSearch(query);
     setLoading(true);
     setError(null);
+    setSearchError(null);
     // Clear current results to avoid perceiving stale duplicates while loading
     setSearchResults({ shows: [], episodes: [], people: [] });
 
@@ -85,7 +143,7 @@ const SearchScreen = ({ navigation }) => {
         'or[1][filter][description][operator]': 'CONTAINS',
         'or[1][filter][description][value]': query,
         'limit': 15
-      });
+      }, { signal });
       
       // Search episodes with content searching
       const episodesPromise = apiService.getEpisodes({
@@ -97,7 +155,7 @@ const SearchScreen = ({ navigation }) => {
         'or[2][filter][teaser][value]': query,
         'embed': 'shows',
         'limit': 15
-      });
+      }, { signal });
       
       // Search people by name (label) and bio (description)
       const peoplePromise = apiService.getPeople({
@@ -108,7 +166,7 @@ const SearchScreen = ({ navigation }) => {
         'or[2][filter][shortBio][operator]': 'CONTAINS', 
         'or[2][filter][shortBio][value]': query,
         'limit': 15
-      });
+      }, { signal });
 
       // Wait for all requests to complete
       let [shows, episodes, people] = await Promise.all([
@@ -142,7 +200,7 @@ const SearchScreen = ({ navigation }) => {
             'filter[label][operator]': 'CONTAINS',
             'filter[label][value]': query,
             'limit': 50
-          });
+          }, { signal });
           peopleFiltered = filterPeople(altPeople);
           if (!peopleFiltered.length) peopleFiltered = altPeople || [];
         } catch (e) { /* ignore */ }
@@ -153,7 +211,7 @@ const SearchScreen = ({ navigation }) => {
             'filter[label][operator]': 'CONTAINS',
             'filter[label][value]': query,
             'limit': 30
-          });
+          }, { signal });
           showsFiltered = filterShows(altShows);
           if (!showsFiltered.length) showsFiltered = altShows || [];
         } catch (e) { /* ignore */ }
@@ -165,7 +223,7 @@ const SearchScreen = ({ navigation }) => {
             'filter[label][value]': query,
             'limit': 30,
             'embed': 'shows'
-          });
+          }, { signal });
           episodesFiltered = filterEpisodes(altEpisodes);
           if (!episodesFiltered.length) episodesFiltered = altEpisodes || [];
         } catch (e) { /* ignore */ }
@@ -193,6 +251,8 @@ const SearchScreen = ({ navigation }) => {
         return normalize(a?.label).localeCompare(normalize(b?.label));
       });
 
+      if (signal.aborted) return;
+
       setSearchResults({
         shows: sortedShows,
         episodes: sortedEpisodes,
@@ -209,13 +269,41 @@ const SearchScreen = ({ navigation }) => {
       else if (sortedEpisodes.length) bestTab = 'episodes';
       setActiveTab(bestTab);
     } catch (err) {
+      if (signal.aborted || apiService.isCancel(err)) return;
       setError('Failed to search. Please try again.');
+      setSearchError(err);
       console.error('Error searching:', err);
     } finally {
-      setLoading(false);
+      // A newer search owns the loading state once this one is cancelled
+      if (!signal.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const openSuggestion = (suggestion) => {
+    searchService.addRecentSearch(suggestion.label);
+    if (suggestion.type === 'show') {
+      navigation.navigate('ShowDetail', {
+        id: suggestion.id,
+        title: suggestion.label || 'Show Details',
+        showData: suggestion.item,
+      });
+    } else {
+      navigation.navigate('PersonDetail', {
+        personId: suggestion.id,
+        name: suggestion.label || 'Person Details',
+      });
     }
   };
 
+  const confirmClearRecent = () => {
+    Alert.alert('Clear Recent Searches', 'Remove all recent searches?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Clear', style: 'destructive', onPress: () => searchService.clearRecentSearches() },
+    ]);
+  };
+
   const renderShowItem = ({ item }) => {
     // Match HomeScreen's image selection logic
     let imageSource = null;
@@ -320,7 +408,7 @@ const SearchScreen = ({ navigation }) => {
       onPress={() => {
         // Navigate to the PersonDetail screen instead of Episodes
         navigation.navigate('PersonDetail', { 
-          id: item.id, 
+          personId: item.id, 
           name: stripHtmlAndDecodeEntities(item.label) || 'Person Details',
           personData: item
         });
@@ -331,11 +419,68 @@ const SearchScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const renderSuggestions = () => (
+    <FlatList
+      data={suggestions}
+      keyExtractor={(item) => `${item.type}-${item.id}`}
+      keyboardShouldPersistTaps="handled"
+      contentContainerStyle={styles.listContent}
+      renderItem={({ item }) => (
+        <TouchableOpacity style={styles.suggestionItem} onPress={() => openSuggestion(item)}>
+          <Ionicons
+            name={item.type === 'show' ? 'tv-outline' : 'person-outline'}
+            size={20}
+            color={colors.TEXT_MUTED}
+            style={styles.rowIcon}
+          />
+          <Text style={styles.suggestionText} numberOfLines={1}>{item.label}</Text>
+          <Text style={styles.suggestionType}>{item.type === 'show' ? 'Show' : 'Person'}</Text>
+        </TouchableOpacity>
+      )}
+    />
+  );
+
+  const renderRecentSearches = () => (
+    <FlatList
+      data={recentSearches}
+      keyExtractor={(item) => item}
+      keyboardShouldPersistTaps="handled"
+      contentContainerStyle={styles.listContent}
+      ListHeaderComponent={(
+        <View style={styles.recentHeader}>
+          <Text style={styles.recentTitle}>Recent Searches</Text>
+          <TouchableOpacity onPress={confirmClearRecent}>
+            <Text style={styles.recentClearText}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      renderItem={({ item }) => (
+        <TouchableOpacity style={styles.suggestionItem} onPress={() => handleSearch(item)}>
+          <Ionicons name="time-outline" size={20} color={colors.TEXT_MUTED} style={styles.rowIcon} />
+          <Text style={styles.suggestionText} numberOfLines={1}>{item}</Text>
+          <TouchableOpacity
+            onPress={() => searchService.removeRecentSearch(item)}
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            accessibilityLabel={`Remove ${item} from recent searches`}
+          >
+            <Ionicons name="close" size={18} color={colors.TEXT_MUTED} />
+          </TouchableOpacity>
+        </TouchableOpacity>
+      )}
+    />
+  );
+
   const renderContent = () => {
+    // While typing something new, suggestions replace the last results
+    const isTyping = inputText.trim() && inputText.trim() !== searchQuery;
+    if (isTyping && suggestions.length > 0) {
+      return renderSuggestions();
+    }
+
     if (loading) {
       return (
         <View style={styles.centerContainer}>
-          <ActivityIndicator size="large" color={COLORS.CTA} />
+          <ActivityIndicator size="large" color={colors.CTA} />
           <Text style={styles.loadingText}>Searching...</Text>
         </View>
       );
@@ -345,12 +490,16 @@ const SearchScreen = ({ navigation }) => {
       return (
         <ErrorView 
           message={error} 
+          error={searchError}
           onRetry={() => handleSearch(searchQuery)} 
         />
       );
     }
 
     if (!searchQuery) {
+      if (recentSearches.length > 0) {
+        return renderRecentSearches();
+      }
       return (
         <View style={styles.centerContainer}>
           <Text style={styles.emptyText}>Search for shows, episodes, or people</Text>
@@ -385,6 +534,8 @@ const SearchScreen = ({ navigation }) => {
   return (
     <SafeAreaView style={styles.container}>
       <SearchBar 
+        value={inputText}
+        onChangeText={setInputText}
         onSearch={handleSearch} 
         placeholder="Search TWiT content..." 
       />
@@ -423,16 +574,16 @@ const SearchScreen = ({ navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   tabsContainer: {
     flexDirection: 'row',
-    backgroundColor: COLORS.CARD,
+    backgroundColor: colors.SURFACE,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   tab: {
     flex: 1,
@@ -441,14 +592,14 @@ const styles = StyleSheet.create({
   },
   activeTab: {
     borderBottomWidth: 2,
-    borderBottomColor: COLORS.CTA,
+    borderBottomColor: colors.CTA,
   },
   tabText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   activeTabText: {
-    color: COLORS.PRIMARY,
+    color: colors.TEXT_ACCENT,
     fontWeight: 'bold',
   },
   listContent: {
@@ -457,13 +608,9 @@ const styles = StyleSheet.create({
   // Show card styles copied from HomeScreen to match UI
   showCard: {
     marginBottom: 15,
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.2,
-    shadowRadius: 1.41,
-    elevation: 2,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
+    ...ELEVATION.SMALL,
     overflow: 'hidden',
   },
   imageContainer: {
@@ -477,19 +624,19 @@ const styles = StyleSheet.create({
     width: '100%',
     height: '100%',
     resizeMode: 'contain',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
   },
   placeholderImage: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
     justifyContent: 'center',
     alignItems: 'center',
   },
   placeholderText: {
     fontSize: 40,
     fontWeight: 'bold',
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   showInfo: {
     padding: 12,
@@ -497,12 +644,12 @@ const styles = StyleSheet.create({
   showTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL / 2,
   },
   showDescription: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginBottom: SPACING.SMALL,
   },
   centerContainer: {
@@ -514,33 +661,68 @@ const styles = StyleSheet.create({
   loadingText: {
     marginTop: SPACING.SMALL + 4,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   emptyText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     textAlign: 'center',
   },
   personItem: {
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     padding: SPACING.MEDIUM,
     marginBottom: SPACING.SMALL + 4,
-    elevation: 2,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.2,
-    shadowRadius: 1.41,
+    ...ELEVATION.SMALL,
   },
   personName: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: 4,
   },
   personRole: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
+  },
+  suggestionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.SURFACE,
+    paddingVertical: SPACING.SMALL + 4,
+    paddingHorizontal: SPACING.MEDIUM,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.BORDER,
+  },
+  rowIcon: {
+    marginRight: SPACING.SMALL + 4,
+  },
+  suggestionText: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
+    color: colors.TEXT,
+  },
+  suggestionType: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT_MUTED,
+    marginLeft: SPACING.SMALL,
+  },
+  recentHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.SMALL,
+  },
+  recentTitle: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.TEXT_MUTED,
+    textTransform: 'uppercase',
+  },
+  recentClearText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    color: colors.TEXT_LINK,
   },
 });
 
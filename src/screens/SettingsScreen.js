@@ -8,27 +8,86 @@ import {
   Alert,
   ScrollView,
   ActivityIndicator,
-  Platform,
   Linking
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import apiService from '../services/api';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
+import { SPACING, TYPOGRAPHY, RADII, ELEVATION, useTheme, useThemedStyles } from '../theme';
 import AppIcon from '../components/AppIcon';
 import { Ionicons } from '@expo/vector-icons';
-import settingsManager from '../utils/settings/settingsManager';
+import settingsManager, { PLAYBACK_SPEEDS, SKIP_INTERVALS, REMINDER_LEAD_TIMES, THEME_MODES } from '../utils/settings/settingsManager';
 import networkManager from '../services/NetworkManager';
+import downloadManager from '../services/downloadManager';
+import progressManager from '../services/progressManager';
+import audioPlayer from '../services/audioPlayer';
+import cacheManager from '../utils/cacheManager';
+import outboxManager from '../services/outboxManager';
+import reminderService from '../services/reminderService';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 MB';
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+// Friendly names for cache key prefixes reported by cacheManager.getCacheUsage
+const CACHE_PREFIX_LABELS = {
+  twit_cache_http_: 'API responses',
+};
 
 const SettingsScreen = ({ navigation }) => {
+  const { colors, setMode } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [isLoading, setIsLoading] = useState(false);
   const [settings, setSettings] = useState({
     useCellularData: true,
-    darkMode: false,
+    themeMode: settingsManager.DEFAULT_SETTINGS.themeMode,
+    playedThreshold: settingsManager.DEFAULT_SETTINGS.playedThreshold,
+    playbackSpeed: settingsManager.DEFAULT_SETTINGS.playbackSpeed,
+    skipBackSeconds: settingsManager.DEFAULT_SETTINGS.skipBackSeconds,
+    skipForwardSeconds: settingsManager.DEFAULT_SETTINGS.skipForwardSeconds,
+    rememberShowSpeed: settingsManager.DEFAULT_SETTINGS.rememberShowSpeed,
+    reminderLeadMinutes: settingsManager.DEFAULT_SETTINGS.reminderLeadMinutes,
   });
 
+  const [downloadInfo, setDownloadInfo] = useState({ usedBytes: 0, quotaBytes: 0, count: 0 });
+  const [cacheUsage, setCacheUsage] = useState(null);
+  const [outboxStatus, setOutboxStatus] = useState(outboxManager.getStatus());
+
   // Load settings on component mount
   useEffect(() => {
     loadUserSettings();
+    refreshCacheUsage();
+  }, []);
+
+  const refreshCacheUsage = async () => {
+    try {
+      setCacheUsage(await cacheManager.getCacheUsage());
+    } catch (error) {
+      console.error('Error loading cache usage:', error);
+    }
+  };
+
+  // Keep the pending offline actions count up to date
+  useEffect(() => {
+    return outboxManager.addListener(setOutboxStatus);
+  }, []);
+
+  // Keep download storage usage up to date
+  useEffect(() => {
+    const refreshDownloadInfo = () => {
+      downloadManager.getStorageInfo()
+        .then(setDownloadInfo)
+        .catch(error => console.error('Error loading download info:', error));
+    };
+
+    refreshDownloadInfo();
+    return downloadManager.addListener(refreshDownloadInfo);
   }, []);
 
   // Load settings from storage
@@ -73,6 +132,61 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  const selectOption = async (key, value) => {
+    try {
+      setSettings(prevSettings => ({
+        ...prevSettings,
+        [key]: value
+      }));
+
+      await settingsManager.saveSettings({
+        ...settings,
+        [key]: value
+      });
+
+      // Keep the progress manager's threshold in sync
+      if (key === 'playedThreshold') {
+        await progressManager.updatePlayedThreshold(value);
+      }
+
+      // Lock screen / notification skip buttons use the same intervals
+      if (key === 'skipBackSeconds' || key === 'skipForwardSeconds') {
+        const updated = { ...settings, [key]: value };
+        await audioPlayer.updateSkipIntervals(updated.skipBackSeconds, updated.skipForwardSeconds);
+      }
+
+      // Restyle the app straight away
+      if (key === 'themeMode') {
+        await setMode(value);
+      }
+
+      // Move pending show reminders to the new lead time
+      if (key === 'reminderLeadMinutes') {
+        await reminderService.rescheduleAll();
+      }
+    } catch (error) {
+      console.error(`Error selecting ${key} setting:`, error);
+    }
+  };
+
+  const resetShowSpeeds = () => {
+    Alert.alert(
+      'Reset Show Speeds',
+      'Forget the playback speed remembered for each show? All shows will use the default speed.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: () => settingsManager.clearShowPlaybackSpeeds()
+        }
+      ]
+    );
+  };
+
   const clearCache = async () => {
     Alert.alert(
       'Clear Cache',
@@ -89,6 +203,7 @@ const SettingsScreen = ({ navigation }) => {
             setIsLoading(true);
             try {
               await apiService.clearCache();
+              await refreshCacheUsage();
               Alert.alert('Success', 'Cache cleared successfully');
             } catch (error) {
               Alert.alert('Error', 'Failed to clear cache');
@@ -102,6 +217,31 @@ const SettingsScreen = ({ navigation }) => {
     );
   };
 
+  const removeAllDownloads = () => {
+    Alert.alert(
+      'Remove Downloads',
+      'This will delete all downloaded episodes from this device. Continue?',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await downloadManager.removeAll();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to remove downloads');
+              console.error('Error removing downloads:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const openClubTwit = async () => {
     const url = 'https://twit.tv/clubtwit';
     const supported = await Linking.canOpenURL(url);
@@ -125,12 +265,34 @@ const SettingsScreen = ({ navigation }) => {
       <Switch
         value={settings[key]}
         onValueChange={() => toggleSetting(key)}
-        trackColor={{ false: '#767577', true: COLORS.PRIMARY }}
-        thumbColor="#f4f3f4"
+        trackColor={{ false: colors.SWITCH_TRACK_OFF, true: colors.PRIMARY }}
+        thumbColor={colors.SWITCH_THUMB}
       />
     </View>
   );
 
+  const renderOptionItem = (title, description, key, options) => (
+    <View style={styles.settingItem}>
+      <View style={styles.settingTextContainer}>
+        <Text style={styles.settingTitle}>{title}</Text>
+        <Text style={styles.settingDescription}>{description}</Text>
+        <View style={styles.optionRow}>
+          {options.map(option => (
+            <TouchableOpacity
+              key={String(option.value)}
+              style={[styles.optionChip, settings[key] === option.value && styles.optionChipActive]}
+              onPress={() => selectOption(key, option.value)}
+            >
+              <Text style={[styles.optionChipText, settings[key] === option.value && styles.optionChipTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+    </View>
+  );
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView contentContainerStyle={styles.scrollContent}>
@@ -142,10 +304,15 @@ const SettingsScreen = ({ navigation }) => {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>General</Text>
 
-          {renderSettingItem(
+          {renderOptionItem(
             'Dark Mode',
-            'Use dark theme throughout the app',
-            'darkMode'
+            'Use the dark theme always, never, or when the device does',
+            'themeMode',
+            [
+              { value: THEME_MODES.SYSTEM, label: 'System' },
+              { value: THEME_MODES.LIGHT, label: 'Off' },
+              { value: THEME_MODES.DARK, label: 'On' },
+            ]
           )}
         </View>
 
@@ -157,22 +324,144 @@ const SettingsScreen = ({ navigation }) => {
             'Stream videos using cellular data',
             'useCellularData'
           )}
+
+          {renderOptionItem(
+            'Mark as Played',
+            'Treat an episode as played once this much has been watched',
+            'playedThreshold',
+            [80, 90, 95, 100].map(value => ({ value, label: `${value}%` }))
+          )}
+
+          {renderOptionItem(
+            'Default Speed',
+            'Playback speed for shows you have not set a speed for (pitch is preserved)',
+            'playbackSpeed',
+            PLAYBACK_SPEEDS.map(value => ({ value, label: `${value}x` }))
+          )}
+
+          {renderSettingItem(
+            'Remember Speed Per Show',
+            'Reuse the last speed you chose for each show',
+            'rememberShowSpeed'
+          )}
+
+          {renderOptionItem(
+            'Skip Back',
+            'Seconds to jump back with the skip back button',
+            'skipBackSeconds',
+            SKIP_INTERVALS.map(value => ({ value, label: `${value}s` }))
+          )}
+
+          {renderOptionItem(
+            'Skip Forward',
+            'Seconds to jump ahead with the skip forward button',
+            'skipForwardSeconds',
+            SKIP_INTERVALS.map(value => ({ value, label: `${value}s` }))
+          )}
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={resetShowSpeeds}
+          >
+            <Text style={styles.buttonText}>Reset Show Speeds</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Reminders</Text>
+
+          {renderOptionItem(
+            'Remind Me',
+            'How long before a live show starts to send its reminder',
+            'reminderLeadMinutes',
+            REMINDER_LEAD_TIMES.map(value => ({ value, label: `${value} min` }))
+          )}
         </View>
 
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Data</Text>
 
+          {cacheUsage && (
+            <View style={styles.settingItem}>
+              <View style={styles.settingTextContainer}>
+                <Text style={styles.settingTitle}>Cache</Text>
+                <Text style={styles.settingDescription}>
+                  {formatFileSize(cacheUsage.totalBytes)} of {formatFileSize(cacheUsage.budgetBytes)} used • least recently used entries are removed first
+                </Text>
+                {Object.entries(cacheUsage.byPrefix).map(([prefix, usage]) => (
+                  <Text key={prefix} style={styles.settingDescription}>
+                    {CACHE_PREFIX_LABELS[prefix] || prefix}: {formatFileSize(usage.bytes)} ({usage.count} item{usage.count === 1 ? '' : 's'})
+                  </Text>
+                ))}
+              </View>
+            </View>
+          )}
+
           <TouchableOpacity
             style={styles.button}
             onPress={clearCache}
             disabled={isLoading}
           >
             {isLoading ? (
-              <ActivityIndicator size="small" color={COLORS.TEXT_LIGHT} />
+              <ActivityIndicator size="small" color={colors.ON_CTA} />
             ) : (
               <Text style={styles.buttonText}>Clear Cache</Text>
             )}
           </TouchableOpacity>
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingTextContainer}>
+              <Text style={styles.settingTitle}>Pending Changes</Text>
+              <Text style={styles.settingDescription}>
+                {outboxStatus.isFlushing
+                  ? 'Syncing…'
+                  : outboxStatus.pendingCount > 0
+                    ? `${outboxStatus.pendingCount} change${outboxStatus.pendingCount === 1 ? '' : 's'} made offline waiting to sync`
+                    : 'Everything is synced'}
+              </Text>
+              {outboxStatus.issues.map(issue => (
+                <Text key={issue.id} style={styles.settingDescription}>
+                  {issue.reason === 'conflict' ? 'Conflict' : 'Failed'}: {issue.method?.toUpperCase()} {issue.url}
+                </Text>
+              ))}
+            </View>
+          </View>
+
+          {outboxStatus.pendingCount > 0 && (
+            <TouchableOpacity
+              style={styles.button}
+              onPress={() => outboxManager.flush()}
+              disabled={outboxStatus.isFlushing}
+            >
+              <Text style={styles.buttonText}>Sync Now</Text>
+            </TouchableOpacity>
+          )}
+
+          {outboxStatus.issues.length > 0 && (
+            <TouchableOpacity
+              style={styles.button}
+              onPress={() => outboxManager.clearIssues()}
+            >
+              <Text style={styles.buttonText}>Dismiss Sync Issues</Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingTextContainer}>
+              <Text style={styles.settingTitle}>Downloads</Text>
+              <Text style={styles.settingDescription}>
+                {downloadInfo.count} episode{downloadInfo.count === 1 ? '' : 's'} • {formatFileSize(downloadInfo.usedBytes)} of {formatFileSize(downloadInfo.quotaBytes)} used
+              </Text>
+            </View>
+          </View>
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={removeAllDownloads}
+            disabled={downloadInfo.usedBytes === 0}
+          >
+            <Text style={styles.buttonText}>Remove All Downloads</Text>
+          </TouchableOpacity>
         </View>
 
         <View style={styles.section}>
@@ -181,7 +470,7 @@ const SettingsScreen = ({ navigation }) => {
             style={[styles.button, styles.diagnosticButton]}
             onPress={() => navigation.navigate('DiagnosticScreen')}
           >
-            <Ionicons name="bug" size={20} color="#ffffff" style={styles.buttonIcon} />
+            <Ionicons name="bug" size={20} color={colors.ON_PRIMARY} style={styles.buttonIcon} />
             <Text style={styles.diagnosticButtonText}>Open Diagnostics</Text>
           </TouchableOpacity>
         </View>
@@ -192,7 +481,7 @@ const SettingsScreen = ({ navigation }) => {
             style={[styles.button, styles.clubTwitButton]}
             onPress={openClubTwit}
           >
-            <Ionicons name="star" size={20} color="#ffffff" style={styles.buttonIcon} />
+            <Ionicons name="star" size={20} color={colors.ON_CTA} style={styles.buttonIcon} />
             <Text style={styles.buttonText}>Join Club TWiT</Text>
           </TouchableOpacity>
           <Text style={styles.settingDescription}>
@@ -215,10 +504,10 @@ const SettingsScreen = ({ navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   scrollContent: {
     padding: SPACING.MEDIUM,
@@ -229,30 +518,20 @@ const styles = StyleSheet.create({
   },
   versionText: {
     marginTop: SPACING.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
   },
   section: {
     marginBottom: SPACING.LARGE,
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     padding: SPACING.MEDIUM,
-    ...Platform.select({
-      ios: {
-        shadowColor: '#000',
-        shadowOffset: { width: 0, height: 1 },
-        shadowOpacity: 0.2,
-        shadowRadius: 1.41,
-      },
-      android: {
-        elevation: 2,
-      },
-    }),
+    ...ELEVATION.SMALL,
   },
   sectionTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.MEDIUM,
   },
   settingItem: {
@@ -261,7 +540,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: SPACING.SMALL,
     borderBottomWidth: 1,
-    borderBottomColor: COLORS.BORDER,
+    borderBottomColor: colors.BORDER,
   },
   settingTextContainer: {
     flex: 1,
@@ -269,27 +548,53 @@ const styles = StyleSheet.create({
   },
   settingTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: 4,
   },
   settingDescription: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: SPACING.SMALL,
+  },
+  optionChip: {
+    paddingVertical: 4,
+    paddingHorizontal: SPACING.SMALL + 4,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.BORDER,
+    marginRight: SPACING.SMALL,
+    marginBottom: 4,
+  },
+  optionChipActive: {
+    backgroundColor: colors.PRIMARY,
+    borderColor: colors.PRIMARY,
+  },
+  optionChipText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT,
+  },
+  optionChipTextActive: {
+    color: colors.ON_PRIMARY,
+    fontWeight: '600',
   },
   button: {
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     padding: SPACING.MEDIUM,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     alignItems: 'center',
     marginVertical: SPACING.SMALL,
   },
   diagnosticButton: {
     flexDirection: 'row',
     justifyContent: 'center',
-    backgroundColor: COLORS.PRIMARY,
+    backgroundColor: colors.PRIMARY,
   },
   clubTwitButton: {
-    backgroundColor: '#FFD700', // Gold color for premium membership
+    backgroundColor: colors.PREMIUM,
     flexDirection: 'row',
     justifyContent: 'center',
     alignItems: 'center',
@@ -298,24 +603,24 @@ const styles = StyleSheet.create({
     marginRight: SPACING.SMALL,
   },
   buttonText: {
-    color: COLORS.TEXT_DARK,
+    color: colors.ON_CTA,
     fontWeight: 'bold',
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
   },
   diagnosticButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_PRIMARY,
     fontWeight: 'bold',
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
   },
   aboutText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 20,
     marginBottom: SPACING.MEDIUM,
   },
   copyrightText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     textAlign: 'center',
   },
 });
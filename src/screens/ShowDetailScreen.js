@@ -7,11 +7,22 @@ import {
   FlatList,
   TouchableOpacity,
   ActivityIndicator,
+  Alert,
   Linking
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import apiService from '../services/api';
+import scheduleService from '../services/scheduleService';
+import reminderService from '../services/reminderService';
+import subscriptionsManager from '../utils/subscriptions/subscriptionsManager';
+import EpisodeProgressBar from '../components/EpisodeProgressBar';
+import QueueButton from '../components/QueueButton';
+import ShareButton from '../components/ShareButton';
 import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
+
+// How far ahead the next live airing is looked up
+const NEXT_AIRING_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
 
 const extractImageUrl = (show) => {
   if (show.coverArt) {
@@ -61,6 +72,8 @@ const extractEpisodeImageUrl = (episode) => {
 };
 
 const ShowDetailScreen = ({ route, navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const { id, showData: initialShowData } = route.params;
   const [show, setShow] = useState(initialShowData || null);
   const [episodes, setEpisodes] = useState([]);
@@ -71,6 +84,66 @@ const ShowDetailScreen = ({ route, navigation }) => {
   const [loadingMore, setLoadingMore] = useState(false);
   const [hasMore, setHasMore] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [following, setFollowing] = useState(false);
+  const [reminderOn, setReminderOn] = useState(reminderService.hasShowReminder(id));
+  const [nextAiring, setNextAiring] = useState(null);
+
+  // Track whether this show is in "My Shows"
+  useEffect(() => {
+    const updateFollowing = async () => {
+      setFollowing(await subscriptionsManager.isFollowing(id));
+    };
+    updateFollowing();
+    return subscriptionsManager.addListener(updateFollowing);
+  }, [id]);
+
+  // Track whether reminders are on for this show
+  useEffect(() => {
+    const updateReminder = () => setReminderOn(reminderService.hasShowReminder(id));
+    reminderService.ready.then(updateReminder);
+    return reminderService.addListener(updateReminder);
+  }, [id]);
+
+  // Find the next live airing in the schedule
+  useEffect(() => {
+    const updateNextAiring = async () => {
+      try {
+        const now = Date.now();
+        const airings = await scheduleService.getShowAirings(id, now, now + NEXT_AIRING_WINDOW_MS);
+        setNextAiring(airings.find(airing => !airing.allDay && airing.start > now) || null);
+      } catch (err) {
+        console.warn('Schedule unavailable for show:', err.message);
+      }
+    };
+    updateNextAiring();
+    return scheduleService.addListener(updateNextAiring);
+  }, [id]);
+
+  const toggleReminder = async () => {
+    try {
+      const updated = await reminderService.setShowReminder(show || { id }, !reminderOn);
+      if (!updated) {
+        Alert.alert(
+          'Notifications Off',
+          'Allow notifications for this app in your device settings to get show reminders.'
+        );
+      }
+    } catch (err) {
+      console.error('Error updating reminder:', err);
+    }
+  };
+
+  const toggleFollow = async () => {
+    try {
+      if (following) {
+        await subscriptionsManager.unfollowShow(id);
+      } else {
+        await subscriptionsManager.followShow(show || { id });
+      }
+    } catch (err) {
+      console.error('Error updating subscription:', err);
+    }
+  };
 
   useEffect(() => {
     const fetchShowDetails = async () => {
@@ -80,7 +153,11 @@ const ShowDetailScreen = ({ route, navigation }) => {
         
         // Fetch show details
         console.log('Fetching show with ID:', id);
-        const showData = await apiService.getShowById(id);
+        const showData = await apiService.getShowById(id, {
+          onUpdate: (freshShow) => {
+            if (freshShow && Object.keys(freshShow).length > 0) setShow(freshShow);
+          }
+        });
         console.log('Show data received:', JSON.stringify(showData));
         
         // Only update if we got valid show data 
@@ -91,7 +168,15 @@ const ShowDetailScreen = ({ route, navigation }) => {
         }
         
         // Fetch first page of episodes for this show
-        const episodesData = await apiService.getEpisodes({ 'filter[shows]': id, page: 1, range: PAGE_SIZE });
+        const episodesData = await apiService.getEpisodes(
+          { 'filter[shows]': id, page: 1, range: PAGE_SIZE },
+          {
+            // Only replace the first page if the user hasn't paged further yet
+            onUpdate: (freshEpisodes) => setEpisodes(current => (
+              current.length <= PAGE_SIZE ? freshEpisodes : current
+            ))
+          }
+        );
         console.log('Episodes count:', episodesData.length);
         
         // Log first episode data for debugging
@@ -143,6 +228,49 @@ const ShowDetailScreen = ({ route, navigation }) => {
       <View style={styles.showInfoContainer}>
         <Text style={styles.showTitle}>{(show && show.label) || 'Unknown Show'}</Text>
 
+        <View style={styles.actionRow}>
+          <TouchableOpacity
+            style={[styles.followButton, following && styles.followButtonActive]}
+            onPress={toggleFollow}
+          >
+            <Ionicons
+              name={following ? 'checkmark' : 'add'}
+              size={18}
+              color={following ? colors.ON_PRIMARY : colors.TEXT_ACCENT}
+            />
+            <Text style={[styles.followButtonText, following && styles.followButtonTextActive]}>
+              {following ? 'Following' : 'Follow'}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.followButton, reminderOn && styles.followButtonActive]}
+            onPress={toggleReminder}
+            accessibilityLabel={reminderOn ? 'Turn off live reminders' : 'Remind me before this show airs live'}
+          >
+            <Ionicons
+              name={reminderOn ? 'notifications' : 'notifications-outline'}
+              size={18}
+              color={reminderOn ? colors.ON_PRIMARY : colors.TEXT_ACCENT}
+            />
+            <Text style={[styles.followButtonText, reminderOn && styles.followButtonTextActive]}>
+              {reminderOn ? 'Reminders On' : 'Remind Me'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {nextAiring && (
+          <Text style={styles.nextAiringText}>
+            Next live: {new Date(nextAiring.start).toLocaleString([], {
+              weekday: 'short',
+              month: 'short',
+              day: 'numeric',
+              hour: 'numeric',
+              minute: '2-digit',
+            })}
+          </Text>
+        )}
+
         {show && show.description ? (
           <Text style={styles.showDescription}>
             {stripHtmlAndDecodeEntities(show.description)}
@@ -361,7 +489,11 @@ const ShowDetailScreen = ({ route, navigation }) => {
               {stripHtmlAndDecodeEntities(item.description)}
             </Text>
           ) : null}
+
+          <EpisodeProgressBar episodeId={item.id} />
         </View>
+        <ShareButton episode={item} show={show} />
+        <QueueButton episode={item} style={styles.episodeQueueButton} />
       </TouchableOpacity>
     );
   };
@@ -369,7 +501,7 @@ const ShowDetailScreen = ({ route, navigation }) => {
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color={COLORS.CTA} />
+        <ActivityIndicator size="large" color={colors.CTA} />
         <Text style={styles.loadingText}>Loading show details...</Text>
       </View>
     );
@@ -401,7 +533,7 @@ const ShowDetailScreen = ({ route, navigation }) => {
         ) : null}
         ListFooterComponent={loadingMore ? (
           <View style={{ padding: SPACING.MEDIUM }}>
-            <ActivityIndicator size="small" color={COLORS.CTA} />
+            <ActivityIndicator size="small" color={colors.CTA} />
           </View>
         ) : null}
         onEndReached={loadMore}
@@ -413,10 +545,10 @@ const ShowDetailScreen = ({ route, navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   headerImageContainer: {
     width: '100%',
@@ -427,63 +559,97 @@ const styles = StyleSheet.create({
   showImage: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.PRIMARY_LIGHT,
+    backgroundColor: colors.PRIMARY_MUTED,
   },
   placeholderImage: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
     justifyContent: 'center',
     alignItems: 'center',
   },
   placeholderText: {
     fontSize: 40,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT_MUTED,
   },
   showInfoContainer: {
     padding: SPACING.MEDIUM,
-    backgroundColor: COLORS.CARD,
+    backgroundColor: colors.SURFACE,
   },
   showTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.XXX_LARGE,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL,
   },
+  actionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  followButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingVertical: SPACING.SMALL / 2,
+    paddingHorizontal: SPACING.MEDIUM,
+    borderRadius: RADII.PILL,
+    borderWidth: 1,
+    borderColor: colors.TEXT_ACCENT,
+    marginRight: SPACING.SMALL,
+    marginBottom: SPACING.MEDIUM,
+  },
+  followButtonActive: {
+    backgroundColor: colors.PRIMARY,
+  },
+  followButtonText: {
+    marginLeft: 4,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    color: colors.TEXT_ACCENT,
+  },
+  followButtonTextActive: {
+    color: colors.ON_PRIMARY,
+  },
+  nextAiringText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.TEXT_MUTED,
+    marginTop: -SPACING.SMALL,
+    marginBottom: SPACING.MEDIUM,
+  },
   showDescription: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 22,
     marginBottom: SPACING.MEDIUM,
   },
   showTagLine: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 22,
     marginBottom: SPACING.MEDIUM,
   },
   showNotes: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 22,
     marginBottom: SPACING.MEDIUM,
   },
   showContactInfo: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     lineHeight: 22,
     marginBottom: SPACING.MEDIUM,
   },
   websiteButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     paddingVertical: SPACING.SMALL,
     paddingHorizontal: SPACING.MEDIUM,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     alignSelf: 'flex-start',
   },
   websiteButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontWeight: '600',
   },
   episodesContainer: {
@@ -493,41 +659,44 @@ const styles = StyleSheet.create({
   episodesTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.MEDIUM,
   },
   episodeItem: {
     flexDirection: 'row',
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     marginBottom: SPACING.MEDIUM,
     padding: SPACING.MEDIUM,
     borderWidth: 1,
-    borderColor: COLORS.BORDER,
+    borderColor: colors.BORDER,
+  },
+  episodeQueueButton: {
+    paddingRight: 0,
   },
   episodeImageContainer: {
     width: 100,
     height: 100,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
     overflow: 'hidden',
     marginRight: SPACING.MEDIUM,
   },
   episodeImage: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
   },
   episodePlaceholderImage: {
     width: '100%',
     height: '100%',
-    backgroundColor: COLORS.BORDER,
+    backgroundColor: colors.BORDER,
     justifyContent: 'center',
     alignItems: 'center',
   },
   episodePlaceholderText: {
     fontSize: 24,
     fontWeight: 'bold',
-    color: COLORS.TEXT_LIGHT,
+    color: colors.TEXT_MUTED,
   },
   episodeInfo: {
     flex: 1,
@@ -536,7 +705,7 @@ const styles = StyleSheet.create({
   episodeTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL / 2,
   },
   episodeNumberRow: {
@@ -544,7 +713,7 @@ const styles = StyleSheet.create({
     marginBottom: 4,
   },
   episodeNumberBadge: {
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     paddingHorizontal: 8,
     paddingVertical: 2,
     borderRadius: 12,
@@ -552,7 +721,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   episodeNumberText: {
-    color: 'white',
+    color: colors.ON_CTA,
     fontSize: 12,
     fontWeight: 'bold',
   },
@@ -563,23 +732,23 @@ const styles = StyleSheet.create({
     flexWrap: 'wrap',
   },
   episodeDate: {
-    color: COLORS.TEXT_SECONDARY,
+    color: colors.TEXT_MUTED,
     fontSize: 12,
     marginRight: 8,
   },
   episodeRunningTime: {
     fontSize: 12,
-    color: COLORS.TEXT_SECONDARY,
+    color: colors.TEXT_MUTED,
   },
   episodeDescription: {
     fontSize: 13,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginTop: 8,
   },
   showName: {
     fontSize: 13,
     fontWeight: '600',
-    color: '#007AFF',
+    color: colors.TEXT_LINK,
     marginBottom: 4,
     textTransform: 'uppercase',
   },
@@ -587,40 +756,40 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   loadingText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginTop: SPACING.SMALL,
   },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
     padding: SPACING.LARGE,
   },
   errorText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     textAlign: 'center',
     marginBottom: SPACING.MEDIUM,
   },
   retryButton: {
-    backgroundColor: COLORS.SECONDARY,
+    backgroundColor: colors.ACCENT,
     paddingHorizontal: SPACING.MEDIUM,
     paddingVertical: SPACING.SMALL,
     borderRadius: 5,
   },
   retryButtonText: {
-    color: COLORS.TEXT_LIGHT,
+    color: colors.ON_ACCENT,
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
     fontWeight: '600',
   },
   noEpisodesText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     textAlign: 'center',
     padding: SPACING.MEDIUM,
   },
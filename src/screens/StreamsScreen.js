@@ -1,42 +1,101 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  FlatList,
+  SectionList,
   TouchableOpacity,
   ActivityIndicator,
-  Linking,
   Image,
   Alert
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import apiService from '../services/api';
 import playerManager from '../services/playerManager';
-import { COLORS, SPACING, TYPOGRAPHY } from '../utils/theme';
+import scheduleService from '../services/scheduleService';
+import settingsManager, { getSetting, saveSetting } from '../utils/settings/settingsManager';
+import { SPACING, TYPOGRAPHY, RADII, ELEVATION, useTheme, useThemedStyles } from '../theme';
 import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
-import { openStreamInApp } from '../utils/streamUtils';
+import { getInAppPlayback, getExternalAppName, openStreamInApp } from '../utils/streamUtils';
+import { getStreamLogo } from '../utils/streamLogos';
+import LiveStreamPlayer from '../components/LiveStreamPlayer';
 
+// How often the LIVE NOW banner re-checks the schedule
+const LIVE_STATUS_REFRESH_MS = 60 * 1000;
+
+/**
+ * Get the provider name a stream is grouped under
+ * @param {Object} stream - Stream object from the API
+ * @returns {string} Provider name
+ */
+const getProviderName = (stream) => stream.streamProviders?.label || 'Other';
+
+/**
+ * Group streams into SectionList sections by provider
+ * @param {Array} streams - Stream objects
+ * @returns {Array} Sections { title, data }
+ */
+const groupByProvider = (streams) => {
+  const sections = [];
+  streams.forEach(stream => {
+    const provider = getProviderName(stream);
+    let section = sections.find(item => item.title === provider);
+    if (!section) {
+      section = { title: provider, data: [] };
+      sections.push(section);
+    }
+    section.data.push(stream);
+  });
+  return sections;
+};
+
+/**
+ * Format an airing time for the banner, with the weekday if it isn't today
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} e.g. "2:00 PM" or "Sun 2:00 PM"
+ */
+const formatAiringTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) return time;
+  return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+};
+
+/**
+ * Live tab: TWiT's live streams grouped by provider, with what is airing now
+ */
 const StreamsScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [streams, setStreams] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [activeStream, setActiveStream] = useState(null);
+  const [liveStatus, setLiveStatus] = useState({ current: null, next: null });
+  const [preferredProvider, setPreferredProvider] = useState(null);
+  const streamsRef = useRef([]);
+  streamsRef.current = streams;
 
-  useEffect(() => {
-    fetchStreams();
-    
-    // Add focus listener to stop external players when returning to this screen
-    const unsubscribe = navigation.addListener('focus', () => {
-      // Clear external app record when returning to this screen
-      // This ensures we track when the user comes back to the app
-      playerManager.clearExternalApp();
-    });
-    
-    // Clean up the listener on unmount
-    return unsubscribe;
-  }, [navigation]);
+  // Show the player again for a live stream that is still playing
+  const showPlayingStream = useCallback(() => {
+    const nowPlaying = playerManager.getNowPlaying();
+    if (!nowPlaying?.streamId) return;
+    const playing = streamsRef.current.find(stream => String(stream.id) === String(nowPlaying.streamId));
+    if (playing) {
+      setActiveStream(current => current || playing);
+    }
+  }, []);
+
+  const refreshLiveStatus = useCallback(async () => {
+    try {
+      setLiveStatus(await scheduleService.getLiveStatus());
+    } catch (err) {
+      // The streams are still usable without the schedule
+      console.warn('Error loading live schedule:', err);
+    }
+  }, []);
 
-  const fetchStreams = async () => {
+  const fetchStreams = useCallback(async () => {
     setLoading(true);
     setError(null);
 
@@ -44,7 +103,9 @@ const StreamsScreen = ({ navigation }) => {
       const streamsData = await apiService.getStreams();
       if (streamsData && Array.isArray(streamsData)) {
         // Reverse the order of streams to display the newest first
-        setStreams([...streamsData].reverse());
+        streamsRef.current = [...streamsData].reverse();
+        setStreams(streamsRef.current);
+        showPlayingStream();
       } else {
         setStreams([]);
       }
@@ -54,10 +115,39 @@ const StreamsScreen = ({ navigation }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [showPlayingStream]);
 
+  useEffect(() => {
+    fetchStreams();
+    getSetting(settingsManager.SETTINGS_KEYS.PREFERRED_STREAM_PROVIDER, null).then(setPreferredProvider);
+
+    // Add focus listener to stop external players when returning to this screen
+    const unsubscribe = navigation.addListener('focus', () => {
+      // Clear external app record when returning to this screen
+      // This ensures we track when the user comes back to the app
+      playerManager.clearExternalApp();
+      showPlayingStream();
+      refreshLiveStatus();
+    });
+
+    // Clean up the listener on unmount
+    return unsubscribe;
+  }, [navigation, fetchStreams, showPlayingStream, refreshLiveStatus]);
+
+  // Keep the banner current while the screen stays open
+  useEffect(() => {
+    const interval = setInterval(refreshLiveStatus, LIVE_STATUS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [refreshLiveStatus]);
+
+  // Play in the app when possible, otherwise hand off to the provider's app
   const handleOpenStream = async (stream) => {
     if (stream && stream.streamSource) {
+      if (getInAppPlayback(stream)) {
+        setActiveStream(stream);
+        return;
+      }
+
       try {
         await openStreamInApp(stream);
       } catch (err) {
@@ -77,6 +167,80 @@ const StreamsScreen = ({ navigation }) => {
     }
   };
 
+  // Explicit "Open in…" fallback for streams the app can also play itself
+  const handleOpenExternally = async (stream) => {
+    try {
+      await openStreamInApp(stream);
+    } catch (err) {
+      console.error('Error opening stream:', err);
+      Alert.alert('Stream Error', 'Unable to open this stream in another app.', [{ text: 'OK' }]);
+    }
+  };
+
+  const togglePreferredProvider = async (provider) => {
+    const next = provider === preferredProvider ? null : provider;
+    setPreferredProvider(next);
+    await saveSetting(settingsManager.SETTINGS_KEYS.PREFERRED_STREAM_PROVIDER, next);
+  };
+
+  // The stream the banner opens: the preferred provider's, else the first
+  // one that plays in the app
+  const getQuickStream = () => (
+    (preferredProvider && streams.find(stream => getProviderName(stream) === preferredProvider)) ||
+    streams.find(stream => getInAppPlayback(stream)) ||
+    streams[0] ||
+    null
+  );
+
+  const renderLiveBanner = () => {
+    const { current, next } = liveStatus;
+    const quickStream = getQuickStream();
+    if (!current && !next) return null;
+
+    return (
+      <View style={styles.liveBanner}>
+        <View style={styles.liveBannerInfo}>
+          <View style={[styles.liveBadge, !current && styles.nextBadge]}>
+            <Text style={styles.liveBadgeText}>{current ? 'LIVE NOW' : 'UP NEXT'}</Text>
+          </View>
+          <Text style={styles.liveBannerTitle} numberOfLines={1}>
+            {(current || next).title}
+          </Text>
+          <Text style={styles.liveBannerTime}>
+            {current
+              ? `Until ${formatAiringTime(current.end)}`
+              : `Starts ${formatAiringTime(next.start)}`}
+          </Text>
+        </View>
+        {current && quickStream && (
+          <TouchableOpacity style={styles.liveBannerButton} onPress={() => handleOpenStream(quickStream)}>
+            <Ionicons name="play" size={18} color={colors.ON_CTA} />
+            <Text style={styles.liveBannerButtonText} numberOfLines={1}>
+              {getProviderName(quickStream)}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderSectionHeader = ({ section }) => {
+    const preferred = section.title === preferredProvider;
+    return (
+      <View style={styles.sectionHeader}>
+        <Image source={getStreamLogo(section.title)} style={styles.providerLogo} resizeMode="contain" />
+        <Text style={styles.sectionTitle}>{section.title}</Text>
+        <TouchableOpacity
+          style={styles.preferredButton}
+          onPress={() => togglePreferredProvider(section.title)}
+          accessibilityLabel={preferred ? 'Preferred provider' : 'Set as preferred provider'}
+        >
+          <Ionicons name={preferred ? 'star' : 'star-outline'} size={20} color={preferred ? colors.CTA : colors.TEXT_MUTED} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   const renderStreamItem = ({ item }) => (
     <View style={styles.streamCard}>
       {item.image && (
@@ -106,6 +270,15 @@ const StreamsScreen = ({ navigation }) => {
             {item.streamType === 'video' ? 'Watch Stream' : 'Listen to Stream'}
           </Text>
         </TouchableOpacity>
+        {getInAppPlayback(item) && (
+          <TouchableOpacity
+            style={styles.openInButton}
+            onPress={() => handleOpenExternally(item)}
+          >
+            <Ionicons name="open-outline" size={16} color={colors.TEXT_MUTED} />
+            <Text style={styles.openInButtonText}>Open in {getExternalAppName(item)}</Text>
+          </TouchableOpacity>
+        )}
       </View>
     </View>
   );
@@ -113,7 +286,7 @@ const StreamsScreen = ({ navigation }) => {
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color={COLORS.CTA} />
+        <ActivityIndicator size="large" color={colors.CTA} />
         <Text style={styles.loadingText}>Loading streams...</Text>
       </View>
     );
@@ -135,16 +308,26 @@ const StreamsScreen = ({ navigation }) => {
 
   return (
     <View style={styles.container}>
-      <Text style={styles.headerTitle}>Live Streams</Text>
+      {activeStream && (
+        <LiveStreamPlayer
+          key={activeStream.id}
+          stream={activeStream}
+          onClose={() => setActiveStream(null)}
+        />
+      )}
       {streams.length > 0 ? (
-        <FlatList
-          data={streams}
+        <SectionList
+          sections={groupByProvider(streams)}
           renderItem={renderStreamItem}
+          renderSectionHeader={renderSectionHeader}
           keyExtractor={(item) => item.id.toString()}
+          ListHeaderComponent={renderLiveBanner()}
           contentContainerStyle={styles.listContent}
+          stickySectionHeadersEnabled={false}
         />
       ) : (
         <View style={styles.noStreamsContainer}>
+          {renderLiveBanner()}
           <Text style={styles.noStreamsText}>No streams available</Text>
         </View>
       )}
@@ -152,30 +335,91 @@ const StreamsScreen = ({ navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
-  headerTitle: {
-    fontSize: TYPOGRAPHY.FONT_SIZE.XX_LARGE,
-    fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+  listContent: {
     padding: SPACING.MEDIUM,
   },
-  listContent: {
+  liveBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.NAV_BACKGROUND,
+    borderRadius: RADII.MEDIUM,
     padding: SPACING.MEDIUM,
+    marginBottom: SPACING.MEDIUM,
+  },
+  liveBannerInfo: {
+    flex: 1,
+  },
+  liveBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: colors.DANGER,
+    borderRadius: RADII.SMALL,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginBottom: 4,
+  },
+  nextBadge: {
+    backgroundColor: colors.NAV_SURFACE,
+  },
+  liveBadgeText: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.ON_DANGER,
+  },
+  liveBannerTitle: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
+    fontWeight: 'bold',
+    color: colors.ON_NAV,
+  },
+  liveBannerTime: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    color: colors.ON_NAV_MUTED,
+    marginTop: 2,
+  },
+  liveBannerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: 140,
+    backgroundColor: colors.CTA,
+    borderRadius: RADII.SMALL,
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: 12,
+    marginLeft: SPACING.SMALL,
+  },
+  liveBannerButtonText: {
+    marginLeft: 4,
+    fontWeight: 'bold',
+    color: colors.ON_CTA,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SPACING.SMALL,
+  },
+  providerLogo: {
+    width: 28,
+    height: 28,
+    marginRight: SPACING.SMALL,
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
+    fontWeight: 'bold',
+    color: colors.TEXT,
+  },
+  preferredButton: {
+    padding: 4,
   },
   streamCard: {
-    backgroundColor: COLORS.CARD,
-    borderRadius: 8,
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
     marginBottom: SPACING.MEDIUM,
     overflow: 'hidden',
-    elevation: 2,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.2,
-    shadowRadius: 1.41,
+    ...ELEVATION.SMALL,
   },
   streamImage: {
     width: '100%',
@@ -187,12 +431,12 @@ const styles = StyleSheet.create({
   streamTitle: {
     fontSize: TYPOGRAPHY.FONT_SIZE.X_LARGE,
     fontWeight: 'bold',
-    color: COLORS.TEXT_DARK,
+    color: colors.TEXT,
     marginBottom: SPACING.SMALL,
   },
   streamDescription: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
     marginBottom: SPACING.SMALL,
   },
   streamTypeContainer: {
@@ -202,63 +446,76 @@ const styles = StyleSheet.create({
   },
   streamType: {
     fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
-    color: COLORS.TEXT,
+    color: colors.TEXT,
     marginRight: SPACING.SMALL,
   },
   watchButton: {
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     padding: SPACING.SMALL,
-    borderRadius: 4,
+    borderRadius: RADII.SMALL,
     alignItems: 'center',
     marginTop: SPACING.SMALL,
   },
   watchButtonText: {
-    color: COLORS.TEXT_DARK,
+    color: colors.ON_CTA,
     fontWeight: 'bold',
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
   },
+  openInButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: SPACING.SMALL,
+    marginTop: 4,
+  },
+  openInButtonText: {
+    marginLeft: 4,
+    color: colors.TEXT_MUTED,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
   },
   loadingText: {
     marginTop: SPACING.SMALL + 4,
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: COLORS.BACKGROUND,
+    backgroundColor: colors.BACKGROUND,
     padding: SPACING.MEDIUM,
   },
   errorText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.ERROR,
+    color: colors.TEXT_DANGER,
     textAlign: 'center',
     marginBottom: SPACING.MEDIUM,
   },
   retryButton: {
-    backgroundColor: COLORS.CTA,
+    backgroundColor: colors.CTA,
     paddingVertical: SPACING.SMALL + 2,
     paddingHorizontal: SPACING.MEDIUM,
-    borderRadius: 8,
+    borderRadius: RADII.MEDIUM,
   },
   retryButtonText: {
-    color: COLORS.TEXT_DARK,
+    color: colors.ON_CTA,
     fontWeight: 'bold',
   },
   noStreamsContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
+    padding: SPACING.MEDIUM,
   },
   noStreamsText: {
     fontSize: TYPOGRAPHY.FONT_SIZE.LARGE,
-    color: COLORS.TEXT_MEDIUM,
+    color: colors.TEXT_MUTED,
   },
 });
 
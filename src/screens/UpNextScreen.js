@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useLayoutEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import queueManager from '../services/queueManager';
+import playerManager from '../services/playerManager';
+import { SPACING, TYPOGRAPHY, RADII, useTheme, useThemedStyles } from '../theme';
+
+/**
+ * Up Next: what is playing now and the queued episodes that follow it
+ */
+const UpNextScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [queue, setQueue] = useState(queueManager.getQueue());
+  const [nowPlaying, setNowPlaying] = useState(playerManager.getNowPlaying());
+
+  useEffect(() => queueManager.addListener(setQueue), []);
+  useEffect(() => playerManager.addListener(setNowPlaying), []);
+
+  const confirmClear = () => {
+    Alert.alert('Clear Up Next', 'Remove all queued episodes?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Clear', style: 'destructive', onPress: () => queueManager.clear() },
+    ]);
+  };
+
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (queue.length > 0 ? (
+        <TouchableOpacity onPress={confirmClear} style={styles.headerButton}>
+          <Text style={styles.headerButtonText}>Clear</Text>
+        </TouchableOpacity>
+      ) : null),
+    });
+  }, [navigation, queue.length, styles]);
+
+  const playNow = async (item) => {
+    try {
+      const result = await queueManager.playItem(item);
+      if (result === 'offline') {
+        Alert.alert('Cannot Play', 'Streaming is not available on this connection. Check your network or cellular data setting.');
+      } else if (result === 'unavailable') {
+        Alert.alert('Not Available', 'This episode has no playable media.');
+      }
+    } catch (error) {
+      console.error('Error playing queued episode:', error);
+      Alert.alert('Playback Error', 'There was a problem playing this episode.');
+    }
+  };
+
+  const openEpisode = (episodeId, title, showId) => {
+    navigation.navigate('EpisodeDetail', {
+      id: episodeId,
+      title: title || 'Episode Details',
+      showId,
+    });
+  };
+
+  const renderArtwork = (artwork) => (
+    artwork ? (
+      <Image source={{ uri: artwork }} style={styles.artwork} />
+    ) : (
+      <View style={[styles.artwork, styles.artworkPlaceholder]}>
+        <Ionicons name="musical-notes" size={20} color={colors.ON_PRIMARY} />
+      </View>
+    )
+  );
+
+  const renderNowPlaying = () => {
+    if (!nowPlaying) return null;
+
+    return (
+      <View>
+        <Text style={styles.sectionTitle}>Now Playing</Text>
+        <TouchableOpacity
+          style={[styles.row, styles.nowPlayingRow]}
+          disabled={!nowPlaying.episodeId}
+          onPress={() => openEpisode(nowPlaying.episodeId, nowPlaying.title)}
+        >
+          {renderArtwork(nowPlaying.artwork)}
+          <View style={styles.info}>
+            <Text style={styles.showName} numberOfLines={1}>{nowPlaying.artist}</Text>
+            <Text style={styles.title} numberOfLines={2}>{nowPlaying.title}</Text>
+          </View>
+          <TouchableOpacity style={styles.iconButton} onPress={() => playerManager.togglePlayPause()}>
+            <Ionicons name={nowPlaying.isPlaying ? 'pause' : 'play'} size={24} color={colors.TEXT_ACCENT} />
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderItem = ({ item, index }) => (
+    <TouchableOpacity style={styles.row} onPress={() => openEpisode(item.episodeId, item.title, item.showId)}>
+      {renderArtwork(item.artwork)}
+      <View style={styles.info}>
+        <Text style={styles.showName} numberOfLines={1}>{item.showName}</Text>
+        <Text style={styles.title} numberOfLines={2}>{item.title}</Text>
+      </View>
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.iconButton} onPress={() => playNow(item)}>
+          <Ionicons name="play-circle-outline" size={24} color={colors.TEXT_ACCENT} />
+        </TouchableOpacity>
+        <View style={styles.reorderButtons}>
+          <TouchableOpacity
+            disabled={index === 0}
+            onPress={() => queueManager.move(index, index - 1)}
+          >
+            <Ionicons name="chevron-up" size={20} color={index === 0 ? colors.BORDER : colors.TEXT_MUTED} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            disabled={index === queue.length - 1}
+            onPress={() => queueManager.move(index, index + 1)}
+          >
+            <Ionicons
+              name="chevron-down"
+              size={20}
+              color={index === queue.length - 1 ? colors.BORDER : colors.TEXT_MUTED}
+            />
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity style={styles.iconButton} onPress={() => queueManager.remove(item.episodeId)}>
+          <Ionicons name="close" size={22} color={colors.DANGER} />
+        </TouchableOpacity>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={queue}
+        renderItem={renderItem}
+        keyExtractor={(item) => String(item.episodeId)}
+        contentContainerStyle={styles.list}
+        ListHeaderComponent={
+          <>
+            {renderNowPlaying()}
+            <Text style={styles.sectionTitle}>Up Next</Text>
+          </>
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            Use the + button on an episode to add it to Up Next. Queued episodes play automatically when the current one ends.
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.BACKGROUND,
+  },
+  list: {
+    flexGrow: 1,
+    padding: SPACING.MEDIUM,
+  },
+  headerButton: {
+    paddingHorizontal: SPACING.SMALL,
+  },
+  headerButtonText: {
+    color: colors.ON_NAV,
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: 'bold',
+    color: colors.TEXT_MUTED,
+    textTransform: 'uppercase',
+    marginBottom: SPACING.SMALL,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.SURFACE,
+    borderRadius: RADII.MEDIUM,
+    borderWidth: 1,
+    borderColor: colors.BORDER,
+    padding: SPACING.SMALL,
+    marginBottom: SPACING.SMALL,
+  },
+  nowPlayingRow: {
+    borderColor: colors.HIGHLIGHT,
+    marginBottom: SPACING.MEDIUM,
+  },
+  artwork: {
+    width: 56,
+    height: 56,
+    borderRadius: RADII.SMALL,
+    marginRight: SPACING.SMALL,
+  },
+  artworkPlaceholder: {
+    backgroundColor: colors.PRIMARY,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+  },
+  showName: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.SMALL,
+    fontWeight: '600',
+    color: colors.TEXT_LINK,
+    textTransform: 'uppercase',
+    marginBottom: 2,
+  },
+  title: {
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    fontWeight: '600',
+    color: colors.TEXT,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  reorderButtons: {
+    paddingHorizontal: 4,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: TYPOGRAPHY.FONT_SIZE.MEDIUM,
+    color: colors.TEXT_MUTED,
+    marginTop: 40,
+    paddingHorizontal: SPACING.LARGE,
+  },
+});
+
+export default UpNextScreen;
@@ -1,6 +1,9 @@
-import axios from 'axios';
+import axios, { CanceledError, isCancel } from 'axios';
 import { API_CREDENTIALS } from '../config/credentials';
 import cacheManager from '../utils/cacheManager';
+import outboxManager from './outboxManager';
+import { ApiUsageLimitError, isApiUsageLimitError, isUsageLimitResponse } from '../utils/apiErrors';
+import { getRetryDelay } from '../utils/apiHelpers';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -13,8 +16,59 @@ const api = axios.create({
 // Get API credentials from config
 const { APP_ID, APP_KEY } = API_CREDENTIALS;
 
+// ---- Retries and usage-limit circuit breaker ----
+// Defaults for retrying failed idempotent requests; a request can override
+// them with `retry: { retries, baseDelayMs, maxDelayMs }` or opt out with `retry: false`
+const RETRY_CONFIG = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+};
+
+// Only requests that are safe to repeat are retried
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Transient HTTP statuses worth retrying (the usage-limit 500 is handled separately)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// How long to stop calling the API after it reports its usage limit
+const USAGE_LIMIT_COOLDOWN_MS = 15 * 60 * 1000;
+
+// While Date.now() is before this, requests fail fast with ApiUsageLimitError
+let circuitOpenUntil = 0;
+
+/**
+ * Override the default retry settings
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs }
+ */
+const configureRetries = (options = {}) => {
+  Object.assign(RETRY_CONFIG, options);
+};
+
+/**
+ * Get the usage-limit circuit breaker state
+ * @returns {Object} { open, retryAt }
+ */
+const getCircuitBreakerState = () => ({
+  open: Date.now() < circuitOpenUntil,
+  retryAt: circuitOpenUntil || null,
+});
+
+const shouldRetry = (error, retryOptions) => {
+  const { config, response } = error;
+  if (!config || !retryOptions || isCancel(error)) return false;
+  if (!IDEMPOTENT_METHODS.includes((config.method || 'GET').toUpperCase())) return false;
+  if ((config.__retryCount || 0) >= retryOptions.retries) return false;
+  // No response means a network error or timeout
+  return !response || RETRYABLE_STATUSES.includes(response.status);
+};
+
 // Add authentication headers to every request
 api.interceptors.request.use(config => {
+  // Circuit breaker: don't hit the API again until the cooldown is over
+  if (Date.now() < circuitOpenUntil) {
+    return Promise.reject(new ApiUsageLimitError(circuitOpenUntil));
+  }
   config.headers['app-id'] = APP_ID;
   config.headers['app-key'] = APP_KEY;
   return config;
@@ -24,19 +78,81 @@ api.interceptors.request.use(config => {
 api.interceptors.response.use(
   response => response,
   error => {
-    if (error.response && error.response.status === 500) {
-      const errorData = error.response.data;
-      if (errorData && errorData._errors && errorData._errors[0].message === "usage limits are exceeded") {
-        console.error("API usage limits exceeded");
-      }
+    if (isApiUsageLimitError(error)) {
+      return Promise.reject(error);
+    }
+
+    if (isUsageLimitResponse(error.response)) {
+      circuitOpenUntil = Date.now() + USAGE_LIMIT_COOLDOWN_MS;
+      console.error(`API usage limits exceeded; pausing API requests for ${USAGE_LIMIT_COOLDOWN_MS / 60000} minutes`);
+      return Promise.reject(new ApiUsageLimitError(circuitOpenUntil, error));
     }
+
+    const { config } = error;
+    const retryOptions = config?.retry === false ? null : { ...RETRY_CONFIG, ...(config?.retry || {}) };
+    if (shouldRetry(error, retryOptions)) {
+      config.__retryCount = (config.__retryCount || 0) + 1;
+      const delay = getRetryDelay(config.__retryCount, retryOptions);
+      console.warn(`Retrying ${config.url} in ${delay}ms (attempt ${config.__retryCount} of ${retryOptions.retries})`);
+      return new Promise(resolve => setTimeout(resolve, delay)).then(() => api.request(config));
+    }
+
     return Promise.reject(error);
   }
 );
 
 // ---- Generic cached request helpers ----
 const HTTP_CACHE_PREFIX = 'twit_cache_http_';
-const TEN_MIN_MS = 10 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TEN_MIN_MS = 10 * MINUTE_MS;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// ---- Per-endpoint cache policies ----
+// ttlMs: how long an entry is fresh
+// maxStaleMs: oldest entry that may still be served stale (null = no limit)
+// serveStaleOffline: whether expired entries may be used while offline
+const DEFAULT_CACHE_POLICY = { ttlMs: TEN_MIN_MS, maxStaleMs: null, serveStaleOffline: true };
+
+const CACHE_POLICIES = {
+  // Catalogue data that barely changes
+  '/shows': { ttlMs: DAY_MS, maxStaleMs: 30 * DAY_MS, serveStaleOffline: true },
+  '/people': { ttlMs: DAY_MS, maxStaleMs: 30 * DAY_MS, serveStaleOffline: true },
+  '/categories': { ttlMs: 7 * DAY_MS, maxStaleMs: 90 * DAY_MS, serveStaleOffline: true },
+  '/topics': { ttlMs: 7 * DAY_MS, maxStaleMs: 90 * DAY_MS, serveStaleOffline: true },
+  // New episodes and posts appear several times a day
+  '/episodes': { ttlMs: TEN_MIN_MS, maxStaleMs: 7 * DAY_MS, serveStaleOffline: true },
+  '/posts': { ttlMs: 30 * MINUTE_MS, maxStaleMs: 7 * DAY_MS, serveStaleOffline: true },
+  // Live stream state changes constantly; an old answer is worse than none
+  '/streams': { ttlMs: MINUTE_MS, maxStaleMs: 10 * MINUTE_MS, serveStaleOffline: false },
+};
+
+/**
+ * Resolve the cache policy for a request URL
+ * @param {string} url - Request URL relative to the API base (e.g. /shows/123?embed=hosts)
+ * @returns {Object} { endpoint, ttlMs, maxStaleMs, serveStaleOffline }
+ */
+const getCachePolicy = (url = '') => {
+  const path = url.split('?')[0];
+  const endpoint = '/' + (path.replace(/^\/+/, '').split('/')[0] || '');
+  const policy = CACHE_POLICIES[endpoint];
+  return policy ? { endpoint, ...policy } : { endpoint: 'default', ...DEFAULT_CACHE_POLICY };
+};
+
+/**
+ * List the policy table, including the default, for diagnostics
+ * @returns {Array} Policies with their endpoint
+ */
+const getCachePolicies = () => [
+  ...Object.entries(CACHE_POLICIES).map(([endpoint, policy]) => ({ endpoint, ...policy })),
+  { endpoint: 'default', ...DEFAULT_CACHE_POLICY },
+];
+
+// Read an expired entry if the policy still allows serving it
+const getStaleEntry = (cacheKey, policy) => (
+  policy.maxStaleMs == null
+    ? cacheManager.getFromCache(cacheKey, true)
+    : cacheManager.getFromCache(cacheKey, false, policy.maxStaleMs)
+);
 
 // Deterministic stringify with sorted keys
 const stableStringify = (obj) => {
@@ -72,25 +188,254 @@ const buildCacheKey = (config) => {
   return HTTP_CACHE_PREFIX + hashString(normalized);
 };
 
-const requestWithCache = async (reqConfig, { ttlMs = TEN_MIN_MS, forceRefresh = false } = {}) => {
+// ---- In-flight request de-duplication and conditional refetches ----
+// Network requests currently running, keyed by cache key. Concurrent callers
+// asking for the same key share one request instead of hitting the API again.
+// Each entry is { promise, controller, waiting }.
+const inFlightRequests = new Map();
+
+// Counters surfaced on the Diagnostic screen
+const requestStats = {
+  networkRequests: 0,
+  coalescedRequests: 0,
+  coalescedByEndpoint: {},
+  notModifiedResponses: 0,
+};
+
+// Read the validators a response can be revalidated with later
+const getValidators = (headers = {}) => {
+  const etag = headers.etag || headers.ETag || null;
+  const lastModified = headers['last-modified'] || headers['Last-Modified'] || null;
+  return etag || lastModified ? { etag, lastModified } : null;
+};
+
+// Headers that turn a refetch into a conditional request
+const getConditionalHeaders = (validators) => {
+  const headers = {};
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  return headers;
+};
+
+// Error thrown to callers whose AbortSignal fired
+const cancelledError = () => new CanceledError('Request cancelled');
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw cancelledError();
+};
+
+/**
+ * Wait for a shared in-flight request. A caller with a signal stops waiting
+ * when it aborts; the network request itself is only cancelled once every
+ * caller waiting on it has aborted, so one cancelled search never fails
+ * another screen's identical request.
+ * @param {Object} entry - inFlightRequests entry
+ * @param {AbortSignal} signal - Optional caller signal
+ * @returns {Promise<Object>} Axios response
+ */
+const joinRequest = (entry, signal) => {
+  entry.waiting += 1;
+  if (!signal) return entry.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.waiting -= 1;
+      if (entry.waiting === 0) entry.controller.abort();
+      reject(cancelledError());
+    };
+    signal.addEventListener('abort', onAbort);
+    entry.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * Fetch a GET/HEAD request from the network and store it in the cache,
+ * joining an identical request that is already running
+ * @param {Object} reqConfig - Axios request config
+ * @param {string} cacheKey - Key from buildCacheKey
+ * @param {AbortSignal} signal - Optional signal to stop waiting for the response
+ * @returns {Promise<Object>} Axios response
+ */
+const fetchAndCache = (reqConfig, cacheKey, signal = null) => {
+  throwIfAborted(signal);
+
+  // Every caller of this request aborted, so it is being cancelled: start a new one
+  if (inFlightRequests.get(cacheKey)?.controller.signal.aborted) {
+    inFlightRequests.delete(cacheKey);
+  }
+
+  if (inFlightRequests.has(cacheKey)) {
+    const { endpoint } = getCachePolicy(reqConfig.url);
+    requestStats.coalescedRequests += 1;
+    requestStats.coalescedByEndpoint[endpoint] = (requestStats.coalescedByEndpoint[endpoint] || 0) + 1;
+    return joinRequest(inFlightRequests.get(cacheKey), signal);
+  }
+
+  requestStats.networkRequests += 1;
+  const controller = new AbortController();
+  const entry = { promise: null, controller, waiting: 0 };
+  entry.promise = (async () => {
+    try {
+      // Revalidate an existing entry instead of downloading it again when we can
+      const cached = await cacheManager.getCacheEntry(cacheKey);
+      const conditionalHeaders = getConditionalHeaders(cached?.meta?.validators);
+      const isConditional = Object.keys(conditionalHeaders).length > 0;
+
+      const response = await api.request(isConditional
+        ? {
+          ...reqConfig,
+          signal: controller.signal,
+          headers: { ...reqConfig.headers, ...conditionalHeaders },
+          validateStatus: status => (status >= 200 && status < 300) || status === 304,
+        }
+        : { ...reqConfig, signal: controller.signal });
+
+      // 304 Not Modified: the cached copy is still current, just renew it
+      if (response.status === 304 && cached) {
+        requestStats.notModifiedResponses += 1;
+        await cacheManager.renewCache(cacheKey);
+        return {
+          ...response,
+          data: cached.data,
+          status: 200,
+          statusText: 'OK (not modified)',
+          headers: { ...response.headers, 'x-cache': 'REVALIDATED' },
+        };
+      }
+
+      const validators = getValidators(response.headers);
+      await cacheManager.saveToCache(cacheKey, response.data, validators ? { validators } : null);
+      return response;
+    } finally {
+      // A cancelled entry may already have been replaced by a newer request
+      if (inFlightRequests.get(cacheKey) === entry) {
+        inFlightRequests.delete(cacheKey);
+      }
+    }
+  })();
+  inFlightRequests.set(cacheKey, entry);
+  return joinRequest(entry, signal);
+};
+
+/**
+ * Get request de-duplication counters
+ * @returns {Object} { networkRequests, coalescedRequests, coalescedByEndpoint, notModifiedResponses, inFlight }
+ */
+const getRequestStats = () => ({
+  ...requestStats,
+  coalescedByEndpoint: { ...requestStats.coalescedByEndpoint },
+  inFlight: inFlightRequests.size,
+});
+
+/**
+ * Reset request de-duplication counters
+ */
+const resetRequestStats = () => {
+  requestStats.networkRequests = 0;
+  requestStats.coalescedRequests = 0;
+  requestStats.coalescedByEndpoint = {};
+  requestStats.notModifiedResponses = 0;
+};
+
+// ---- Stale-while-revalidate subscribers ----
+// Listeners notified whenever a background revalidation stores newer data
+let cacheUpdateListeners = [];
+
+/**
+ * Add a listener for background cache refreshes
+ * @param {function} listener - Called with { cacheKey, config, data }
+ * @returns {function} Unsubscribe function
+ */
+const addCacheUpdateListener = (listener) => {
+  if (typeof listener !== 'function') return undefined;
+  cacheUpdateListeners.push(listener);
+  return () => {
+    cacheUpdateListeners = cacheUpdateListeners.filter(l => l !== listener);
+  };
+};
+
+const notifyCacheUpdateListeners = (update) => {
+  cacheUpdateListeners.forEach(listener => {
+    try {
+      listener(update);
+    } catch (error) {
+      console.error('Error in cache update listener:', error);
+    }
+  });
+};
+
+// Refresh a cache entry from the network without blocking the caller.
+// onUpdate is only called when the fresh payload differs from the stale one.
+const revalidateInBackground = (reqConfig, cacheKey, staleData, onUpdate) => {
+  fetchAndCache(reqConfig, cacheKey)
+    .then(response => {
+      if (stableStringify(response.data) === stableStringify(staleData)) return;
+      notifyCacheUpdateListeners({ cacheKey, config: reqConfig, data: response.data });
+      if (onUpdate) onUpdate(response);
+    })
+    .catch(error => {
+      console.warn(`Background revalidation failed for ${reqConfig.url}:`, error.message);
+    });
+};
+
+/**
+ * Perform a request through the AsyncStorage cache
+ * @param {Object} reqConfig - Axios request config
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - How long a cached entry counts as fresh (defaults to the endpoint policy)
+ * @param {boolean} options.forceRefresh - Skip the cache and go to the network
+ * @param {boolean} options.staleWhileRevalidate - Return an expired entry immediately and refresh it in the background
+ * @param {function} options.onUpdate - Called with the fresh response when a background refresh brings newer data
+ * @param {boolean} options.queueOffline - Queue mutating requests in the outbox while offline instead of failing
+ * @param {Object} options.outboxOptions - { dedupeKey, onConflict } passed to outboxManager.enqueue
+ * @param {AbortSignal} options.signal - Cancels the request; it then rejects with a cancel error (see isCancel)
+ * @returns {Promise<Object>} Axios-like response
+ */
+const requestWithCache = async (reqConfig, {
+  ttlMs,
+  forceRefresh = false,
+  staleWhileRevalidate = false,
+  onUpdate = null,
+  queueOffline = true,
+  outboxOptions = {},
+  signal = null,
+} = {}) => {
+  throwIfAborted(signal);
+  const policy = getCachePolicy(reqConfig.url);
+  const freshForMs = ttlMs ?? policy.ttlMs;
   const method = (reqConfig.method || 'GET').toUpperCase();
   const isGetLike = method === 'GET' || method === 'HEAD';
   const cacheKey = isGetLike ? buildCacheKey(reqConfig) : null;
 
   // Try cache first for GET/HEAD
   if (isGetLike && !forceRefresh && cacheKey) {
-    const cached = await cacheManager.getFromCache(cacheKey, false, ttlMs);
+    const cached = await cacheManager.getFromCache(cacheKey, false, freshForMs);
     if (cached != null) {
       return { data: cached, status: 200, statusText: 'OK', headers: { 'x-cache': 'HIT' }, config: reqConfig };
     }
   }
 
-  // If offline and no cache for GET, surface a clear error
   const online = await cacheManager.isOnline();
+  throwIfAborted(signal);
+
+  // Stale-while-revalidate: serve the expired entry now, refresh it behind the scenes
+  if (isGetLike && staleWhileRevalidate && !forceRefresh && cacheKey) {
+    const stale = await getStaleEntry(cacheKey, policy);
+    if (stale != null && (online || policy.serveStaleOffline)) {
+      if (online) {
+        revalidateInBackground(reqConfig, cacheKey, stale, onUpdate);
+      }
+      return { data: stale, status: 200, statusText: 'OK (stale)', headers: { 'x-cache': 'STALE' }, config: reqConfig };
+    }
+  }
+
+  // If offline and no cache for GET, surface a clear error
   if (!online && isGetLike) {
     // second chance: ignore expiry in case we have stale but useful cache
-    if (cacheKey) {
-      const stale = await cacheManager.getFromCache(cacheKey, true);
+    if (cacheKey && policy.serveStaleOffline) {
+      const stale = await getStaleEntry(cacheKey, policy);
       if (stale != null) {
         return { data: stale, status: 200, statusText: 'OK (stale)', headers: { 'x-cache': 'STALE' }, config: reqConfig };
       }
@@ -98,41 +443,95 @@ const requestWithCache = async (reqConfig, { ttlMs = TEN_MIN_MS, forceRefresh =
     throw new Error('No internet connection and no cached data available');
   }
 
-  // Perform network request
-  const response = await api.request(reqConfig);
-
-  // Cache GET/HEAD responses
+  // Perform network request; GET/HEAD responses are cached and shared with concurrent callers
   if (isGetLike && cacheKey) {
-    await cacheManager.saveToCache(cacheKey, response.data);
-  } else if (!isGetLike) {
-    // For mutating requests, best-effort: clear HTTP cache namespace
-    await cacheManager.clearCacheByPrefix(HTTP_CACHE_PREFIX);
+    try {
+      return await fetchAndCache(reqConfig, cacheKey, signal);
+    } catch (error) {
+      // Usage limit hit (or circuit breaker open): fall back to cached data of any age
+      if (isApiUsageLimitError(error)) {
+        const stale = await cacheManager.getFromCache(cacheKey, true);
+        if (stale != null) {
+          return { data: stale, status: 200, statusText: 'OK (stale)', headers: { 'x-cache': 'STALE' }, config: reqConfig };
+        }
+      }
+      throw error;
+    }
   }
 
+  // Mutating requests made offline go to the outbox and are replayed on reconnect
+  if (!online && queueOffline) {
+    await outboxManager.enqueue(reqConfig, outboxOptions);
+    return queuedResponse(reqConfig);
+  }
+
+  let response;
+  try {
+    response = await api.request(signal ? { ...reqConfig, signal } : reqConfig);
+  } catch (error) {
+    // Connection dropped mid-request (no response at all): queue it too
+    if (queueOffline && !error.response && !isApiUsageLimitError(error) && !isCancel(error)) {
+      await outboxManager.enqueue(reqConfig, outboxOptions);
+      return queuedResponse(reqConfig);
+    }
+    throw error;
+  }
+
+  // For mutating requests, best-effort: clear HTTP cache namespace
+  await cacheManager.clearCacheByPrefix(HTTP_CACHE_PREFIX);
+
   return response;
 };
 
+// Response returned for a mutation that was queued instead of sent
+const queuedResponse = (reqConfig) => ({
+  data: null,
+  status: 202,
+  statusText: 'Queued',
+  headers: { 'x-outbox': 'QUEUED' },
+  config: reqConfig,
+});
+
+// Queued actions are replayed through requestWithCache, without re-queuing on failure
+outboxManager.setRequestHandler(config => requestWithCache(config, { queueOffline: false }));
+
 const cachedGet = (url, options = {}, cacheOptions = {}) => {
   return requestWithCache({ url, method: 'GET', ...options }, cacheOptions);
 };
 
+// Cache options for list/detail calls that can render stale data first.
+// When a caller passes onUpdate, the call uses stale-while-revalidate and
+// onUpdate receives the extracted data once a newer copy arrives.
+const swrOptions = (onUpdate, extract) => (
+  onUpdate
+    ? { staleWhileRevalidate: true, onUpdate: response => onUpdate(extract(response)) }
+    : {}
+);
+
+// Log a failed call unless the caller cancelled it
+const logRequestError = (message, error) => {
+  if (!isCancel(error)) {
+    console.error(message, error);
+  }
+};
+
 // API service functions
 const apiService = {
   // Shows
-  getShows: async (params = {}) => {
+  getShows: async (params = {}, { onUpdate, signal } = {}) => {
     try {
-      const response = await cachedGet('/shows', { params });
+      const response = await cachedGet('/shows', { params }, { ...swrOptions(onUpdate, r => r.data.shows || []), signal });
       const shows = response.data.shows || [];
       return shows;
     } catch (error) {
-      console.error('Error fetching shows:', error);
+      logRequestError('Error fetching shows:', error);
       throw error;
     }
   },
   
-  getShowById: async (id) => {
+  getShowById: async (id, { onUpdate } = {}) => {
     try {
-      const response = await cachedGet(`/shows/${id}`);
+      const response = await cachedGet(`/shows/${id}`, {}, swrOptions(onUpdate, r => r.data.shows || {}));
       const showData = response.data.shows || {};
       return showData;
     } catch (error) {
@@ -142,13 +541,13 @@ const apiService = {
   },
   
   // Episodes
-  getEpisodes: async (params = {}) => {
+  getEpisodes: async (params = {}, { onUpdate, signal } = {}) => {
     try {
-      const response = await cachedGet('/episodes', { params });
+      const response = await cachedGet('/episodes', { params }, { ...swrOptions(onUpdate, r => r.data.episodes || []), signal });
       const episodes = response.data.episodes || [];
       return episodes;
     } catch (error) {
-      console.error('Error fetching episodes:', error);
+      logRequestError('Error fetching episodes:', error);
       throw error;
     }
   },
@@ -230,9 +629,9 @@ const apiService = {
   },
   
   // People
-  getPeople: async (params = {}) => {
+  getPeople: async (params = {}, { signal } = {}) => {
     try {
-      const response = await cachedGet('/people', { params });
+      const response = await cachedGet('/people', { params }, { signal });
       // Debug the response structure
       console.log('People API response structure:', Object.keys(response.data));
       
@@ -242,7 +641,7 @@ const apiService = {
       }
       return [];
     } catch (error) {
-      console.error('Error fetching people:', error);
+      logRequestError('Error fetching people:', error);
       throw error;
     }
   },
@@ -290,6 +689,24 @@ const apiService = {
     }
   },
   
+  // Whether an error came from a request cancelled through its AbortSignal
+  isCancel,
+
+  // Subscribe to background cache refreshes (stale-while-revalidate)
+  addCacheUpdateListener,
+
+  // Cache policy table (for diagnostics)
+  getCachePolicy,
+  getCachePolicies,
+
+  // Request de-duplication counters (for diagnostics)
+  getRequestStats,
+  resetRequestStats,
+
+  // Retry settings and usage-limit circuit breaker
+  configureRetries,
+  getCircuitBreakerState,
+
   // Clear all cached data
   clearCache: async () => {
     await cacheManager.clearAllCache();
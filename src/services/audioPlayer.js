@@ -0,0 +1,267 @@
+/**
+ * Background Audio Player for TWiT Mobile App
+ *
+ * Plays audio-only episodes through react-native-track-player so playback
+ * continues in the background, with now-playing metadata and controls on the
+ * lock screen and in the notification shade. Also plays live audio streams
+ * (Icecast/Shoutcast and HLS audio). Registers itself with
+ * playerManager, which stays the single source of truth for what is playing.
+ */
+
+import TrackPlayer, {
+  AppKilledPlaybackBehavior,
+  Capability,
+  Event,
+  PitchAlgorithm,
+  State,
+  TrackType,
+} from 'react-native-track-player';
+import playerManager from './playerManager';
+import progressManager from './progressManager';
+import settingsManager from '../utils/settings/settingsManager';
+
+// Player id used with playerManager
+export const AUDIO_PLAYER_ID = 'background-audio';
+
+// How often (ms) the playback position is persisted while playing
+const PROGRESS_SAVE_INTERVAL_MS = 5000;
+
+class AudioPlayer {
+  constructor() {
+    this.setupPromise = null;
+    this.track = null;
+    this.sessionId = 0;
+    this.positionMillis = 0;
+    this.durationMillis = 0;
+    this.lastProgressSave = 0;
+    this.rate = 1;
+    this.skipBackSeconds = settingsManager.DEFAULT_SETTINGS.skipBackSeconds;
+    this.skipForwardSeconds = settingsManager.DEFAULT_SETTINGS.skipForwardSeconds;
+  }
+
+  /**
+   * Player options, including the lock screen / notification skip intervals
+   * @returns {Object} Options for TrackPlayer.updateOptions
+   */
+  buildOptions() {
+    return {
+      capabilities: [
+        Capability.Play,
+        Capability.Pause,
+        Capability.JumpForward,
+        Capability.JumpBackward,
+        Capability.SeekTo,
+        Capability.Stop,
+      ],
+      compactCapabilities: [Capability.JumpBackward, Capability.Play, Capability.Pause, Capability.JumpForward],
+      forwardJumpInterval: this.skipForwardSeconds,
+      backwardJumpInterval: this.skipBackSeconds,
+      progressUpdateEventInterval: 1,
+      android: {
+        appKilledPlaybackBehavior: AppKilledPlaybackBehavior.StopPlaybackAndRemoveNotification,
+      },
+    };
+  }
+
+  /**
+   * Initialise the native player and its remote controls (once)
+   * @returns {Promise<void>}
+   */
+  setup() {
+    if (!this.setupPromise) {
+      this.setupPromise = (async () => {
+        try {
+          await TrackPlayer.setupPlayer({ autoHandleInterruptions: true });
+        } catch (error) {
+          // Already initialised (e.g. after a fast refresh)
+          console.log('AudioPlayer: setupPlayer skipped:', error.message);
+        }
+
+        const { SETTINGS_KEYS, DEFAULT_SETTINGS } = settingsManager;
+        this.skipBackSeconds = await settingsManager.getSetting(
+          SETTINGS_KEYS.SKIP_BACK_SECONDS, DEFAULT_SETTINGS.skipBackSeconds
+        );
+        this.skipForwardSeconds = await settingsManager.getSetting(
+          SETTINGS_KEYS.SKIP_FORWARD_SECONDS, DEFAULT_SETTINGS.skipForwardSeconds
+        );
+        await TrackPlayer.updateOptions(this.buildOptions());
+
+        TrackPlayer.addEventListener(Event.PlaybackState, ({ state }) => this.handleStateChange(state));
+        TrackPlayer.addEventListener(Event.PlaybackProgressUpdated, ({ position, duration }) => {
+          this.handleProgress(position * 1000, duration * 1000);
+        });
+        TrackPlayer.addEventListener(Event.PlaybackQueueEnded, () => this.handleEnded());
+        TrackPlayer.addEventListener(Event.PlaybackError, error => {
+          console.error('AudioPlayer: playback error:', error);
+        });
+      })();
+    }
+    return this.setupPromise;
+  }
+
+  /**
+   * Change the lock screen / notification skip intervals
+   * @param {number} backSeconds - Skip back interval
+   * @param {number} forwardSeconds - Skip forward interval
+   * @returns {Promise<void>}
+   */
+  async updateSkipIntervals(backSeconds, forwardSeconds) {
+    this.skipBackSeconds = backSeconds;
+    this.skipForwardSeconds = forwardSeconds;
+    if (this.setupPromise) {
+      await this.setupPromise;
+      await TrackPlayer.updateOptions(this.buildOptions());
+    }
+  }
+
+  /**
+   * Change the playback speed (pitch-corrected)
+   * @param {number} rate - Playback speed (1 = normal)
+   */
+  setRate(rate) {
+    this.rate = rate;
+    if (this.track) {
+      TrackPlayer.setRate(rate).catch(error => console.error('AudioPlayer: setRate failed:', error));
+    }
+  }
+
+  /**
+   * Start playing an episode's audio, or a live audio stream
+   * @param {Object} track - { episodeId, showId, url, title, artist, artwork, quality, startPositionMillis, rate },
+   *   or for live streams { streamId, url, title, artist, artwork, isLiveStream: true, isHls }
+   * @returns {Promise<void>}
+   */
+  async play(track) {
+    await this.setup();
+
+    // Remember where the previous episode stopped before switching
+    this.saveProgress(true);
+
+    const sessionId = ++this.sessionId;
+    this.track = track;
+    this.positionMillis = track.startPositionMillis || 0;
+    this.durationMillis = 0;
+    this.rate = track.rate || 1;
+
+    playerManager.registerPlayer(
+      AUDIO_PLAYER_ID,
+      () => this.stop(sessionId),
+      {
+        play: () => TrackPlayer.play(),
+        pause: () => TrackPlayer.pause(),
+        seekTo: positionMillis => TrackPlayer.seekTo(positionMillis / 1000),
+        seekBy: offsetMillis => TrackPlayer.seekBy(offsetMillis / 1000),
+        setRate: rate => this.setRate(rate),
+        setVolume: volume => TrackPlayer.setVolume(volume),
+      },
+      {
+        kind: track.isLiveStream ? 'live-audio' : 'audio',
+        episodeId: track.episodeId,
+        streamId: track.streamId,
+        showId: track.showId,
+        title: track.title,
+        artist: track.artist,
+        artwork: track.artwork,
+        url: track.url,
+        quality: track.quality,
+        rate: this.rate,
+      }
+    );
+
+    await TrackPlayer.reset();
+    await TrackPlayer.add({
+      id: String(track.isLiveStream ? `stream-${track.streamId}` : track.episodeId),
+      url: track.url,
+      type: track.isHls ? TrackType.HLS : TrackType.Default,
+      title: track.title || 'TWiT',
+      artist: track.artist || 'TWiT.tv',
+      artwork: track.artwork || undefined,
+      isLiveStream: !!track.isLiveStream,
+      pitchAlgorithm: PitchAlgorithm.Voice,
+    });
+    if (this.positionMillis > 0) {
+      await TrackPlayer.seekTo(this.positionMillis / 1000);
+    }
+    await TrackPlayer.setRate(this.rate);
+    await TrackPlayer.play();
+  }
+
+  /**
+   * Stop playback and clear the lock screen / notification
+   * @param {number} sessionId - Session to stop; stale sessions are ignored
+   */
+  stop(sessionId = this.sessionId) {
+    if (sessionId !== this.sessionId || !this.track) return;
+
+    // Reset first so a following play() can't be overtaken by this stop
+    TrackPlayer.reset().catch(error => console.error('AudioPlayer: reset failed:', error));
+    this.saveProgress(true);
+    this.track = null;
+    playerManager.unregisterPlayer(AUDIO_PLAYER_ID);
+  }
+
+  /**
+   * Check whether an episode is the one loaded in the audio player
+   * @param {string|number} episodeId - Episode id
+   * @returns {boolean} True if loaded
+   */
+  isCurrentEpisode(episodeId) {
+    return !!this.track && !this.track.isLiveStream && String(this.track.episodeId) === String(episodeId);
+  }
+
+  /**
+   * Check whether a live stream is the one loaded in the audio player
+   * @param {string|number} streamId - Stream id
+   * @returns {boolean} True if loaded
+   */
+  isCurrentStream(streamId) {
+    return !!this.track && !!this.track.isLiveStream && String(this.track.streamId) === String(streamId);
+  }
+
+  handleStateChange(state) {
+    playerManager.updatePlaybackState(AUDIO_PLAYER_ID, {
+      isPlaying: state === State.Playing,
+      isBuffering: state === State.Buffering || state === State.Loading,
+    });
+
+    if (state === State.Paused) {
+      this.saveProgress(true);
+    }
+  }
+
+  handleProgress(positionMillis, durationMillis) {
+    this.positionMillis = positionMillis;
+    this.durationMillis = durationMillis;
+    playerManager.updatePlaybackState(AUDIO_PLAYER_ID, { positionMillis, durationMillis });
+    this.saveProgress();
+  }
+
+  handleEnded() {
+    if (!this.track) return;
+    if (this.track.isLiveStream) {
+      // The broadcast ended or the connection dropped
+      playerManager.updatePlaybackState(AUDIO_PLAYER_ID, { isPlaying: false });
+      return;
+    }
+    progressManager.setPlayed(this.track.episodeId, true);
+    playerManager.updatePlaybackState(AUDIO_PLAYER_ID, { isPlaying: false });
+    playerManager.reportFinished(AUDIO_PLAYER_ID, this.track.episodeId);
+  }
+
+  /**
+   * Persist the current position for the loaded episode
+   * @param {boolean} force - Save even if the interval hasn't elapsed
+   */
+  saveProgress(force = false) {
+    if (!this.track || this.track.isLiveStream || !this.durationMillis) return;
+    if (!force && Date.now() - this.lastProgressSave < PROGRESS_SAVE_INTERVAL_MS) return;
+
+    this.lastProgressSave = Date.now();
+    progressManager.saveProgress(this.track.episodeId, this.track.quality, this.positionMillis, this.durationMillis);
+  }
+}
+
+// Create singleton instance
+const audioPlayer = new AudioPlayer();
+
+export default audioPlayer;
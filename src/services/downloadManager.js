@@ -0,0 +1,524 @@
+/**
+ * Download Manager for TWiT Mobile App
+ *
+ * Queues episode media files for offline playback, tracks progress,
+ * resumes interrupted downloads and enforces a storage quota.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import settingsManager from '../utils/settings/settingsManager';
+
+// Persisted index of the files on disk
+const DOWNLOADS_INDEX_KEY = 'twit_downloads_index';
+
+// Directory holding downloaded episode files
+const DOWNLOADS_DIR = `${FileSystem.documentDirectory}downloads/`;
+
+// Episode fields that carry downloadable renditions, in preference order
+export const DOWNLOAD_QUALITIES = {
+  video_hd: 'HD',
+  video_large: 'Large',
+  video_small: 'Small',
+  video_audio: 'Audio',
+};
+
+export const DOWNLOAD_STATUS = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// Only one file is transferred at a time; the rest wait in the queue
+const MAX_CONCURRENT_DOWNLOADS = 1;
+
+// How often (ms) progress and resume data are written to storage
+const PERSIST_INTERVAL_MS = 5000;
+
+// Leave some room on the device even when the quota would allow more
+const MIN_FREE_DISK_BYTES = 200 * 1024 * 1024;
+
+const QUOTA_ERROR_MESSAGE = 'Download storage limit reached. Remove some downloads or raise the limit in Settings.';
+
+const buildDownloadId = (episodeId, quality) => `${episodeId}_${quality}`;
+
+const getFileExtension = (url) => {
+  const match = String(url || '').split('?')[0].match(/\.([a-z0-9]{2,4})$/i);
+  return match ? match[1].toLowerCase() : 'mp4';
+};
+
+class DownloadManager {
+  constructor() {
+    this.downloads = {};
+    this.resumables = {};
+    this.listeners = [];
+    this.lastPersisted = 0;
+    this.ready = this.loadIndex();
+  }
+
+  /**
+   * Load the persisted download index and requeue interrupted downloads
+   */
+  async loadIndex() {
+    try {
+      const stored = await AsyncStorage.getItem(DOWNLOADS_INDEX_KEY);
+      this.downloads = stored ? JSON.parse(stored) : {};
+
+      // Anything that was mid-transfer when the app was closed goes back in the queue;
+      // its saved resume data lets it continue where it stopped
+      Object.values(this.downloads).forEach(item => {
+        if (item.status === DOWNLOAD_STATUS.DOWNLOADING) {
+          item.status = DOWNLOAD_STATUS.QUEUED;
+        }
+      });
+
+      await FileSystem.makeDirectoryAsync(DOWNLOADS_DIR, { intermediates: true }).catch(() => {});
+      console.log(`DownloadManager: loaded ${Object.keys(this.downloads).length} downloads`);
+    } catch (error) {
+      console.error('DownloadManager: failed to load download index:', error);
+      this.downloads = {};
+    }
+
+    this.processQueue();
+  }
+
+  /**
+   * Persist the download index
+   */
+  async saveIndex() {
+    try {
+      this.lastPersisted = Date.now();
+      await AsyncStorage.setItem(DOWNLOADS_INDEX_KEY, JSON.stringify(this.downloads));
+    } catch (error) {
+      console.error('DownloadManager: failed to save download index:', error);
+    }
+  }
+
+  /**
+   * Get the storage quota for downloads in bytes
+   * @returns {Promise<number>} Quota in bytes
+   */
+  async getQuotaBytes() {
+    const quotaMb = await settingsManager.getSetting(
+      settingsManager.SETTINGS_KEYS.DOWNLOAD_QUOTA_MB,
+      settingsManager.DEFAULT_SETTINGS.downloadQuotaMb
+    );
+    return quotaMb * 1024 * 1024;
+  }
+
+  /**
+   * Total bytes used (or reserved by queued downloads) on disk
+   * @param {string} excludeId - Download to leave out of the total
+   * @returns {number} Bytes
+   */
+  getUsedBytes(excludeId = null) {
+    return Object.values(this.downloads)
+      .filter(item => item.id !== excludeId && item.status !== DOWNLOAD_STATUS.FAILED)
+      .reduce((sum, item) => sum + (item.totalBytes || item.bytesWritten || 0), 0);
+  }
+
+  /**
+   * Get storage usage information
+   * @returns {Promise<Object>} Used and quota bytes
+   */
+  async getStorageInfo() {
+    await this.ready;
+    return {
+      usedBytes: this.getUsedBytes(),
+      quotaBytes: await this.getQuotaBytes(),
+      count: Object.values(this.downloads).filter(item => item.status === DOWNLOAD_STATUS.COMPLETED).length,
+    };
+  }
+
+  /**
+   * Queue an episode rendition for download
+   * @param {Object} episode - Episode object from the API
+   * @param {string} quality - One of the DOWNLOAD_QUALITIES keys (e.g. 'video_hd')
+   * @param {Object} meta - Display info (title, showName, imageUrl)
+   * @returns {Promise<Object>} The download record
+   */
+  async enqueue(episode, quality, meta = {}) {
+    await this.ready;
+
+    const media = episode?.[quality];
+    const remoteUrl = media?.mediaUrl || media?.url;
+    if (!remoteUrl) {
+      throw new Error(`No ${DOWNLOAD_QUALITIES[quality] || quality} file available for this episode`);
+    }
+
+    const id = buildDownloadId(episode.id, quality);
+    const existing = this.downloads[id];
+    if (existing && existing.status !== DOWNLOAD_STATUS.FAILED) {
+      return existing;
+    }
+
+    // Enforce the storage quota using the size the API reports for the file,
+    // or the size a failed attempt learned from the server. Without either,
+    // startDownload checks it once the transfer reports its size.
+    const expectedBytes = parseInt(media.size, 10) || existing?.totalBytes || 0;
+    const quotaBytes = await this.getQuotaBytes();
+    if (this.getUsedBytes(id) + expectedBytes > quotaBytes) {
+      throw new Error(QUOTA_ERROR_MESSAGE);
+    }
+
+    try {
+      const freeBytes = await FileSystem.getFreeDiskStorageAsync();
+      if (expectedBytes && freeBytes - expectedBytes < MIN_FREE_DISK_BYTES) {
+        throw new Error('Not enough free space on this device for this download.');
+      }
+    } catch (error) {
+      if (error.message?.startsWith('Not enough free space')) throw error;
+      console.warn('DownloadManager: could not read free disk space:', error);
+    }
+
+    this.downloads[id] = {
+      id,
+      episodeId: episode.id,
+      quality,
+      remoteUrl,
+      localUri: `${DOWNLOADS_DIR}${id}.${getFileExtension(remoteUrl)}`,
+      status: DOWNLOAD_STATUS.QUEUED,
+      bytesWritten: 0,
+      totalBytes: expectedBytes,
+      resumeData: null,
+      title: meta.title || episode.label || '',
+      showName: meta.showName || '',
+      imageUrl: meta.imageUrl || null,
+      createdAt: Date.now(),
+      completedAt: null,
+      error: null,
+    };
+
+    console.log(`DownloadManager: queued ${id}`);
+    await this.saveIndex();
+    this.notifyListeners();
+    this.processQueue();
+    return this.downloads[id];
+  }
+
+  /**
+   * Start queued downloads while there are free slots
+   */
+  processQueue() {
+    const active = Object.values(this.downloads).filter(item => item.status === DOWNLOAD_STATUS.DOWNLOADING);
+    const slots = MAX_CONCURRENT_DOWNLOADS - active.length;
+    if (slots <= 0) return;
+
+    Object.values(this.downloads)
+      .filter(item => item.status === DOWNLOAD_STATUS.QUEUED)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, slots)
+      .forEach(item => this.startDownload(item.id));
+  }
+
+  /**
+   * Start or resume a single download
+   * @param {string} id - Download id
+   */
+  async startDownload(id) {
+    const item = this.downloads[id];
+    if (!item) return;
+
+    item.status = DOWNLOAD_STATUS.DOWNLOADING;
+    item.error = null;
+    this.notifyListeners();
+
+    // The API's size can be missing or wrong, so the quota is checked again
+    // against the server's Content-Length (or the bytes so far) and the file
+    const quotaBytes = await this.getQuotaBytes();
+    const exceedsQuota = (bytes) => this.getUsedBytes(id) + bytes > quotaBytes;
+
+    const onProgress = ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+      const current = this.downloads[id];
+      if (!current || current.status !== DOWNLOAD_STATUS.DOWNLOADING) return;
+      current.bytesWritten = totalBytesWritten;
+      if (totalBytesExpectedToWrite > 0) {
+        current.totalBytes = totalBytesExpectedToWrite;
+      }
+
+      if (exceedsQuota(Math.max(totalBytesExpectedToWrite, totalBytesWritten))) {
+        this.failOverQuota(id);
+        return;
+      }
+
+      // Periodically store resume data so a killed app can pick up where it left off
+      if (Date.now() - this.lastPersisted > PERSIST_INTERVAL_MS && this.resumables[id]) {
+        current.resumeData = this.resumables[id].savable().resumeData || current.resumeData;
+        this.saveIndex();
+      }
+      this.notifyListeners();
+    };
+
+    try {
+      const resumable = FileSystem.createDownloadResumable(
+        item.remoteUrl,
+        item.localUri,
+        {},
+        onProgress,
+        item.resumeData || undefined
+      );
+      this.resumables[id] = resumable;
+
+      const result = item.resumeData
+        ? await resumable.resumeAsync()
+        : await resumable.downloadAsync();
+
+      // A paused or cancelled download resolves without a result
+      if (!result || !this.downloads[id] || this.downloads[id].status !== DOWNLOAD_STATUS.DOWNLOADING) {
+        return;
+      }
+
+      if (result.status && result.status >= 400) {
+        throw new Error(`Server responded with ${result.status}`);
+      }
+
+      const info = await FileSystem.getInfoAsync(item.localUri);
+      if (exceedsQuota(info.size || 0)) {
+        await this.failOverQuota(id);
+        return;
+      }
+
+      item.status = DOWNLOAD_STATUS.COMPLETED;
+      item.bytesWritten = info.size || item.bytesWritten;
+      item.totalBytes = info.size || item.totalBytes;
+      item.resumeData = null;
+      item.completedAt = Date.now();
+      console.log(`DownloadManager: completed ${id}`);
+    } catch (error) {
+      const current = this.downloads[id];
+      if (current && current.status === DOWNLOAD_STATUS.DOWNLOADING) {
+        console.error(`DownloadManager: download ${id} failed:`, error);
+        // Keep resume data so a retry continues instead of starting over
+        current.resumeData = this.resumables[id]?.savable().resumeData || current.resumeData;
+        current.status = DOWNLOAD_STATUS.FAILED;
+        current.error = error.message || 'Download failed';
+      }
+    } finally {
+      delete this.resumables[id];
+      await this.saveIndex();
+      this.notifyListeners();
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Stop a download that went over the storage quota and delete what was
+   * written. The record stays as failed so the error shows in the list.
+   * @param {string} id - Download id
+   */
+  async failOverQuota(id) {
+    const item = this.downloads[id];
+    if (!item) return;
+
+    console.warn(`DownloadManager: ${id} exceeds the storage quota, cancelling`);
+    // Flip the status first so startDownload treats the resolved promise as stopped
+    item.status = DOWNLOAD_STATUS.FAILED;
+    item.error = QUOTA_ERROR_MESSAGE;
+    item.resumeData = null;
+    item.bytesWritten = 0;
+
+    if (this.resumables[id]) {
+      try {
+        await this.resumables[id].cancelAsync();
+      } catch (error) {
+        console.log(`DownloadManager: cancel failed for ${id}:`, error);
+      }
+    }
+
+    try {
+      await FileSystem.deleteAsync(item.localUri, { idempotent: true });
+    } catch (error) {
+      console.error(`DownloadManager: failed to delete file for ${id}:`, error);
+    }
+
+    await this.saveIndex();
+    this.notifyListeners();
+  }
+
+  /**
+   * Pause an active or queued download
+   * @param {string} id - Download id
+   */
+  async pause(id) {
+    const item = this.downloads[id];
+    if (!item) return;
+
+    if (item.status === DOWNLOAD_STATUS.DOWNLOADING && this.resumables[id]) {
+      // Flip the status first so startDownload treats the resolved promise as a pause
+      item.status = DOWNLOAD_STATUS.PAUSED;
+      try {
+        const pauseState = await this.resumables[id].pauseAsync();
+        item.resumeData = pauseState.resumeData;
+      } catch (error) {
+        console.error(`DownloadManager: failed to pause ${id}:`, error);
+      }
+    } else if (item.status === DOWNLOAD_STATUS.QUEUED) {
+      item.status = DOWNLOAD_STATUS.PAUSED;
+    }
+
+    await this.saveIndex();
+    this.notifyListeners();
+    this.processQueue();
+  }
+
+  /**
+   * Resume a paused or failed download
+   * @param {string} id - Download id
+   */
+  async resume(id) {
+    const item = this.downloads[id];
+    if (!item || (item.status !== DOWNLOAD_STATUS.PAUSED && item.status !== DOWNLOAD_STATUS.FAILED)) return;
+
+    item.status = DOWNLOAD_STATUS.QUEUED;
+    item.error = null;
+    await this.saveIndex();
+    this.notifyListeners();
+    this.processQueue();
+  }
+
+  /**
+   * Cancel a download or delete a downloaded file
+   * @param {string} id - Download id
+   */
+  async remove(id) {
+    const item = this.downloads[id];
+    if (!item) return;
+
+    delete this.downloads[id];
+    if (this.resumables[id]) {
+      try {
+        await this.resumables[id].pauseAsync();
+      } catch (error) {
+        console.log(`DownloadManager: pause before removal failed for ${id}:`, error);
+      }
+    }
+
+    try {
+      await FileSystem.deleteAsync(item.localUri, { idempotent: true });
+    } catch (error) {
+      console.error(`DownloadManager: failed to delete file for ${id}:`, error);
+    }
+
+    console.log(`DownloadManager: removed ${id}`);
+    await this.saveIndex();
+    this.notifyListeners();
+    this.processQueue();
+  }
+
+  /**
+   * Remove every download and its file
+   */
+  async removeAll() {
+    await this.ready;
+    const ids = Object.keys(this.downloads);
+    for (const id of ids) {
+      await this.remove(id);
+    }
+  }
+
+  /**
+   * Get a download record
+   * @param {string|number} episodeId - Episode id
+   * @param {string} quality - Quality key
+   * @returns {Object|null} Download record
+   */
+  getDownload(episodeId, quality) {
+    return this.downloads[buildDownloadId(episodeId, quality)] || null;
+  }
+
+  /**
+   * Get all download records for an episode keyed by quality
+   * @param {string|number} episodeId - Episode id
+   * @returns {Object} Map of quality key to download record
+   */
+  getEpisodeDownloads(episodeId) {
+    return Object.values(this.downloads)
+      .filter(item => String(item.episodeId) === String(episodeId))
+      .reduce((acc, item) => ({ ...acc, [item.quality]: item }), {});
+  }
+
+  /**
+   * Get all download records, newest first
+   * @returns {Array} Download records
+   */
+  getAllDownloads() {
+    return Object.values(this.downloads).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Resolve the local file for a completed download, verifying it still exists
+   * @param {string|number} episodeId - Episode id
+   * @param {string} quality - Quality key
+   * @returns {Promise<string|null>} Local file URI or null
+   */
+  async getLocalUri(episodeId, quality) {
+    await this.ready;
+    const item = this.getDownload(episodeId, quality);
+    if (!item || item.status !== DOWNLOAD_STATUS.COMPLETED) return null;
+
+    try {
+      const info = await FileSystem.getInfoAsync(item.localUri);
+      if (info.exists) return item.localUri;
+    } catch (error) {
+      console.error(`DownloadManager: failed to check file for ${item.id}:`, error);
+      return null;
+    }
+
+    // The file was removed behind our back (e.g. OS storage cleanup)
+    console.warn(`DownloadManager: file missing for ${item.id}, forgetting download`);
+    delete this.downloads[item.id];
+    await this.saveIndex();
+    this.notifyListeners();
+    return null;
+  }
+
+  /**
+   * Find the best completed download for an episode
+   * @param {string|number} episodeId - Episode id
+   * @returns {Promise<Object|null>} { quality, uri } or null
+   */
+  async getBestLocalFile(episodeId) {
+    for (const quality of Object.keys(DOWNLOAD_QUALITIES)) {
+      const uri = await this.getLocalUri(episodeId, quality);
+      if (uri) return { quality, uri };
+    }
+    return null;
+  }
+
+  /**
+   * Add a listener for download state changes
+   * @param {function} listener - Callback function
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of download state change
+   */
+  notifyListeners() {
+    const downloads = this.getAllDownloads();
+    this.listeners.forEach(listener => {
+      try {
+        listener(downloads);
+      } catch (error) {
+        console.error('Error in download listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const downloadManager = new DownloadManager();
+
+export default downloadManager;
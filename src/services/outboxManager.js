@@ -0,0 +1,302 @@
+/**
+ * Outbox Manager for TWiT Mobile App
+ *
+ * Persists user actions (non-GET API requests) made while offline and
+ * replays them in order once the device is back online
+ *
+ * The TWiT API the app uses is read-only, so nothing sends a mutation yet:
+ * this is the infrastructure for requestWithCache's non-GET path, ready for
+ * the first write endpoint.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import cacheManager from '../utils/cacheManager';
+import { getRetryDelay } from '../utils/apiHelpers';
+import networkManager from './NetworkManager';
+
+// Persisted queue of unsent actions
+const OUTBOX_QUEUE_KEY = 'twit_outbox_queue';
+
+// How to resolve a replayed action the server rejects as conflicting
+export const CONFLICT_STRATEGIES = {
+  // Drop the queued action and report the conflict (default)
+  DISCARD: 'discard',
+  // Resend once without precondition headers so the queued action wins
+  OVERWRITE: 'overwrite',
+};
+
+// HTTP statuses that mean the server state changed since the action was queued
+const CONFLICT_STATUSES = [409, 412];
+
+// Headers that make a request conditional on server state
+const PRECONDITION_HEADERS = ['If-Match', 'If-Unmodified-Since', 'if-match', 'if-unmodified-since'];
+
+// Number of resolved conflicts/failures kept for display
+const MAX_REPORTED_ISSUES = 20;
+
+// Backoff for replaying an action that failed while online (5xx, network
+// error), growing with the action's attempts. Reconnecting or "Sync Now"
+// replays straight away.
+const RETRY_BACKOFF = { baseDelayMs: 5000, maxDelayMs: 5 * 60 * 1000 };
+
+class OutboxManager {
+  constructor() {
+    this.queue = [];
+    this.issues = [];
+    this.isFlushing = false;
+    this.retryTimer = null;
+    this.requestHandler = null;
+    this.listeners = [];
+    this.ready = this.loadQueue();
+
+    // Replay queued actions whenever connectivity comes back
+    networkManager.addListener(info => {
+      if (info.isConnected) {
+        this.flush();
+      }
+    });
+  }
+
+  /**
+   * Load the persisted queue
+   */
+  async loadQueue() {
+    try {
+      const stored = await AsyncStorage.getItem(OUTBOX_QUEUE_KEY);
+      this.queue = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('OutboxManager: failed to load queue:', error);
+      this.queue = [];
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Persist the queue
+   */
+  async saveQueue() {
+    try {
+      await AsyncStorage.setItem(OUTBOX_QUEUE_KEY, JSON.stringify(this.queue));
+    } catch (error) {
+      console.error('OutboxManager: failed to save queue:', error);
+    }
+  }
+
+  /**
+   * Set the function used to send queued requests (provided by api.js)
+   * @param {function} handler - Receives an axios request config, returns a promise
+   */
+  setRequestHandler(handler) {
+    this.requestHandler = handler;
+    this.flush();
+  }
+
+  /**
+   * Queue a request to be sent once online
+   * @param {Object} reqConfig - Axios request config (method, url, params, data, headers)
+   * @param {Object} options - Queue options
+   * @param {string} options.dedupeKey - Actions with the same key replace earlier queued ones
+   * @param {string} options.onConflict - One of CONFLICT_STRATEGIES
+   * @returns {Promise<Object>} The queued action
+   */
+  async enqueue(reqConfig, { dedupeKey = null, onConflict = CONFLICT_STRATEGIES.DISCARD } = {}) {
+    await this.ready;
+
+    const { method, url, params, data, headers } = reqConfig;
+    const action = {
+      id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      config: { method, url, params, data, headers },
+      dedupeKey,
+      onConflict,
+      createdAt: Date.now(),
+      attempts: 0,
+      lastError: null,
+    };
+
+    // Only the latest version of a repeated action (e.g. toggling a favourite) matters
+    if (dedupeKey) {
+      this.queue = this.queue.filter(item => item.dedupeKey !== dedupeKey);
+    }
+
+    this.queue.push(action);
+    await this.saveQueue();
+    this.notifyListeners();
+    console.log(`OutboxManager: queued ${method} ${url} (${this.queue.length} pending)`);
+    return action;
+  }
+
+  /**
+   * Send one queued action, applying its conflict strategy
+   * @param {Object} action - Queued action
+   * @returns {Promise<string>} 'sent', 'conflict', 'failed' or 'retry'
+   */
+  async sendAction(action) {
+    try {
+      await this.requestHandler(action.config);
+      return 'sent';
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (CONFLICT_STATUSES.includes(status)) {
+        if (action.onConflict === CONFLICT_STRATEGIES.OVERWRITE && action.config.headers) {
+          const headers = { ...action.config.headers };
+          PRECONDITION_HEADERS.forEach(header => delete headers[header]);
+          try {
+            await this.requestHandler({ ...action.config, headers });
+            return 'sent';
+          } catch (overwriteError) {
+            action.lastError = overwriteError.message;
+          }
+        } else {
+          action.lastError = error.message;
+        }
+        return 'conflict';
+      }
+
+      // Other client errors will never succeed; drop them
+      if (status >= 400 && status < 500) {
+        action.lastError = error.message;
+        return 'failed';
+      }
+
+      // Network errors, 5xx and usage limits: keep the action and try again later
+      action.lastError = error.message;
+      return 'retry';
+    }
+  }
+
+  /**
+   * Replay queued actions in order. Stops at the first action that should be
+   * retried later so later actions never overtake earlier ones.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.isFlushing || !this.requestHandler) return;
+    this.cancelRetry();
+    await this.ready;
+    if (this.queue.length === 0) return;
+
+    this.isFlushing = true;
+    this.notifyListeners();
+
+    try {
+      const online = await cacheManager.isOnline();
+      if (!online) return;
+
+      while (this.queue.length > 0) {
+        const action = this.queue[0];
+        action.attempts += 1;
+
+        const result = await this.sendAction(action);
+        if (result === 'retry') {
+          console.warn(`OutboxManager: ${action.config.method} ${action.config.url} failed, will retry later`);
+          this.scheduleRetry(action.attempts);
+          break;
+        }
+
+        this.queue.shift();
+        if (result !== 'sent') {
+          this.reportIssue(action, result);
+        }
+        await this.saveQueue();
+        this.notifyListeners();
+      }
+    } finally {
+      await this.saveQueue();
+      this.isFlushing = false;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Replay the queue again after a backoff delay
+   * @param {number} attempt - Attempts made so far for the action at the head
+   */
+  scheduleRetry(attempt) {
+    this.cancelRetry();
+    const delay = getRetryDelay(attempt, RETRY_BACKOFF);
+    console.log(`OutboxManager: retrying in ${delay}ms`);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  /**
+   * Cancel a scheduled retry
+   */
+  cancelRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Record an action that was dropped because of a conflict or error
+   * @param {Object} action - Dropped action
+   * @param {string} reason - 'conflict' or 'failed'
+   */
+  reportIssue(action, reason) {
+    console.warn(`OutboxManager: dropped ${action.config.method} ${action.config.url} (${reason}): ${action.lastError}`);
+    this.issues = [
+      { id: action.id, method: action.config.method, url: action.config.url, reason, error: action.lastError, at: Date.now() },
+      ...this.issues,
+    ].slice(0, MAX_REPORTED_ISSUES);
+  }
+
+  /**
+   * Clear the list of reported conflicts and failures
+   */
+  clearIssues() {
+    this.issues = [];
+    this.notifyListeners();
+  }
+
+  /**
+   * Get the outbox state
+   * @returns {Object} { pendingCount, isFlushing, issues }
+   */
+  getStatus() {
+    return {
+      pendingCount: this.queue.length,
+      isFlushing: this.isFlushing,
+      issues: this.issues,
+    };
+  }
+
+  /**
+   * Add a listener for outbox changes
+   * @param {function} listener - Callback function
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of outbox changes
+   */
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('Error in outbox listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const outboxManager = new OutboxManager();
+
+export default outboxManager;
@@ -0,0 +1,26 @@
+/**
+ * Playback service for react-native-track-player
+ *
+ * Handles lock-screen, notification and headset controls. Every command is
+ * routed through playerManager so it acts on whatever is currently playing.
+ */
+
+import TrackPlayer, { Event } from 'react-native-track-player';
+import playerManager from './playerManager';
+
+const playbackService = async () => {
+  TrackPlayer.addEventListener(Event.RemotePlay, () => playerManager.play());
+  TrackPlayer.addEventListener(Event.RemotePause, () => playerManager.pause());
+  TrackPlayer.addEventListener(Event.RemoteStop, () => playerManager.stopAllPlayers());
+  TrackPlayer.addEventListener(Event.RemoteJumpForward, ({ interval }) => {
+    playerManager.seekBy(interval * 1000);
+  });
+  TrackPlayer.addEventListener(Event.RemoteJumpBackward, ({ interval }) => {
+    playerManager.seekBy(-interval * 1000);
+  });
+  TrackPlayer.addEventListener(Event.RemoteSeek, ({ position }) => {
+    playerManager.seekTo(position * 1000);
+  });
+};
+
+export default playbackService;
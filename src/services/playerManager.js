@@ -1,6 +1,8 @@
 /**
  * Service for managing video playback state across the app
- * Used to ensure only one video plays at a time
+ * Used to ensure only one video plays at a time, and as the single source of
+ * truth for what is playing (now-playing metadata and transport controls used
+ * by the lock screen, notification and in-app players)
  */
 
 class PlayerManager {
@@ -8,30 +10,182 @@ class PlayerManager {
     this.activePlayerIds = new Set();
     this.activeExternalApp = null;
     this.activeSessions = [];
+    this.nowPlaying = null;
+    this.listeners = [];
+    this.finishListeners = [];
+    this.stopListeners = [];
   }
 
   /**
    * Register a video player as active
    * @param {string} playerId - Unique ID for the player
    * @param {function} stopFunction - Function to call to stop this player
+   * @param {Object} controls - Optional transport controls { play, pause, seekTo, seekBy, setRate, setVolume }
+   * @param {Object} metadata - Optional now-playing metadata (episodeId, showId, title, artist, artwork, url, quality, kind, rate)
    */
-  registerPlayer(playerId, stopFunction) {
+  registerPlayer(playerId, stopFunction, controls = null, metadata = null) {
     if (!playerId) return;
     
     // Stop any other active players
-    this.stopAllPlayers();
+    this.stopActivePlayers();
     
     // Register this player
     this.activePlayerIds.add(playerId);
     this.activeSessions.push({
       id: playerId,
       stopFn: stopFunction,
+      controls,
       timestamp: Date.now()
     });
+
+    if (metadata) {
+      this.nowPlaying = {
+        playerId,
+        isPlaying: false,
+        isBuffering: false,
+        positionMillis: 0,
+        durationMillis: 0,
+        rate: 1,
+        ...metadata,
+      };
+      this.notifyListeners();
+    }
     
     console.log(`PlayerManager: registered player ${playerId}`);
   }
 
+  /**
+   * Check whether a player is registered as active
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if active
+   */
+  isActive(playerId) {
+    return this.activePlayerIds.has(playerId);
+  }
+
+  /**
+   * Update the playback state reported for a player
+   * @param {string} playerId - Player reporting the change
+   * @param {Object} state - { isPlaying, isBuffering, positionMillis, durationMillis, ... }
+   */
+  updatePlaybackState(playerId, state) {
+    if (!this.nowPlaying || this.nowPlaying.playerId !== playerId) return;
+    this.nowPlaying = { ...this.nowPlaying, ...state };
+    this.notifyListeners();
+  }
+
+  /**
+   * Get what is currently playing
+   * @returns {Object|null} Now-playing metadata and state
+   */
+  getNowPlaying() {
+    return this.nowPlaying;
+  }
+
+  /**
+   * Get the transport controls of the most recent player that has them
+   * @returns {Object|null} Controls object
+   */
+  getActiveControls() {
+    const session = [...this.activeSessions]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .find(item => item.controls);
+    return session ? session.controls : null;
+  }
+
+  /**
+   * Resume the active player
+   */
+  play() {
+    this.getActiveControls()?.play?.();
+  }
+
+  /**
+   * Pause the active player
+   */
+  pause() {
+    this.getActiveControls()?.pause?.();
+  }
+
+  /**
+   * Toggle play/pause on the active player
+   */
+  togglePlayPause() {
+    if (this.nowPlaying?.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Seek the active player to a position
+   * @param {number} positionMillis - Target position
+   */
+  seekTo(positionMillis) {
+    this.getActiveControls()?.seekTo?.(positionMillis);
+  }
+
+  /**
+   * Skip forward or back in the active player
+   * @param {number} offsetMillis - Positive to skip forward, negative to skip back
+   */
+  seekBy(offsetMillis) {
+    this.getActiveControls()?.seekBy?.(offsetMillis);
+  }
+
+  /**
+   * Change the playback speed of the active player
+   * @param {number} rate - Playback speed (1 = normal)
+   */
+  setRate(rate) {
+    this.getActiveControls()?.setRate?.(rate);
+    if (this.nowPlaying) {
+      this.nowPlaying = { ...this.nowPlaying, rate };
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Change the volume of the active player (used by the sleep timer fade-out)
+   * @param {number} volume - Volume from 0 to 1
+   */
+  setVolume(volume) {
+    this.getActiveControls()?.setVolume?.(volume);
+  }
+
+  /**
+   * Report that a player reached the end of its episode
+   * @param {string} playerId - Player that finished
+   * @param {string|number} episodeId - Episode that finished
+   */
+  reportFinished(playerId, episodeId) {
+    console.log(`PlayerManager: player ${playerId} finished episode ${episodeId}`);
+    this.finishListeners.forEach(listener => {
+      try {
+        listener({ playerId, episodeId });
+      } catch (error) {
+        console.error('Error in player finish listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Add a listener for episodes finishing
+   * @param {function} listener - Callback function, receives { playerId, episodeId }
+   * @returns {function} Unsubscribe function
+   */
+  addFinishListener(listener) {
+    if (typeof listener === 'function') {
+      this.finishListeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.finishListeners = this.finishListeners.filter(l => l !== listener);
+      };
+    }
+  }
+
   /**
    * Unregister a video player (when it stops)
    * @param {string} playerId - Unique ID for the player to unregister
@@ -41,14 +195,36 @@ class PlayerManager {
     
     this.activePlayerIds.delete(playerId);
     this.activeSessions = this.activeSessions.filter(session => session.id !== playerId);
+
+    if (this.nowPlaying && this.nowPlaying.playerId === playerId) {
+      this.nowPlaying = null;
+      this.notifyListeners();
+    }
     
     console.log(`PlayerManager: unregistered player ${playerId}`);
   }
 
   /**
-   * Stop all currently active players
+   * Stop all currently active players and end the playback session (listeners
+   * such as the sleep timer reset themselves)
    */
   stopAllPlayers() {
+    this.stopActivePlayers();
+
+    this.stopListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in player stop listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop the active players without ending the playback session, e.g. when
+   * another player takes over or a player switches source
+   */
+  stopActivePlayers() {
     console.log(`PlayerManager: stopping ${this.activeSessions.length} active players`);
     
     // Stop each player by calling its stop function
@@ -65,6 +241,27 @@ class PlayerManager {
     // Clear the active players list
     this.activePlayerIds.clear();
     this.activeSessions = [];
+
+    if (this.nowPlaying) {
+      this.nowPlaying = null;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Add a listener for stopAllPlayers()
+   * @param {function} listener - Callback function
+   * @returns {function} Unsubscribe function
+   */
+  addStopListener(listener) {
+    if (typeof listener === 'function') {
+      this.stopListeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.stopListeners = this.stopListeners.filter(l => l !== listener);
+      };
+    }
   }
 
   /**
@@ -116,6 +313,35 @@ class PlayerManager {
     
     return null;
   }
+
+  /**
+   * Add a listener for now-playing changes
+   * @param {function} listener - Callback function, receives getNowPlaying()
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of now-playing changes
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.nowPlaying);
+      } catch (error) {
+        console.error('Error in player listener:', error);
+      }
+    });
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,182 @@
+/**
+ * Playback Progress Manager for TWiT Mobile App
+ *
+ * Persists resume positions per episode (and per quality) and tracks
+ * which episodes have been played
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import settingsManager from '../utils/settings/settingsManager';
+
+// Persisted progress index (listening history)
+const PROGRESS_INDEX_KEY = 'twit_progress_index';
+
+// Positions closer than this to the start are not worth offering a resume for
+const MIN_RESUME_POSITION_MS = 30 * 1000;
+
+class ProgressManager {
+  constructor() {
+    this.progress = {};
+    this.playedThreshold = settingsManager.DEFAULT_SETTINGS.playedThreshold;
+    this.listeners = [];
+    this.ready = this.loadIndex();
+  }
+
+  /**
+   * Load the persisted progress index and played threshold
+   */
+  async loadIndex() {
+    try {
+      const stored = await AsyncStorage.getItem(PROGRESS_INDEX_KEY);
+      this.progress = stored ? JSON.parse(stored) : {};
+      this.playedThreshold = await settingsManager.getSetting(
+        settingsManager.SETTINGS_KEYS.PLAYED_THRESHOLD,
+        settingsManager.DEFAULT_SETTINGS.playedThreshold
+      );
+    } catch (error) {
+      console.error('ProgressManager: failed to load progress:', error);
+      this.progress = {};
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Persist the progress index
+   */
+  async saveIndex() {
+    try {
+      await AsyncStorage.setItem(PROGRESS_INDEX_KEY, JSON.stringify(this.progress));
+    } catch (error) {
+      console.error('ProgressManager: failed to save progress:', error);
+    }
+  }
+
+  /**
+   * Update the percentage after which an episode counts as played
+   * @param {number} percent - Threshold percentage (e.g. 95)
+   */
+  async updatePlayedThreshold(percent) {
+    this.playedThreshold = percent;
+    await settingsManager.saveSetting(settingsManager.SETTINGS_KEYS.PLAYED_THRESHOLD, percent);
+  }
+
+  /**
+   * Save the playback position for an episode
+   * @param {string|number} episodeId - Episode id
+   * @param {string} quality - Quality the position was recorded with
+   * @param {number} positionMillis - Current position
+   * @param {number} durationMillis - Media duration
+   */
+  async saveProgress(episodeId, quality, positionMillis, durationMillis) {
+    if (!episodeId || !durationMillis) return;
+    await this.ready;
+
+    const entry = this.progress[episodeId] || { qualities: {}, played: false, playedAt: null };
+    entry.qualities[quality || 'auto'] = {
+      positionMillis,
+      durationMillis,
+      updatedAt: Date.now(),
+    };
+    entry.lastQuality = quality || 'auto';
+
+    if (!entry.played && positionMillis / durationMillis * 100 >= this.playedThreshold) {
+      entry.played = true;
+      entry.playedAt = Date.now();
+      console.log(`ProgressManager: episode ${episodeId} marked as played`);
+    }
+
+    this.progress[episodeId] = entry;
+    await this.saveIndex();
+    this.notifyListeners();
+  }
+
+  /**
+   * Mark an episode as played (or unplayed)
+   * @param {string|number} episodeId - Episode id
+   * @param {boolean} played - Played state
+   */
+  async setPlayed(episodeId, played = true) {
+    if (!episodeId) return;
+    await this.ready;
+
+    const entry = this.progress[episodeId] || { qualities: {}, played: false, playedAt: null };
+    entry.played = played;
+    entry.playedAt = played ? Date.now() : null;
+    if (!played) {
+      // Unplayed episodes start from the beginning again
+      entry.qualities = {};
+    }
+
+    this.progress[episodeId] = entry;
+    await this.saveIndex();
+    this.notifyListeners();
+  }
+
+  /**
+   * Get the saved progress for an episode
+   * @param {string|number} episodeId - Episode id
+   * @param {string} quality - Preferred quality; falls back to the most recent one
+   * @returns {Object|null} { positionMillis, durationMillis, played, quality }
+   */
+  getProgress(episodeId, quality = null) {
+    const entry = this.progress[episodeId];
+    if (!entry) return null;
+
+    const key = quality && entry.qualities[quality] ? quality : entry.lastQuality;
+    const position = entry.qualities[key];
+
+    return {
+      positionMillis: position?.positionMillis || 0,
+      durationMillis: position?.durationMillis || 0,
+      quality: key || null,
+      played: !!entry.played,
+    };
+  }
+
+  /**
+   * Get the position to offer resuming from, if any
+   * @param {string|number} episodeId - Episode id
+   * @param {string} quality - Preferred quality
+   * @returns {number|null} Position in milliseconds or null
+   */
+  getResumePosition(episodeId, quality = null) {
+    const progress = this.getProgress(episodeId, quality);
+    if (!progress || progress.played) return null;
+    if (progress.positionMillis < MIN_RESUME_POSITION_MS) return null;
+    return progress.positionMillis;
+  }
+
+  /**
+   * Add a listener for progress changes
+   * @param {function} listener - Callback function
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of progress changes
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in progress listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const progressManager = new ProgressManager();
+
+export default progressManager;
@@ -0,0 +1,293 @@
+/**
+ * Playback Queue ("Up Next") for TWiT Mobile App
+ *
+ * Keeps an ordered, persisted list of episodes to play next and starts the
+ * next one in the background audio player whenever an episode finishes.
+ * Works alongside playerManager, which reports when players reach the end.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from './api';
+import audioPlayer, { AUDIO_PLAYER_ID } from './audioPlayer';
+import downloadManager, { DOWNLOAD_QUALITIES } from './downloadManager';
+import playerManager from './playerManager';
+import progressManager from './progressManager';
+import sleepTimer from './sleepTimer';
+import networkManager from './NetworkManager';
+import settingsManager from '../utils/settings/settingsManager';
+import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
+
+// Persisted Up Next queue
+const PLAYBACK_QUEUE_KEY = 'twit_playback_queue';
+
+// Renditions tried for queued playback, audio first
+const QUEUE_PLAYBACK_QUALITIES = ['video_audio', 'video_small', 'video_large', 'video_hd'];
+
+/**
+ * Build the stored queue entry for an episode object from the API
+ * @param {Object} episode - Episode object
+ * @param {Object} extra - Optional overrides (showId, showName)
+ * @returns {Object} { episodeId, showId, title, showName, artwork }
+ */
+export const buildQueueItem = (episode, extra = {}) => {
+  const shows = episode._embedded?.shows || episode.embedded?.shows;
+  const show = (Array.isArray(shows) ? shows[0] : shows) || episode.show || null;
+  const image = episode.heroImage || episode.coverArt;
+
+  return {
+    episodeId: episode.id,
+    showId: extra.showId ?? show?.id ?? null,
+    title: stripHtmlAndDecodeEntities(episode.label || 'Untitled Episode'),
+    showName: extra.showName || (show?.label ? stripHtmlAndDecodeEntities(show.label) : 'TWiT.tv'),
+    artwork: image?.derivatives?.twit_album_art_300x300 || image?.url ||
+      (typeof episode.image === 'string' ? episode.image : null),
+  };
+};
+
+class QueueManager {
+  constructor() {
+    this.queue = [];
+    this.listeners = [];
+    this.ready = this.loadQueue();
+
+    // Auto-advance when background audio reaches the end of an episode.
+    // Video players advance themselves (see EpisodeDetailScreen). A sleep
+    // timer set to stop with this episode wins over auto-advance.
+    playerManager.addFinishListener(({ playerId, episodeId }) => {
+      if (playerId === AUDIO_PLAYER_ID && !sleepTimer.stopsAtEndOf(episodeId)) {
+        this.playNextInQueue();
+      }
+    });
+  }
+
+  /**
+   * Load the persisted queue
+   */
+  async loadQueue() {
+    try {
+      const stored = await AsyncStorage.getItem(PLAYBACK_QUEUE_KEY);
+      this.queue = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('QueueManager: failed to load queue:', error);
+      this.queue = [];
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Persist the queue and notify listeners
+   */
+  async saveQueue() {
+    this.notifyListeners();
+    try {
+      await AsyncStorage.setItem(PLAYBACK_QUEUE_KEY, JSON.stringify(this.queue));
+    } catch (error) {
+      console.error('QueueManager: failed to save queue:', error);
+    }
+  }
+
+  /**
+   * Get the queued episodes in play order
+   * @returns {Array} Queue entries
+   */
+  getQueue() {
+    return this.queue;
+  }
+
+  /**
+   * Check whether an episode is queued
+   * @param {string|number} episodeId - Episode id
+   * @returns {boolean} True if queued
+   */
+  isQueued(episodeId) {
+    return this.queue.some(item => String(item.episodeId) === String(episodeId));
+  }
+
+  /**
+   * Queue an episode to play right after the current one
+   * @param {Object} item - Entry from buildQueueItem()
+   */
+  async playNext(item) {
+    await this.add(item, 0);
+  }
+
+  /**
+   * Queue an episode at the end of Up Next
+   * @param {Object} item - Entry from buildQueueItem()
+   */
+  async playLast(item) {
+    await this.add(item, this.queue.length);
+  }
+
+  /**
+   * Insert an episode, moving it if it is already queued
+   * @param {Object} item - Entry from buildQueueItem()
+   * @param {number} index - Position to insert at
+   */
+  async add(item, index) {
+    await this.ready;
+    const remaining = this.queue.filter(entry => String(entry.episodeId) !== String(item.episodeId));
+    const position = Math.min(index, remaining.length);
+    remaining.splice(position, 0, { ...item, addedAt: Date.now() });
+    this.queue = remaining;
+    console.log(`QueueManager: queued episode ${item.episodeId} at position ${position + 1}`);
+    await this.saveQueue();
+  }
+
+  /**
+   * Move a queued episode to a new position
+   * @param {number} fromIndex - Current position
+   * @param {number} toIndex - New position
+   */
+  async move(fromIndex, toIndex) {
+    await this.ready;
+    if (fromIndex < 0 || fromIndex >= this.queue.length) return;
+    const target = Math.max(0, Math.min(toIndex, this.queue.length - 1));
+    if (target === fromIndex) return;
+
+    const queue = [...this.queue];
+    const [item] = queue.splice(fromIndex, 1);
+    queue.splice(target, 0, item);
+    this.queue = queue;
+    await this.saveQueue();
+  }
+
+  /**
+   * Remove an episode from the queue
+   * @param {string|number} episodeId - Episode id
+   */
+  async remove(episodeId) {
+    await this.ready;
+    this.queue = this.queue.filter(item => String(item.episodeId) !== String(episodeId));
+    await this.saveQueue();
+  }
+
+  /**
+   * Empty the queue
+   */
+  async clear() {
+    await this.ready;
+    this.queue = [];
+    await this.saveQueue();
+  }
+
+  /**
+   * Play a queued episode in the background audio player, preferring a
+   * downloaded copy and the audio rendition. The episode leaves the queue
+   * once it starts, or if it has nothing playable.
+   * @param {Object} item - Queue entry
+   * @returns {Promise<string>} 'started', 'unavailable' or 'offline'
+   */
+  async playItem(item) {
+    let uri = null;
+    let quality = null;
+    for (const key of QUEUE_PLAYBACK_QUALITIES) {
+      uri = await downloadManager.getLocalUri(item.episodeId, key);
+      if (uri) {
+        quality = key;
+        break;
+      }
+    }
+
+    if (!uri) {
+      // Keep the episode queued until it can be streamed
+      if (!networkManager.canPlayMedia()) {
+        console.warn(`QueueManager: can't stream episode ${item.episodeId} on this connection`);
+        return 'offline';
+      }
+
+      const episode = await apiService.getEpisodeById(item.episodeId);
+      quality = QUEUE_PLAYBACK_QUALITIES.find(key => episode[key]?.mediaUrl);
+      uri = quality ? episode[quality].mediaUrl : null;
+    }
+
+    await this.remove(item.episodeId);
+
+    if (!uri) {
+      console.warn(`QueueManager: no playable media for episode ${item.episodeId}`);
+      return 'unavailable';
+    }
+
+    await progressManager.ready;
+    await audioPlayer.play({
+      episodeId: item.episodeId,
+      showId: item.showId,
+      url: uri,
+      title: item.title,
+      artist: item.showName,
+      artwork: item.artwork,
+      quality: DOWNLOAD_QUALITIES[quality],
+      startPositionMillis: progressManager.getResumePosition(item.episodeId, DOWNLOAD_QUALITIES[quality]) || 0,
+      rate: await settingsManager.getPlaybackSpeed(item.showId),
+    });
+    return 'started';
+  }
+
+  /**
+   * Start the next queued episode, skipping any that have nothing playable
+   * @returns {Promise<Object|null>} The entry that started, or null
+   */
+  async playNextInQueue() {
+    await this.ready;
+    while (this.queue.length > 0) {
+      const next = this.queue[0];
+      try {
+        const result = await this.playItem(next);
+        if (result === 'started') return next;
+        if (result === 'offline') return null;
+      } catch (error) {
+        console.error(`QueueManager: failed to play episode ${next.episodeId}:`, error);
+        await this.remove(next.episodeId);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Take the next episode off the front of the queue (used by players that
+   * advance on their own, like the video player)
+   * @returns {Promise<Object|null>} Queue entry or null if the queue is empty
+   */
+  async takeNext() {
+    await this.ready;
+    if (this.queue.length === 0) return null;
+    const [next, ...rest] = this.queue;
+    this.queue = rest;
+    await this.saveQueue();
+    return next;
+  }
+
+  /**
+   * Add a listener for queue changes
+   * @param {function} listener - Callback function, receives the queue
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of queue changes
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.queue);
+      } catch (error) {
+        console.error('Error in queue listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const queueManager = new QueueManager();
+
+export default queueManager;
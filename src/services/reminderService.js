@@ -0,0 +1,386 @@
+/**
+ * Reminder Service for TWiT Mobile App
+ *
+ * Schedules local notifications a few minutes before live shows air, using
+ * the calendar behind the Schedule tab. Reminders are kept per show (every
+ * upcoming airing) or per airing, and are rescheduled whenever the calendar
+ * changes so moved or cancelled airings never fire at the wrong time.
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import scheduleService from './scheduleService';
+import { getSubscriptions, addListener as addSubscriptionsListener } from '../utils/subscriptions/subscriptionsManager';
+import settingsManager, { getSetting } from '../utils/settings/settingsManager';
+import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
+
+// Persisted reminders
+const REMINDERS_STORAGE_KEY = 'twit_reminders';
+
+// Android notification channel for show reminders
+const REMINDER_CHANNEL_ID = 'show-reminders';
+
+// How far ahead airings of reminded shows are scheduled
+const SHOW_REMINDER_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How far ahead single-airing reminders are looked up (matches the Schedule tab)
+const EVENT_REMINDER_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+// A single-airing reminder follows its airing when it moves by up to this much
+const MOVED_AIRING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// iOS keeps at most 64 pending local notifications per app
+const MAX_SCHEDULED_NOTIFICATIONS = 60;
+
+// Show reminders while the app is open too
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * Format an airing time in the device's timezone
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} e.g. "2:00 PM"
+ */
+const formatTime = (timestamp) => (
+  new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+);
+
+class ReminderService {
+  constructor() {
+    this.showReminders = [];
+    this.eventReminders = [];
+    this.notificationIds = [];
+    this.followedShowIds = new Set();
+    this.listeners = [];
+    this.rescheduling = Promise.resolve();
+    this.ready = this.loadReminders();
+
+    if (Platform.OS === 'android') {
+      Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+        name: 'Show reminders',
+        importance: Notifications.AndroidImportance.HIGH,
+      }).catch(error => console.error('ReminderService: failed to create channel:', error));
+    }
+
+    // Airings were added, moved or cancelled
+    scheduleService.addListener(() => this.rescheduleAll());
+
+    // Unfollowing a show drops its reminders
+    addSubscriptionsListener(() => this.handleSubscriptionsChange());
+
+    // Bring pending notifications in line with the latest calendar
+    this.ready.then(() => {
+      if (this.hasReminders()) {
+        this.rescheduleAll();
+      }
+    });
+  }
+
+  /**
+   * Load persisted reminders and the shows followed at startup
+   */
+  async loadReminders() {
+    try {
+      const stored = await AsyncStorage.getItem(REMINDERS_STORAGE_KEY);
+      if (stored) {
+        const { shows, events, notificationIds } = JSON.parse(stored);
+        this.showReminders = shows || [];
+        this.eventReminders = events || [];
+        this.notificationIds = notificationIds || [];
+      }
+
+      const subscriptions = await getSubscriptions();
+      this.followedShowIds = new Set(subscriptions.map(show => String(show.id)));
+    } catch (error) {
+      console.error('ReminderService: failed to load reminders:', error);
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Persist reminders and scheduled notification ids
+   */
+  async saveReminders() {
+    try {
+      await AsyncStorage.setItem(REMINDERS_STORAGE_KEY, JSON.stringify({
+        shows: this.showReminders,
+        events: this.eventReminders,
+        notificationIds: this.notificationIds,
+      }));
+    } catch (error) {
+      console.error('ReminderService: failed to save reminders:', error);
+    }
+  }
+
+  /**
+   * Ask for notification permission if it has not been granted yet
+   * @returns {Promise<boolean>} True if notifications can be shown
+   */
+  async ensurePermission() {
+    try {
+      const current = await Notifications.getPermissionsAsync();
+      if (current.granted) return true;
+      if (!current.canAskAgain) return false;
+
+      const requested = await Notifications.requestPermissionsAsync();
+      return requested.granted;
+    } catch (error) {
+      console.error('ReminderService: permission request failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether any reminder is set
+   * @returns {boolean} True if a show or airing has a reminder
+   */
+  hasReminders() {
+    return this.showReminders.length > 0 || this.eventReminders.length > 0;
+  }
+
+  /**
+   * Check whether every airing of a show has a reminder
+   * @param {string|number} showId - Show id
+   * @returns {boolean} True if reminders are on for the show
+   */
+  hasShowReminder(showId) {
+    return this.showReminders.some(reminder => String(reminder.showId) === String(showId));
+  }
+
+  /**
+   * Check whether a single airing has a reminder
+   * @param {string} eventId - Occurrence id from scheduleService
+   * @returns {boolean} True if the airing has its own reminder
+   */
+  hasEventReminder(eventId) {
+    return this.eventReminders.some(reminder => reminder.id === eventId);
+  }
+
+  /**
+   * Turn reminders for every airing of a show on or off
+   * @param {Object} show - Show object from the API
+   * @param {boolean} enabled - Whether reminders should be on
+   * @returns {Promise<boolean>} False if notification permission was refused
+   */
+  async setShowReminder(show, enabled) {
+    await this.ready;
+    if (enabled && !(await this.ensurePermission())) return false;
+
+    this.showReminders = this.showReminders.filter(reminder => String(reminder.showId) !== String(show.id));
+    if (enabled) {
+      this.showReminders.push({
+        showId: show.id,
+        label: stripHtmlAndDecodeEntities(show.label || ''),
+      });
+    }
+
+    await this.saveReminders();
+    this.notifyListeners();
+    await this.rescheduleAll();
+    return true;
+  }
+
+  /**
+   * Turn the reminder for a single airing on or off
+   * @param {Object} event - Occurrence from scheduleService.getSchedule()
+   * @param {boolean} enabled - Whether the reminder should be on
+   * @returns {Promise<boolean>} False if notification permission was refused
+   */
+  async setEventReminder(event, enabled) {
+    await this.ready;
+    if (enabled && !(await this.ensurePermission())) return false;
+
+    this.eventReminders = this.eventReminders.filter(reminder => reminder.id !== event.id);
+    if (enabled) {
+      this.eventReminders.push({
+        id: event.id,
+        uid: event.uid,
+        start: event.start,
+        title: event.title,
+        showId: event.show?.id ?? null,
+        showLabel: event.show ? stripHtmlAndDecodeEntities(event.show.label || '') : '',
+      });
+    }
+
+    await this.saveReminders();
+    this.notifyListeners();
+    await this.rescheduleAll();
+    return true;
+  }
+
+  /**
+   * Drop the reminders of shows that were just unfollowed
+   */
+  async handleSubscriptionsChange() {
+    await this.ready;
+
+    try {
+      const subscriptions = await getSubscriptions();
+      const followed = new Set(subscriptions.map(show => String(show.id)));
+      const unfollowed = [...this.followedShowIds].filter(id => !followed.has(id));
+      this.followedShowIds = followed;
+
+      const isUnfollowed = showId => showId !== null && unfollowed.includes(String(showId));
+      const showCount = this.showReminders.length;
+      const eventCount = this.eventReminders.length;
+      this.showReminders = this.showReminders.filter(reminder => !isUnfollowed(reminder.showId));
+      this.eventReminders = this.eventReminders.filter(reminder => !isUnfollowed(reminder.showId));
+
+      if (this.showReminders.length !== showCount || this.eventReminders.length !== eventCount) {
+        console.log(`ReminderService: cancelled reminders for unfollowed show(s) ${unfollowed.join(', ')}`);
+        await this.saveReminders();
+        this.notifyListeners();
+        await this.rescheduleAll();
+      }
+    } catch (error) {
+      console.error('ReminderService: failed to update reminders after unfollow:', error);
+    }
+  }
+
+  /**
+   * Find where a single-airing reminder's airing is now: the same occurrence,
+   * or the closest occurrence of the same calendar event if it moved
+   * @param {Object} reminder - Stored event reminder
+   * @param {Array} events - Upcoming occurrences
+   * @returns {Object|null} Occurrence, or null if it was cancelled
+   */
+  resolveEventReminder(reminder, events) {
+    const exact = events.find(event => event.id === reminder.id);
+    if (exact) return exact;
+
+    let closest = null;
+    events.forEach(event => {
+      const distance = Math.abs(event.start - reminder.start);
+      if (event.uid === reminder.uid && distance <= MOVED_AIRING_WINDOW_MS &&
+          (!closest || distance < Math.abs(closest.start - reminder.start))) {
+        closest = event;
+      }
+    });
+    return closest;
+  }
+
+  /**
+   * Cancel every pending reminder notification and schedule them again from
+   * the current calendar and lead time. Calls are queued so they never overlap.
+   * @returns {Promise<void>}
+   */
+  rescheduleAll() {
+    this.rescheduling = this.rescheduling
+      .then(() => this.performReschedule())
+      .catch(error => console.error('ReminderService: failed to reschedule reminders:', error));
+    return this.rescheduling;
+  }
+
+  /**
+   * Replace the pending notifications (see rescheduleAll)
+   */
+  async performReschedule() {
+    await this.ready;
+
+    const now = Date.now();
+    const leadMinutes = await getSetting(
+      settingsManager.SETTINGS_KEYS.REMINDER_LEAD_MINUTES,
+      settingsManager.DEFAULT_SETTINGS.reminderLeadMinutes
+    );
+    const leadMs = leadMinutes * 60 * 1000;
+
+    // Load the schedule before touching pending notifications so a failed
+    // download leaves the current ones in place
+    const events = this.hasReminders()
+      ? await scheduleService.getSchedule(now, now + EVENT_REMINDER_WINDOW_MS)
+      : [];
+
+    // Follow moved airings and forget cancelled or finished ones
+    this.eventReminders = this.eventReminders.reduce((kept, reminder) => {
+      const event = this.resolveEventReminder(reminder, events);
+      if (event && event.start > now) {
+        kept.push({ ...reminder, id: event.id, start: event.start, title: event.title });
+      } else {
+        console.log(`ReminderService: dropped reminder for "${reminder.title}" (aired, moved or cancelled)`);
+      }
+      return kept;
+    }, []);
+
+    const remindedShowIds = this.showReminders.map(reminder => String(reminder.showId));
+    const eventIds = this.eventReminders.map(reminder => reminder.id);
+    const airings = events
+      .filter(event => !event.allDay && event.start - leadMs > now)
+      .filter(event => eventIds.includes(event.id) || (
+        event.show && remindedShowIds.includes(String(event.show.id)) &&
+        event.start < now + SHOW_REMINDER_WINDOW_MS
+      ))
+      .slice(0, MAX_SCHEDULED_NOTIFICATIONS);
+
+    await Promise.all(this.notificationIds.map(id => (
+      Notifications.cancelScheduledNotificationAsync(id)
+        .catch(error => console.warn('ReminderService: failed to cancel notification:', error.message))
+    )));
+    this.notificationIds = [];
+
+    for (const event of airings) {
+      const showName = event.show ? stripHtmlAndDecodeEntities(event.show.label || '') : '';
+      try {
+        const id = await Notifications.scheduleNotificationAsync({
+          content: {
+            title: `${showName || event.title} starts in ${leadMinutes} min`,
+            body: `${event.title} goes live at ${formatTime(event.start)}`,
+            data: { eventId: event.id, showId: event.show?.id ?? null },
+          },
+          trigger: {
+            type: Notifications.SchedulableTriggerInputTypes.DATE,
+            date: new Date(event.start - leadMs),
+            channelId: REMINDER_CHANNEL_ID,
+          },
+        });
+        this.notificationIds.push(id);
+      } catch (error) {
+        console.error(`ReminderService: failed to schedule reminder for "${event.title}":`, error);
+      }
+    }
+
+    console.log(`ReminderService: scheduled ${this.notificationIds.length} reminder(s), ${leadMinutes} min ahead`);
+    await this.saveReminders();
+    this.notifyListeners();
+  }
+
+  /**
+   * Add a listener for reminder changes
+   * @param {function} listener - Callback function
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of reminder changes
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in reminder listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const reminderService = new ReminderService();
+
+export default reminderService;
@@ -0,0 +1,245 @@
+/**
+ * Schedule Service for TWiT Mobile App
+ *
+ * Loads the TWiT live schedule from the public Google Calendar ICS feed
+ * (the calendar behind https://twit.tv/schedule), saves the upcoming airings for
+ * offline viewing, matches airings to shows and answers questions like
+ * "what is airing now?".
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from './api';
+import { parseCalendar, expandEvents } from '../utils/icsParser';
+import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
+
+export const SCHEDULE_CALENDAR_ID = 'mg877fp19824mj30g497frm74o@group.calendar.google.com';
+const SCHEDULE_ICS_URL = `https://calendar.google.com/calendar/ical/${encodeURIComponent(SCHEDULE_CALENDAR_ID)}/public/basic.ics`;
+
+// Upcoming airings from the last downloaded calendar. Only the expanded
+// window below is saved: the raw feed holds years of events.
+const SCHEDULE_STORAGE_KEY = 'twit_schedule_calendar';
+
+// How long a downloaded calendar is used before fetching it again
+const CALENDAR_TTL_MS = 30 * 60 * 1000;
+
+// Window of airings saved for offline use. Covers the agenda (a few hours
+// back) and the 14-day schedule, reminder and next-airing ranges.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVED_PAST_MS = DAY_MS;
+const SAVED_FUTURE_MS = 15 * DAY_MS;
+
+/**
+ * Normalise a title for show matching
+ * @param {string} text - Show or event title
+ * @returns {string} Lowercase words separated by single spaces
+ */
+const normalizeTitle = (text) => stripHtmlAndDecodeEntities(text || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Find the show an airing belongs to. Calendar titles use the show name
+ * ("This Week in Tech") or its short code ("TWiT 1050"), often with extras
+ * like "LIVE" or a guest name; the longest matching name wins.
+ * @param {string} title - Event title
+ * @param {Array} shows - Shows from apiService.getShows()
+ * @returns {Object|null} Show
+ */
+export const matchShow = (title, shows) => {
+  const eventTitle = ` ${normalizeTitle(title)} `;
+  let best = null;
+  let bestLength = 0;
+
+  shows.forEach(show => {
+    [show.label, show.shortCode].forEach(name => {
+      const candidate = normalizeTitle(name);
+      if (candidate && candidate.length > bestLength && eventTitle.includes(` ${candidate} `)) {
+        best = show;
+        bestLength = candidate.length;
+      }
+    });
+  });
+
+  return best;
+};
+
+class ScheduleService {
+  constructor() {
+    this.calendar = null;
+    this.calendarText = null;
+    this.savedEvents = null;
+    this.fetchedAt = 0;
+    this.isOffline = false;
+    this.loading = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Get the parsed calendar, downloading it when it is missing or stale.
+   * Falls back to the saved upcoming airings when the download fails.
+   * @param {boolean} forceRefresh - Download even if the copy is fresh
+   * @returns {Promise<Array|null>} Raw events from parseCalendar(), or null
+   *   when only the saved airings are available
+   */
+  async loadCalendar(forceRefresh = false) {
+    if (!forceRefresh && this.calendar && !this.isOffline && Date.now() - this.fetchedAt < CALENDAR_TTL_MS) {
+      return this.calendar;
+    }
+
+    // Share one download between concurrent callers
+    if (!this.loading) {
+      this.loading = this.fetchCalendar().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async fetchCalendar() {
+    try {
+      const response = await fetch(SCHEDULE_ICS_URL);
+      if (!response.ok) {
+        throw new Error(`Schedule request failed with status ${response.status}`);
+      }
+      const text = await response.text();
+      // A saved copy may be out of date, so the first download after
+      // starting from it counts as a change
+      const changed = this.calendarText !== null ? text !== this.calendarText : this.savedEvents !== null;
+      this.calendar = parseCalendar(text);
+      this.calendarText = text;
+      this.savedEvents = null;
+      this.fetchedAt = Date.now();
+      this.isOffline = false;
+      console.log(`ScheduleService: loaded ${this.calendar.length} calendar events`);
+
+      const events = expandEvents(this.calendar, this.fetchedAt - SAVED_PAST_MS, this.fetchedAt + SAVED_FUTURE_MS);
+      AsyncStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify({ events, fetchedAt: this.fetchedAt }))
+        .catch(error => console.error('ScheduleService: failed to save schedule:', error));
+
+      if (changed) {
+        this.notifyListeners();
+      }
+      return this.calendar;
+    } catch (error) {
+      console.warn('ScheduleService: download failed, using saved schedule:', error.message);
+
+      if (!this.calendar && !this.savedEvents) {
+        const stored = await AsyncStorage.getItem(SCHEDULE_STORAGE_KEY);
+        const saved = stored ? JSON.parse(stored) : null;
+        // Copies saved by older versions hold the raw feed instead; ignore them
+        if (!Array.isArray(saved?.events)) throw error;
+        this.savedEvents = saved.events;
+        this.fetchedAt = saved.fetchedAt;
+      }
+      this.isOffline = true;
+      return this.calendar;
+    }
+  }
+
+  /**
+   * Where the loaded schedule came from
+   * @returns {Object} { isOffline, fetchedAt } - isOffline is true when the
+   *   saved copy is shown because the download failed
+   */
+  getStatus() {
+    return { isOffline: this.isOffline, fetchedAt: this.fetchedAt };
+  }
+
+  /**
+   * Get the airings that overlap a time range
+   * @param {number} from - Range start (epoch ms)
+   * @param {number} to - Range end (epoch ms)
+   * @returns {Promise<Array>} Occurrences { id, uid, title, description, start, end, allDay }
+   */
+  async getEvents(from, to) {
+    const calendar = await this.loadCalendar();
+    if (calendar) {
+      return expandEvents(calendar, from, to);
+    }
+    return this.savedEvents.filter(event => event.end > from && event.start < to);
+  }
+
+  /**
+   * Get the airings in a range with the show each one belongs to
+   * @param {number} from - Range start (epoch ms)
+   * @param {number} to - Range end (epoch ms)
+   * @returns {Promise<Array>} Occurrences with a `show` property (null if unmatched)
+   */
+  async getSchedule(from, to) {
+    const events = await this.getEvents(from, to);
+
+    let shows = [];
+    try {
+      shows = await apiService.getShows();
+    } catch (error) {
+      // Airings still list without show links
+      console.warn('ScheduleService: shows unavailable for matching:', error.message);
+    }
+
+    return events.map(event => ({ ...event, show: matchShow(event.title, shows) }));
+  }
+
+  /**
+   * Get what is airing right now and what airs next
+   * @returns {Promise<Object>} { current, next } (either may be null)
+   */
+  async getLiveStatus() {
+    const now = Date.now();
+    const events = (await this.getEvents(now, now + 7 * 24 * 60 * 60 * 1000))
+      .filter(event => !event.allDay);
+
+    return {
+      current: events.find(event => event.start <= now && event.end > now) || null,
+      next: events.find(event => event.start > now) || null,
+    };
+  }
+
+  /**
+   * Get the upcoming airings of one show
+   * @param {string|number} showId - Show id
+   * @param {number} from - Range start (epoch ms)
+   * @param {number} to - Range end (epoch ms)
+   * @returns {Promise<Array>} Occurrences with a `show` property, sorted by start
+   */
+  async getShowAirings(showId, from, to) {
+    const events = await this.getSchedule(from, to);
+    return events.filter(event => event.show && String(event.show.id) === String(showId));
+  }
+
+  /**
+   * Add a listener called when a downloaded calendar differs from the one
+   * already loaded (airings added, moved or cancelled)
+   * @param {function} listener - Callback function
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners that the calendar changed
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in schedule listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const scheduleService = new ScheduleService();
+
+export default scheduleService;
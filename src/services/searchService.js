@@ -0,0 +1,252 @@
+/**
+ * Search suggestions and recent searches for TWiT Mobile App
+ *
+ * Suggests shows and people while the user types, matching against the
+ * show and people lists held in the API cache (fetched when the cache is
+ * empty or expired) so suggestions need no request per keystroke. Also
+ * keeps a persisted list of recent searches.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from './api';
+import { stripHtmlAndDecodeEntities } from '../utils/textUtils';
+
+// Persisted recent searches
+const RECENT_SEARCHES_KEY = 'twit_recent_searches';
+const MAX_RECENT_SEARCHES = 10;
+
+const MAX_SUGGESTIONS = 8;
+
+// People are loaded for suggestions a page at a time, up to a cap, so a
+// cold cache costs a handful of requests rather than the whole directory
+const SUGGESTION_PEOPLE_PAGE_SIZE = 100;
+const SUGGESTION_PEOPLE_MAX_PAGES = 5;
+
+const normalize = (text) => stripHtmlAndDecodeEntities(String(text || '')).toLowerCase().trim();
+
+/**
+ * Rank how well a name matches the query
+ * @param {string} name - Normalized show or person name
+ * @param {string} query - Normalized query
+ * @returns {number} 3 for the start of the name, 2 for the start of a word,
+ *   1 for anywhere else, 0 for no match
+ */
+const matchScore = (name, query) => {
+  if (!name || !query) return 0;
+  if (name.startsWith(query)) return 3;
+  if (name.includes(` ${query}`)) return 2;
+  return name.includes(query) ? 1 : 0;
+};
+
+class SearchService {
+  constructor() {
+    this.recentSearches = [];
+    this.listeners = [];
+    this.suggestionSource = null;
+    this.ready = this.loadRecentSearches();
+  }
+
+  /**
+   * Load the persisted recent searches
+   */
+  async loadRecentSearches() {
+    try {
+      const stored = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+      this.recentSearches = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('SearchService: failed to load recent searches:', error);
+      this.recentSearches = [];
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Persist the recent searches and notify listeners
+   */
+  async saveRecentSearches() {
+    this.notifyListeners();
+    try {
+      await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(this.recentSearches));
+    } catch (error) {
+      console.error('SearchService: failed to save recent searches:', error);
+    }
+  }
+
+  /**
+   * Get the recent searches, newest first
+   * @returns {Array<string>} Queries
+   */
+  getRecentSearches() {
+    return this.recentSearches;
+  }
+
+  /**
+   * Remember a search, moving it to the top if it was already listed
+   * @param {string} query - Search text
+   */
+  async addRecentSearch(query) {
+    const text = query.trim();
+    if (!text) return;
+
+    await this.ready;
+    this.recentSearches = [
+      text,
+      ...this.recentSearches.filter(entry => normalize(entry) !== normalize(text)),
+    ].slice(0, MAX_RECENT_SEARCHES);
+    await this.saveRecentSearches();
+  }
+
+  /**
+   * Forget one recent search
+   * @param {string} query - Search text as listed
+   */
+  async removeRecentSearch(query) {
+    await this.ready;
+    this.recentSearches = this.recentSearches.filter(entry => entry !== query);
+    await this.saveRecentSearches();
+  }
+
+  /**
+   * Forget all recent searches
+   */
+  async clearRecentSearches() {
+    await this.ready;
+    this.recentSearches = [];
+    await this.saveRecentSearches();
+  }
+
+  /**
+   * Load people for suggestions, page by page
+   * @param {AbortSignal} signal - Cancels the requests
+   * @returns {Promise<Array>} Up to SUGGESTION_PEOPLE_MAX_PAGES pages of people
+   */
+  async loadSuggestionPeople(signal) {
+    const people = [];
+    for (let page = 1; page <= SUGGESTION_PEOPLE_MAX_PAGES; page++) {
+      const pagePeople = await apiService.getPeople(
+        { page, range: SUGGESTION_PEOPLE_PAGE_SIZE },
+        { signal }
+      );
+      people.push(...pagePeople);
+      if (pagePeople.length < SUGGESTION_PEOPLE_PAGE_SIZE) break;
+    }
+    return people;
+  }
+
+  /**
+   * Get the shows and people suggestions are drawn from. They are kept in
+   * memory between keystrokes until the shorter of the /shows and /people
+   * cache lifetimes passes, then read through the API cache again.
+   * @param {AbortSignal} signal - Cancels loading the lists
+   * @returns {Promise<Object>} { shows, people }
+   */
+  async loadSuggestionSource(signal) {
+    const ttlMs = Math.min(
+      apiService.getCachePolicy('/shows').ttlMs,
+      apiService.getCachePolicy('/people').ttlMs
+    );
+    if (this.suggestionSource && Date.now() - this.suggestionSource.loadedAt < ttlMs) {
+      return this.suggestionSource;
+    }
+
+    // A list that fails to load is left out; a cancelled load fails outright
+    const orEmpty = (error) => {
+      if (apiService.isCancel(error)) throw error;
+      console.warn('SearchService: suggestion list unavailable:', error.message);
+      return [];
+    };
+    const [shows, people] = await Promise.all([
+      apiService.getShows({}, { signal }).catch(orEmpty),
+      this.loadSuggestionPeople(signal).catch(orEmpty),
+    ]);
+
+    // Keep the lists unless nothing loaded, so an offline start retries
+    if (shows.length > 0 || people.length > 0) {
+      this.suggestionSource = { shows, people, loadedAt: Date.now() };
+    }
+    return { shows, people };
+  }
+
+  /**
+   * Suggest shows and people whose names match the text typed so far
+   * @param {string} query - Text in the search box
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Abort when a newer query replaces
+   *   this one; also cancels any requests made to load the lists
+   * @returns {Promise<Array>} { type: 'show'|'person', id, label, item }, best
+   *   matches first; empty once the signal has aborted
+   */
+  async getSuggestions(query, { signal } = {}) {
+    const text = normalize(query);
+    if (!text) return [];
+
+    let source;
+    try {
+      source = await this.loadSuggestionSource(signal);
+    } catch (error) {
+      if (apiService.isCancel(error)) return [];
+      throw error;
+    }
+    if (signal?.aborted) return [];
+
+    const { shows, people } = source;
+
+    const candidates = [
+      ...shows.map(show => ({
+        type: 'show',
+        item: show,
+        score: Math.max(matchScore(normalize(show.label), text), matchScore(normalize(show.shortCode), text)),
+      })),
+      ...people.map(person => ({
+        type: 'person',
+        item: person,
+        score: matchScore(normalize(person.label), text),
+      })),
+    ];
+
+    return candidates
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score || normalize(a.item.label).localeCompare(normalize(b.item.label)))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ type, item }) => ({
+        type,
+        id: item.id,
+        label: stripHtmlAndDecodeEntities(item.label || ''),
+        item,
+      }));
+  }
+
+  /**
+   * Add a listener for recent search changes
+   * @param {function} listener - Called with the recent searches
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of recent search changes
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.recentSearches);
+      } catch (error) {
+        console.error('Error in search listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+export default searchService;
@@ -0,0 +1,265 @@
+/**
+ * Sleep Timer for TWiT Mobile App
+ *
+ * Pauses whatever playerManager has playing (video or background audio) after
+ * a set time, at the end of the episode or at the end of the current chapter,
+ * fading the volume out over the last 30 seconds. Shaking the device extends
+ * a running timer. playerManager.stopAllPlayers() cancels it.
+ */
+
+import { Accelerometer } from 'expo-sensors';
+import * as Haptics from 'expo-haptics';
+import playerManager from './playerManager';
+
+export const SLEEP_TIMER_MODES = {
+  DURATION: 'duration',
+  END_OF_EPISODE: 'end_of_episode',
+  END_OF_CHAPTER: 'end_of_chapter',
+};
+
+// Fixed durations offered in the player (minutes)
+export const SLEEP_TIMER_MINUTES = [5, 10, 15, 30, 45, 60, 90];
+
+// How much shaking or tapping the remaining time adds (minutes)
+export const SLEEP_TIMER_EXTEND_MINUTES = 5;
+
+const FADE_OUT_MS = 30000;
+const TICK_INTERVAL_MS = 500;
+
+// Episode and chapter modes pause this close to the end so a finished episode
+// never auto-advances to the next one in Up Next
+const END_MARGIN_MS = 1000;
+
+// Acceleration (in g) that counts as a shake, and the pause between shakes
+const SHAKE_THRESHOLD = 1.8;
+const SHAKE_COOLDOWN_MS = 2000;
+const SHAKE_UPDATE_INTERVAL_MS = 200;
+
+class SleepTimer {
+  constructor() {
+    this.timer = null;
+    this.remainingMillis = null;
+    this.volume = 1;
+    this.interval = null;
+    this.accelerometerSubscription = null;
+    this.lastShake = 0;
+    this.listeners = [];
+
+    playerManager.addStopListener(() => this.cancel());
+  }
+
+  /**
+   * Start (or replace) the sleep timer
+   * @param {string} mode - One of SLEEP_TIMER_MODES
+   * @param {Object} options - { minutes } for DURATION, { episodeId } for the
+   *   episode modes and { chapterEndMillis } for END_OF_CHAPTER
+   */
+  start(mode, { minutes, episodeId, chapterEndMillis } = {}) {
+    this.timer = {
+      mode,
+      endsAt: mode === SLEEP_TIMER_MODES.DURATION ? Date.now() + minutes * 60000 : null,
+      episodeId: episodeId ?? playerManager.getNowPlaying()?.episodeId ?? null,
+      chapterEndMillis: chapterEndMillis ?? null,
+    };
+    console.log(`SleepTimer: started (${mode}${minutes ? `, ${minutes} min` : ''})`);
+
+    this.restoreVolume();
+    if (!this.interval) {
+      this.interval = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    }
+    this.startShakeDetection();
+    this.tick();
+  }
+
+  /**
+   * Turn the timer off and put the volume back
+   */
+  cancel() {
+    if (!this.timer) return;
+    console.log('SleepTimer: cancelled');
+    this.restoreVolume();
+    this.clear();
+  }
+
+  /**
+   * Add time to a running timer. Episode and chapter timers become a fixed
+   * timer that ends the extra time after the point they would have stopped.
+   * @param {number} minutes - Minutes to add
+   */
+  extend(minutes = SLEEP_TIMER_EXTEND_MINUTES) {
+    if (!this.timer) return;
+
+    const remaining = Math.max(0, this.remainingMillis ?? 0);
+    this.timer = {
+      ...this.timer,
+      mode: SLEEP_TIMER_MODES.DURATION,
+      endsAt: Date.now() + remaining + minutes * 60000,
+    };
+    console.log(`SleepTimer: extended by ${minutes} min`);
+
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium).catch(() => {});
+    this.restoreVolume();
+    this.tick();
+  }
+
+  /**
+   * Check whether the timer will pause playback when an episode ends, so
+   * Up Next shouldn't start the next one
+   * @param {string|number} episodeId - Episode that finished
+   * @returns {boolean} True if the timer stops at the end of this episode
+   */
+  stopsAtEndOf(episodeId) {
+    return !!this.timer &&
+      this.timer.mode !== SLEEP_TIMER_MODES.DURATION &&
+      String(this.timer.episodeId) === String(episodeId);
+  }
+
+  /**
+   * Get the timer state
+   * @returns {Object|null} { mode, remainingMillis } or null when off;
+   *   remainingMillis is null until the episode's position is known
+   */
+  getState() {
+    if (!this.timer) return null;
+    return { mode: this.timer.mode, remainingMillis: this.remainingMillis };
+  }
+
+  /**
+   * Work out how long until playback should pause
+   * @returns {number|null} Milliseconds of real time, or null if unknown
+   */
+  getRemainingMillis() {
+    const { mode, endsAt, episodeId, chapterEndMillis } = this.timer;
+    if (mode === SLEEP_TIMER_MODES.DURATION) {
+      return endsAt - Date.now();
+    }
+
+    const nowPlaying = playerManager.getNowPlaying();
+    if (!nowPlaying || String(nowPlaying.episodeId) !== String(episodeId) || !nowPlaying.durationMillis) {
+      return null;
+    }
+
+    const endMillis = mode === SLEEP_TIMER_MODES.END_OF_CHAPTER ? chapterEndMillis : nowPlaying.durationMillis;
+    return (endMillis - nowPlaying.positionMillis) / (nowPlaying.rate || 1) - END_MARGIN_MS;
+  }
+
+  tick() {
+    if (!this.timer) return;
+
+    // The episode the timer was waiting for was replaced by another one
+    const nowPlaying = playerManager.getNowPlaying();
+    if (
+      this.timer.mode !== SLEEP_TIMER_MODES.DURATION &&
+      nowPlaying && String(nowPlaying.episodeId) !== String(this.timer.episodeId)
+    ) {
+      this.cancel();
+      return;
+    }
+
+    this.remainingMillis = this.getRemainingMillis();
+
+    if (this.remainingMillis !== null) {
+      if (this.remainingMillis <= 0) {
+        this.finish();
+        return;
+      }
+      if (this.remainingMillis <= FADE_OUT_MS) {
+        this.setVolume(this.remainingMillis / FADE_OUT_MS);
+      }
+    }
+
+    this.notifyListeners();
+  }
+
+  /**
+   * Time's up: pause playback and reset the volume for next time
+   */
+  finish() {
+    console.log('SleepTimer: pausing playback');
+    playerManager.pause();
+    this.restoreVolume();
+    this.clear();
+  }
+
+  setVolume(volume) {
+    this.volume = volume;
+    playerManager.setVolume(volume);
+  }
+
+  restoreVolume() {
+    if (this.volume < 1) {
+      this.setVolume(1);
+    }
+  }
+
+  clear() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.stopShakeDetection();
+    this.timer = null;
+    this.remainingMillis = null;
+    this.notifyListeners();
+  }
+
+  startShakeDetection() {
+    if (this.accelerometerSubscription) return;
+
+    try {
+      Accelerometer.setUpdateInterval(SHAKE_UPDATE_INTERVAL_MS);
+      this.accelerometerSubscription = Accelerometer.addListener(({ x, y, z }) => {
+        const force = Math.sqrt(x * x + y * y + z * z);
+        if (force > SHAKE_THRESHOLD && Date.now() - this.lastShake > SHAKE_COOLDOWN_MS) {
+          this.lastShake = Date.now();
+          console.log('SleepTimer: shake detected');
+          this.extend();
+        }
+      });
+    } catch (error) {
+      console.warn('SleepTimer: shake detection unavailable:', error);
+    }
+  }
+
+  stopShakeDetection() {
+    if (this.accelerometerSubscription) {
+      this.accelerometerSubscription.remove();
+      this.accelerometerSubscription = null;
+    }
+  }
+
+  /**
+   * Add a listener for timer changes
+   * @param {function} listener - Callback function, receives getState()
+   * @returns {function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      };
+    }
+  }
+
+  /**
+   * Notify all listeners of timer changes
+   */
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in sleep timer listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const sleepTimer = new SleepTimer();
+
+export default sleepTimer;
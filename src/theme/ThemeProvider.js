@@ -0,0 +1,76 @@
+/**
+ * Theme Provider for TWiT Mobile App
+ *
+ * Resolves the Dark Mode setting (light, dark or follow the system) to a
+ * colour palette and shares it through context, so changing the setting
+ * restyles every themed component straight away.
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import settingsManager, { THEME_MODES, getThemeMode, saveSetting } from '../utils/settings/settingsManager';
+import { LIGHT_COLORS, DARK_COLORS } from './tokens';
+
+const ThemeContext = createContext({
+  mode: THEME_MODES.SYSTEM,
+  isDark: false,
+  colors: LIGHT_COLORS,
+  setMode: () => {},
+});
+
+/**
+ * Provides the active theme to the app
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - App content
+ */
+export const ThemeProvider = ({ children }) => {
+  const systemScheme = useColorScheme();
+  const [mode, setModeState] = useState(null);
+
+  // Wait for the saved mode so the app does not flash the wrong palette
+  useEffect(() => {
+    getThemeMode()
+      .then(setModeState)
+      .catch(error => {
+        console.error('Error loading theme mode:', error);
+        setModeState(THEME_MODES.SYSTEM);
+      });
+  }, []);
+
+  const setMode = useCallback(async (newMode) => {
+    setModeState(newMode);
+    await saveSetting(settingsManager.SETTINGS_KEYS.DARK_MODE, newMode);
+  }, []);
+
+  const isDark = mode === THEME_MODES.DARK || (mode === THEME_MODES.SYSTEM && systemScheme === 'dark');
+
+  const value = useMemo(() => ({
+    mode,
+    isDark,
+    colors: isDark ? DARK_COLORS : LIGHT_COLORS,
+    setMode,
+  }), [mode, isDark, setMode]);
+
+  if (mode === null) return null;
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+/**
+ * Get the active theme
+ * @returns {Object} { mode, isDark, colors, setMode }
+ */
+export const useTheme = () => useContext(ThemeContext);
+
+/**
+ * Build a component's styles from the active palette, rebuilding them only
+ * when the palette changes
+ * @param {function} createStyles - Receives the colours, returns a StyleSheet
+ * @returns {Object} Styles for the active theme
+ */
+export const useThemedStyles = (createStyles) => {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+};
+
+export default ThemeProvider;
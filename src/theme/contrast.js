@@ -0,0 +1,87 @@
+/**
+ * WCAG contrast helpers for the theme tokens
+ *
+ * Used by scripts/check-contrast.js to keep every text and background pair
+ * in CONTRAST_PAIRS at or above WCAG AA.
+ */
+
+// WCAG AA minimum for normal-size text
+export const WCAG_AA = 4.5;
+
+/**
+ * Parse a #rgb, #rrggbb or rgba() colour
+ * @param {string} color - Colour string
+ * @returns {Object} { r, g, b, a } with channels 0-255 and alpha 0-1
+ */
+export const parseColor = (color) => {
+  const rgba = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgba) {
+    return { r: Number(rgba[1]), g: Number(rgba[2]), b: Number(rgba[3]), a: rgba[4] === undefined ? 1 : Number(rgba[4]) };
+  }
+
+  let hex = color.replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Unsupported colour: ${color}`);
+  }
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+    a: 1,
+  };
+};
+
+/**
+ * Blend a translucent colour onto an opaque one
+ * @param {Object} top - Parsed colour
+ * @param {Object} bottom - Parsed opaque colour
+ * @returns {Object} Parsed opaque colour
+ */
+const composite = (top, bottom) => ({
+  r: top.r * top.a + bottom.r * (1 - top.a),
+  g: top.g * top.a + bottom.g * (1 - top.a),
+  b: top.b * top.a + bottom.b * (1 - top.a),
+  a: 1,
+});
+
+const relativeLuminance = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+/**
+ * WCAG contrast ratio between a text colour and its background.
+ * Translucent backgrounds (overlays on video or artwork) are measured over
+ * white, the worst case for the light text drawn on them.
+ * @param {string} text - Text colour
+ * @param {string} background - Background colour
+ * @returns {number} Ratio from 1 to 21
+ */
+export const getContrastRatio = (text, background) => {
+  const bg = composite(parseColor(background), { r: 255, g: 255, b: 255, a: 1 });
+  const fg = composite(parseColor(text), bg);
+  const lighter = Math.max(relativeLuminance(fg), relativeLuminance(bg));
+  const darker = Math.min(relativeLuminance(fg), relativeLuminance(bg));
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Find the pairs in a palette that fall below WCAG AA
+ * @param {Object} palette - LIGHT_COLORS or DARK_COLORS
+ * @param {Array} pairs - [text, background] token names (CONTRAST_PAIRS)
+ * @returns {Array} { text, background, ratio } for each failing pair
+ */
+export const findContrastIssues = (palette, pairs) => pairs
+  .map(([text, background]) => {
+    if (!palette[text] || !palette[background]) {
+      throw new Error(`Unknown colour token in contrast pair: ${text} on ${background}`);
+    }
+    return { text, background, ratio: getContrastRatio(palette[text], palette[background]) };
+  })
+  .filter(({ ratio }) => ratio < WCAG_AA);
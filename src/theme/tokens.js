@@ -0,0 +1,214 @@
+/**
+ * Design tokens for the TWiT Mobile App
+ *
+ * The single source for colours, typography, spacing, radii and elevation.
+ * Colours are named for what they do rather than how they look: text
+ * colours say which surface they sit on (TEXT on BACKGROUND/SURFACE, ON_NAV
+ * on NAV_BACKGROUND, ON_CTA on CTA, ...), so every text and background pair
+ * in the app is one of the pairs in CONTRAST_PAIRS and can be checked.
+ *
+ * This file has no React Native imports so scripts/check-contrast.js can
+ * load it in Node.
+ */
+
+export const LIGHT_COLORS = {
+  // Screens and cards
+  BACKGROUND: '#f8f9fa',      // Screen background
+  SURFACE: '#ffffff',         // Cards, rows and sections
+  BORDER: '#e9ecef',          // Dividers and outlines
+  SHADOW: '#000000',          // Card shadows
+
+  // Navigation chrome (headers, tab bar, mini-player, sheets)
+  NAV_BACKGROUND: '#1f2550',  // TWiT navy
+  NAV_SURFACE: '#2c3567',     // Raised chrome (mini-player, sheets)
+  NAV_BORDER: '#2c3567',      // Lines between chrome and content
+
+  // Video and artwork
+  MEDIA_BACKGROUND: '#000000', // Behind video and artwork
+  MEDIA_SURFACE: 'rgba(0, 0, 0, 0.85)', // Menus drawn over video
+  OVERLAY: 'rgba(0, 0, 0, 0.6)', // Dims content behind controls and sheets
+
+  // Text on BACKGROUND and SURFACE
+  TEXT: '#232b42',            // Body text
+  TEXT_MUTED: '#4a4a4a',      // Secondary text
+  TEXT_ACCENT: '#1f2550',     // Emphasised text, outline buttons and icons
+  TEXT_LINK: '#0277bd',       // Links and show names
+  TEXT_DANGER: '#c62828',     // Errors
+  TEXT_SUCCESS: '#2e7d32',    // Completed states
+  TEXT_HIGHLIGHT: '#8a5300',  // Text actions in the CTA hue
+
+  // Text on navigation chrome
+  ON_NAV: '#f8f9fa',
+  ON_NAV_MUTED: '#a9adbd',
+  ON_NAV_ACTIVE: '#f8ad09',   // Selected option in a sheet or menu
+  ON_NAV_DANGER: '#ff8a80',   // Live and destructive labels
+
+  // Text on video
+  ON_MEDIA: '#ffffff',
+  ON_MEDIA_MUTED: 'rgba(255, 255, 255, 0.5)',
+  ON_MEDIA_ACTIVE: '#f8ad09',
+
+  // Filled buttons, chips and badges with the text they carry
+  PRIMARY: '#1f2550',         // Selected chips, primary buttons
+  ON_PRIMARY: '#f8f9fa',
+  PRIMARY_MUTED: '#2c3567',   // Artwork placeholders and info banners
+  ACCENT: '#0277bd',          // Secondary buttons (retry, play, website)
+  ON_ACCENT: '#ffffff',
+  CTA: '#f8ad09',             // TWiT yellow call to action
+  ON_CTA: '#232b42',
+  PREMIUM: '#ffd700',         // Club TWiT gold, carries ON_CTA text
+  DANGER: '#c62828',          // Live badges and destructive buttons
+  ON_DANGER: '#ffffff',
+  WARNING: '#ffcc00',         // Warning banners (e.g. offline)
+  ON_WARNING: '#232b42',
+
+  // Non-text indicators (progress, active tab, spinners, status icons)
+  HIGHLIGHT: '#4fc3f7',
+  SUCCESS: '#43a047',
+  SWITCH_TRACK_OFF: '#767577',
+  SWITCH_THUMB: '#f4f3f4',
+};
+
+export const DARK_COLORS = {
+  // Screens and cards
+  BACKGROUND: '#0f1220',
+  SURFACE: '#1a1e33',
+  BORDER: '#2a2f48',
+  SHADOW: '#000000',
+
+  // Navigation chrome
+  NAV_BACKGROUND: '#161a33',
+  NAV_SURFACE: '#232850',
+  NAV_BORDER: '#2a2f48',
+
+  // Video and artwork
+  MEDIA_BACKGROUND: '#000000',
+  MEDIA_SURFACE: 'rgba(0, 0, 0, 0.85)',
+  OVERLAY: 'rgba(0, 0, 0, 0.6)',
+
+  // Text on BACKGROUND and SURFACE
+  TEXT: '#e8eaf0',
+  TEXT_MUTED: '#a9adbd',
+  TEXT_ACCENT: '#9fa8da',
+  TEXT_LINK: '#4fc3f7',
+  TEXT_DANGER: '#ef9a9a',
+  TEXT_SUCCESS: '#81c784',
+  TEXT_HIGHLIGHT: '#f8ad09',
+
+  // Text on navigation chrome
+  ON_NAV: '#f8f9fa',
+  ON_NAV_MUTED: '#a9adbd',
+  ON_NAV_ACTIVE: '#f8ad09',
+  ON_NAV_DANGER: '#ff8a80',
+
+  // Text on video
+  ON_MEDIA: '#ffffff',
+  ON_MEDIA_MUTED: 'rgba(255, 255, 255, 0.5)',
+  ON_MEDIA_ACTIVE: '#f8ad09',
+
+  // Filled buttons, chips and badges with the text they carry
+  PRIMARY: '#3949ab',
+  ON_PRIMARY: '#f8f9fa',
+  PRIMARY_MUTED: '#2c3567',
+  ACCENT: '#4fc3f7',
+  ON_ACCENT: '#0f1220',
+  CTA: '#f8ad09',
+  ON_CTA: '#1a1d2e',
+  PREMIUM: '#ffd700',
+  DANGER: '#c62828',
+  ON_DANGER: '#ffffff',
+  WARNING: '#f2b705',
+  ON_WARNING: '#1a1d2e',
+
+  // Non-text indicators
+  HIGHLIGHT: '#4fc3f7',
+  SUCCESS: '#66bb6a',
+  SWITCH_TRACK_OFF: '#767577',
+  SWITCH_THUMB: '#f4f3f4',
+};
+
+/**
+ * Every text colour the app draws with the backgrounds it is drawn on, as
+ * [text, background] token names. scripts/check-contrast.js checks each
+ * pair in both palettes; add a pair here when a new combination is used.
+ */
+export const CONTRAST_PAIRS = [
+  ...['TEXT', 'TEXT_MUTED', 'TEXT_ACCENT', 'TEXT_LINK', 'TEXT_DANGER', 'TEXT_SUCCESS', 'TEXT_HIGHLIGHT']
+    .flatMap(text => [[text, 'BACKGROUND'], [text, 'SURFACE']]),
+  ['TEXT_MUTED', 'BORDER'], // Artwork placeholders
+  ...['ON_NAV', 'ON_NAV_MUTED', 'ON_NAV_ACTIVE', 'ON_NAV_DANGER']
+    .flatMap(text => [[text, 'NAV_BACKGROUND'], [text, 'NAV_SURFACE']]),
+  ['ON_MEDIA', 'MEDIA_BACKGROUND'],
+  ['ON_MEDIA', 'MEDIA_SURFACE'],
+  ['ON_MEDIA_MUTED', 'MEDIA_SURFACE'],
+  ['ON_MEDIA_ACTIVE', 'MEDIA_SURFACE'],
+  ['ON_MEDIA', 'OVERLAY'],
+  ['ON_PRIMARY', 'PRIMARY'],
+  ['ON_PRIMARY', 'PRIMARY_MUTED'],
+  ['ON_ACCENT', 'ACCENT'],
+  ['ON_CTA', 'CTA'],
+  ['ON_CTA', 'PREMIUM'],
+  ['ON_DANGER', 'DANGER'],
+  ['ON_DANGER', 'NAV_SURFACE'], // "Next" badge in the live banner
+  ['ON_WARNING', 'WARNING'],
+];
+
+export const TYPOGRAPHY = {
+  FONT_SIZE: {
+    TINY: 10,
+    SMALL: 12,
+    MEDIUM: 14,
+    LARGE: 16,
+    X_LARGE: 18,
+    XX_LARGE: 22,
+    XXX_LARGE: 26,
+  },
+  FONT_WEIGHT: {
+    REGULAR: '400',
+    MEDIUM: '500',
+    SEMIBOLD: '600',
+    BOLD: 'bold',
+  },
+};
+
+export const SPACING = {
+  TINY: 4,
+  SMALL: 8,
+  MEDIUM: 16,
+  LARGE: 24,
+  X_LARGE: 32,
+  XX_LARGE: 48,
+};
+
+export const RADII = {
+  SMALL: 4,
+  MEDIUM: 8,
+  LARGE: 16,
+  PILL: 20,
+  ROUND: 9999,
+};
+
+// Shadow presets; spread into a style and pair with a backgroundColor
+export const ELEVATION = {
+  SMALL: {
+    shadowColor: LIGHT_COLORS.SHADOW,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.41,
+    elevation: 2,
+  },
+  MEDIUM: {
+    shadowColor: LIGHT_COLORS.SHADOW,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.23,
+    shadowRadius: 2.62,
+    elevation: 4,
+  },
+  LARGE: {
+    shadowColor: LIGHT_COLORS.SHADOW,
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4.65,
+    elevation: 8,
+  },
+};
@@ -0,0 +1,48 @@
+/**
+ * Error types raised by the TWiT API layer
+ */
+
+// Message the API returns (with a 500 status) once the app's quota is used up
+export const USAGE_LIMIT_MESSAGE = 'usage limits are exceeded';
+
+/**
+ * Raised when the API reports its usage limit, and for every request made
+ * while the circuit breaker in api.js is open
+ */
+export class ApiUsageLimitError extends Error {
+  /**
+   * @param {number} retryAt - Timestamp (ms) when requests may be attempted again
+   * @param {Error} cause - Original axios error, if any
+   */
+  constructor(retryAt, cause = null) {
+    super('API usage limits exceeded');
+    this.name = 'ApiUsageLimitError';
+    this.retryAt = retryAt;
+    this.cause = cause;
+  }
+
+  /**
+   * Time left until the cooldown ends
+   * @returns {number} Milliseconds (0 once the cooldown is over)
+   */
+  getRemainingMs() {
+    return Math.max(0, this.retryAt - Date.now());
+  }
+}
+
+/**
+ * Check for an ApiUsageLimitError (by name, since subclassed Error
+ * instances don't always pass instanceof after transpilation)
+ * @param {Error} error - Any error
+ * @returns {boolean} True for usage-limit errors
+ */
+export const isApiUsageLimitError = (error) => error?.name === 'ApiUsageLimitError';
+
+/**
+ * Check whether an axios response is the API's usage-limit error
+ * @param {Object} response - Axios response
+ * @returns {boolean} True if the usage limit was hit
+ */
+export const isUsageLimitResponse = (response) => (
+  response?.status === 500 && response.data?._errors?.[0]?.message === USAGE_LIMIT_MESSAGE
+);
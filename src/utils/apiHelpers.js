@@ -2,6 +2,8 @@
  * Utility functions for working with the TWiT API
  */
 
+import { isApiUsageLimitError, isUsageLimitResponse } from './apiErrors';
+
 /**
  * Formats a date string from the API into a readable format
  * @param {string} dateString - Date string in ZULU format from the API
@@ -64,6 +66,30 @@ export const getNestedProperty = (obj, path, defaultValue = null) => {
   return current !== undefined ? current : defaultValue;
 };
 
+/**
+ * Delay before retrying a failed request: full jitter, a random delay up to
+ * the exponential backoff ceiling
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Formats a cooldown duration as m:ss
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string} Formatted countdown
+ */
+export const formatCooldown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
 /**
  * Parses API error responses
  * @param {Error} error - Error object from API request
@@ -71,13 +97,21 @@ export const getNestedProperty = (obj, path, defaultValue = null) => {
  */
 export const parseApiError = (error) => {
   if (!error) return 'Unknown error occurred';
+
+  // Usage limit reached: the API layer pauses requests until the cooldown ends
+  if (isApiUsageLimitError(error)) {
+    const remainingMs = error.getRemainingMs();
+    return remainingMs > 0
+      ? `API usage limits exceeded. Try again in ${formatCooldown(remainingMs)}.`
+      : 'API usage limits exceeded. You can try again now.';
+  }
   
   // Check if it's an API error with status and message
   if (error.response) {
     const { status, data } = error.response;
     
     // Check for usage limits exceeded error
-    if (status === 500 && data?._errors?.[0]?.message === 'usage limits are exceeded') {
+    if (isUsageLimitResponse(error.response)) {
       return 'API usage limits exceeded. Please try again later.';
     }
     
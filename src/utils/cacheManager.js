@@ -24,6 +24,143 @@ const CACHE_KEYS = {
 // Keep a conservative limit to avoid filling storage with a single entry.
 const MAX_ITEM_SIZE_CHARS = 500_000; // ~500 KB
 
+// Namespace shared by every cache entry. Clearing the cache and LRU eviction
+// only touch keys under it, so data the app must keep (downloads, progress,
+// queues, reminders, ...) is stored under twit_ keys outside it.
+const CACHE_PREFIX = 'twit_cache_';
+
+// Global budget for all cache entries together (serialized characters, ~bytes).
+// Android's AsyncStorage database defaults to 6 MB, so stay well below it.
+const MAX_CACHE_BYTES = 4_000_000; // ~4 MB
+
+// When storage is full, evict least recently used entries until this much is free
+const SQLITE_FULL_RECOVERY_BYTES = MAX_CACHE_BYTES / 4;
+
+// LRU index: { entries: { [key]: { size, lastAccess } }, totalBytes }.
+// Stored inside the cache namespace so clearAllCache also resets it.
+const LRU_INDEX_KEY = 'twit_cache_lru_index';
+
+// Delay before last-access updates are written back, to batch cache reads
+const LRU_PERSIST_DELAY_MS = 2000;
+
+let lruIndex = null;
+let lruIndexPromise = null;
+let lruPersistTimer = null;
+
+/**
+ * Load the LRU index, reconciling it with the keys actually in storage
+ * @returns {Promise<Object>} The in-memory index
+ */
+const loadLruIndex = async () => {
+  if (lruIndex) return lruIndex;
+  if (!lruIndexPromise) {
+    lruIndexPromise = (async () => {
+      let index = { entries: {}, totalBytes: 0 };
+      try {
+        const stored = await AsyncStorage.getItem(LRU_INDEX_KEY);
+        if (stored) index = JSON.parse(stored);
+
+        const keys = (await AsyncStorage.getAllKeys())
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== LRU_INDEX_KEY);
+        const present = new Set(keys);
+
+        // Drop entries removed outside the cache manager
+        Object.keys(index.entries).forEach(key => {
+          if (!present.has(key)) delete index.entries[key];
+        });
+
+        // Account for entries written before the index existed
+        const untracked = keys.filter(key => !index.entries[key]);
+        if (untracked.length) {
+          const pairs = await AsyncStorage.multiGet(untracked);
+          pairs.forEach(([key, value]) => {
+            if (!value) return;
+            let lastAccess = 0;
+            try {
+              lastAccess = JSON.parse(value).timestamp || 0;
+            } catch (_parseError) {
+              // Unparseable entries are evicted first
+            }
+            index.entries[key] = { size: value.length, lastAccess };
+          });
+        }
+      } catch (error) {
+        console.error('Error loading cache index:', error);
+      }
+      index.totalBytes = Object.values(index.entries).reduce((sum, entry) => sum + entry.size, 0);
+      lruIndex = index;
+      lruIndexPromise = null;
+      return lruIndex;
+    })();
+  }
+  return lruIndexPromise;
+};
+
+/**
+ * Persist the LRU index
+ * @param {boolean} immediate - Write now instead of batching
+ * @returns {Promise<void>}
+ */
+const persistLruIndex = async (immediate = false) => {
+  if (!lruIndex) return;
+  if (lruPersistTimer) {
+    clearTimeout(lruPersistTimer);
+    lruPersistTimer = null;
+  }
+  if (!immediate) {
+    lruPersistTimer = setTimeout(() => persistLruIndex(true), LRU_PERSIST_DELAY_MS);
+    return;
+  }
+  try {
+    await AsyncStorage.setItem(LRU_INDEX_KEY, JSON.stringify(lruIndex));
+  } catch (error) {
+    console.error('Error saving cache index:', error);
+  }
+};
+
+const forgetIndexEntries = (keys) => {
+  if (!lruIndex) return;
+  keys.forEach(key => {
+    const entry = lruIndex.entries[key];
+    if (entry) {
+      lruIndex.totalBytes -= entry.size;
+      delete lruIndex.entries[key];
+    }
+  });
+};
+
+/**
+ * Evict least recently used entries until the requested amount is free
+ * @param {number} bytesNeeded - Space required within the budget
+ * @param {string} keepKey - Key that must not be evicted (the one being written)
+ * @returns {Promise<number>} Number of evicted entries
+ */
+const evictLeastRecentlyUsed = async (bytesNeeded, keepKey = null) => {
+  const index = await loadLruIndex();
+  const candidates = Object.entries(index.entries)
+    .filter(([key]) => key !== keepKey)
+    .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+  const evicted = [];
+  let freeBytes = MAX_CACHE_BYTES - index.totalBytes;
+  for (const [key, entry] of candidates) {
+    if (freeBytes >= bytesNeeded) break;
+    evicted.push(key);
+    freeBytes += entry.size;
+  }
+
+  if (evicted.length) {
+    try {
+      await AsyncStorage.multiRemove(evicted);
+    } catch (error) {
+      console.error('Error evicting cache entries:', error);
+    }
+    forgetIndexEntries(evicted);
+    console.log(`Evicted ${evicted.length} least recently used cache entr${evicted.length === 1 ? 'y' : 'ies'}`);
+  }
+  return evicted.length;
+};
+
 /**
  * Check if the device is currently online
  * @returns {Promise<boolean>} True if online, false if offline
@@ -33,19 +170,33 @@ export const isOnline = async () => {
   return netInfo.isConnected && netInfo.isInternetReachable;
 };
 
+// Record a successful write in the LRU index
+const trackWrite = (key, size) => {
+  if (!lruIndex) return;
+  const previous = lruIndex.entries[key];
+  lruIndex.totalBytes += size - (previous?.size || 0);
+  lruIndex.entries[key] = { size, lastAccess: Date.now() };
+  persistLruIndex();
+};
+
 /**
  * Save data to cache
  * @param {string} key - Cache key
  * @param {any} data - Data to cache
+ * @param {Object} meta - Optional metadata stored with the entry (e.g. HTTP validators)
  * @returns {Promise<void>}
  */
-export const saveToCache = async (key, data) => {
+export const saveToCache = async (key, data, meta = null) => {
+  let serialized;
   try {
     const cacheData = {
       timestamp: Date.now(),
       data,
     };
-    const serialized = JSON.stringify(cacheData);
+    if (meta) {
+      cacheData.meta = meta;
+    }
+    serialized = JSON.stringify(cacheData);
 
     // Skip caching overly large payloads to prevent storage pressure
     if (serialized.length > MAX_ITEM_SIZE_CHARS) {
@@ -53,17 +204,31 @@ export const saveToCache = async (key, data) => {
       return;
     }
 
+    // Make room within the global budget, oldest entries first
+    const index = await loadLruIndex();
+    const previousSize = index.entries[key]?.size || 0;
+    await evictLeastRecentlyUsed(serialized.length - previousSize, key);
+
     await AsyncStorage.setItem(key, serialized);
+    trackWrite(key, serialized.length);
   } catch (error) {
     console.error('Error saving to cache:', error);
     const message = String(error && (error.message || error));
     if (message.includes('SQLITE_FULL') || message.includes('database or disk is full')) {
-      // Best-effort recovery: clear app cache namespace to free space
+      // Best-effort recovery: evict the least recently used entries and retry once
       try {
-        console.warn('Cache storage full. Clearing cached entries to recover...');
-        await clearAllCache();
+        console.warn('Cache storage full. Evicting least recently used entries to recover...');
+        // Ask for the current headroom plus the recovery amount, so that much is actually freed
+        const bytesNeeded = MAX_CACHE_BYTES - (lruIndex?.totalBytes || 0) + SQLITE_FULL_RECOVERY_BYTES;
+        const evicted = await evictLeastRecentlyUsed(bytesNeeded, key);
+        if (evicted === 0) {
+          await clearAllCache();
+        } else if (serialized) {
+          await AsyncStorage.setItem(key, serialized);
+          trackWrite(key, serialized.length);
+        }
       } catch (clearErr) {
-        console.error('Error while clearing cache after SQLITE_FULL:', clearErr);
+        console.error('Error while recovering cache after SQLITE_FULL:', clearErr);
       }
     }
   }
@@ -89,6 +254,13 @@ export const getFromCache = async (key, ignoreExpiry = false, expiryMs = CACHE_E
     if (!ignoreExpiry && Date.now() - timestamp > expiryMs) {
       return null;
     }
+
+    // Record the access so recently used entries survive eviction
+    const index = await loadLruIndex();
+    if (index.entries[key]) {
+      index.entries[key].lastAccess = Date.now();
+      persistLruIndex();
+    }
     
     return data;
   } catch (error) {
@@ -97,6 +269,40 @@ export const getFromCache = async (key, ignoreExpiry = false, expiryMs = CACHE_E
   }
 };
 
+/**
+ * Get a raw cache entry regardless of age
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { timestamp, data, meta } or null if not cached
+ */
+export const getCacheEntry = async (key) => {
+  try {
+    const cachedData = await AsyncStorage.getItem(key);
+    if (!cachedData) {
+      return null;
+    }
+    const { timestamp, data, meta = null } = JSON.parse(cachedData);
+    return { timestamp, data, meta };
+  } catch (error) {
+    console.error('Error getting cache entry:', error);
+    return null;
+  }
+};
+
+/**
+ * Mark an existing entry as fresh again without changing its data
+ * (e.g. after the server answered 304 Not Modified)
+ * @param {string} key - Cache key
+ * @returns {Promise<boolean>} True if the entry existed and was renewed
+ */
+export const renewCache = async (key) => {
+  const entry = await getCacheEntry(key);
+  if (!entry) {
+    return false;
+  }
+  await saveToCache(key, entry.data, entry.meta);
+  return true;
+};
+
 /**
  * Clear specific cache
  * @param {string} key - Cache key to clear
@@ -105,6 +311,8 @@ export const getFromCache = async (key, ignoreExpiry = false, expiryMs = CACHE_E
 export const clearCache = async (key) => {
   try {
     await AsyncStorage.removeItem(key);
+    forgetIndexEntries([key]);
+    persistLruIndex();
   } catch (error) {
     console.error('Error clearing cache:', error);
   }
@@ -121,6 +329,8 @@ export const clearCacheByPrefix = async (prefix) => {
     const matched = keys.filter(key => key.startsWith(prefix));
     if (matched.length) {
       await AsyncStorage.multiRemove(matched);
+      forgetIndexEntries(matched);
+      persistLruIndex();
     }
   } catch (error) {
     console.error('Error clearing cache by prefix:', error);
@@ -134,19 +344,53 @@ export const clearCacheByPrefix = async (prefix) => {
 export const clearAllCache = async () => {
   try {
     const keys = await AsyncStorage.getAllKeys();
-    const cacheKeys = keys.filter(key => key.startsWith('twit_cache_'));
+    const cacheKeys = keys.filter(key => key.startsWith(CACHE_PREFIX));
     await AsyncStorage.multiRemove(cacheKeys);
+    if (lruPersistTimer) {
+      clearTimeout(lruPersistTimer);
+      lruPersistTimer = null;
+    }
+    lruIndex = { entries: {}, totalBytes: 0 };
   } catch (error) {
     console.error('Error clearing all cache:', error);
   }
 };
 
+/**
+ * Report cache usage grouped by key prefix (e.g. twit_cache_http_)
+ * @returns {Promise<Object>} { totalBytes, budgetBytes, entryCount, byPrefix: { [prefix]: { bytes, count } } }
+ */
+export const getCacheUsage = async () => {
+  const index = await loadLruIndex();
+  const byPrefix = {};
+
+  Object.entries(index.entries).forEach(([key, entry]) => {
+    // Group by the first segment after the namespace: twit_cache_http_abc -> twit_cache_http_
+    const segment = key.slice(CACHE_PREFIX.length).split('_')[0];
+    const prefix = `${CACHE_PREFIX}${segment}_`;
+    if (!byPrefix[prefix]) byPrefix[prefix] = { bytes: 0, count: 0 };
+    byPrefix[prefix].bytes += entry.size;
+    byPrefix[prefix].count += 1;
+  });
+
+  return {
+    totalBytes: index.totalBytes,
+    budgetBytes: MAX_CACHE_BYTES,
+    entryCount: Object.keys(index.entries).length,
+    byPrefix,
+  };
+};
+
 export default {
   CACHE_KEYS,
+  MAX_CACHE_BYTES,
   isOnline,
   saveToCache,
   getFromCache,
+  getCacheEntry,
+  renewCache,
   clearCache,
   clearCacheByPrefix,
   clearAllCache,
+  getCacheUsage,
 };
@@ -0,0 +1,67 @@
+/**
+ * Utilities for episode chapters
+ *
+ * The TWiT API has no chapter field, so chapters come from timestamped lines
+ * in the show notes (e.g. "0:12:34 News" or "(12:34) Picks").
+ */
+
+import { stripHtmlAndDecodeEntities } from './textUtils';
+
+// Timestamp at the start of a show notes line, optionally in brackets
+const CHAPTER_LINE_PATTERN = /^[\s\-•*]*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:]?\s*(.+)$/;
+
+/**
+ * Convert a "H:MM:SS" or "MM:SS" timestamp to milliseconds
+ * @param {string} timestamp - Timestamp text
+ * @returns {number} Milliseconds
+ */
+const parseTimestamp = (timestamp) => (
+  timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0) * 1000
+);
+
+/**
+ * Get an episode's chapters from its show notes
+ * @param {Object} episode - Episode object
+ * @returns {Array} Chapters { startMillis, title } in order, empty if there are none
+ */
+export const getChapters = (episode) => {
+  if (!episode?.showNotes) return [];
+
+  // Keep line breaks from block-level tags before stripping the HTML
+  const text = stripHtmlAndDecodeEntities(
+    episode.showNotes.replace(/<(br|\/p|\/li|\/div|\/h\d)[^>]*>/gi, '\n')
+  );
+
+  const chapters = [];
+  text.split('\n').forEach(line => {
+    const match = line.match(CHAPTER_LINE_PATTERN);
+    if (!match) return;
+
+    const startMillis = parseTimestamp(match[1]);
+    const previous = chapters[chapters.length - 1];
+    if (!previous || startMillis > previous.startMillis) {
+      chapters.push({ startMillis, title: match[2].trim() });
+    }
+  });
+
+  // A single timestamp is a mention, not a chapter list
+  return chapters.length > 1 ? chapters : [];
+};
+
+/**
+ * Find where the chapter playing at a position ends
+ * @param {Array} chapters - Chapters from getChapters()
+ * @param {number} positionMillis - Current position
+ * @returns {Object|null} { endMillis, title } of the current chapter, or null
+ *   if the position is in the last chapter (it ends with the episode)
+ */
+export const getChapterEnd = (chapters, positionMillis) => {
+  const nextIndex = chapters.findIndex(chapter => chapter.startMillis > positionMillis);
+  if (nextIndex === -1) return null;
+
+  const current = chapters[nextIndex - 1];
+  return {
+    endMillis: chapters[nextIndex].startMillis,
+    title: current ? current.title : null,
+  };
+};
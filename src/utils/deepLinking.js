@@ -0,0 +1,293 @@
+/**
+ * Deep links for twit.tv pages and the twit:// scheme
+ *
+ * twit.tv names shows, episodes and people by slug
+ * (twit.tv/shows/this-week-in-tech/episodes/1000), while the screens load
+ * them by id. Incoming links are resolved through apiService to the
+ * id-based paths in LINKING_CONFIG (show/1635, episode/…, person/…) before
+ * React Navigation matches them. Episode links may carry a ?t= start time
+ * (seconds, or 1h2m3s), which is passed on so playback starts there.
+ */
+import * as Linking from 'expo-linking';
+import * as WebBrowser from 'expo-web-browser';
+import apiService from '../services/api';
+import { stripHtmlAndDecodeEntities } from './textUtils';
+
+export const APP_SCHEME = 'twit';
+
+const APP_URL = `${APP_SCHEME}://`;
+const TWIT_HOSTS = ['twit.tv', 'www.twit.tv'];
+
+// twit.tv slugs are lowercase words joined by hyphens; fall back to building
+// one from the label when an item has no cleanPath
+const slugify = (text) => stripHtmlAndDecodeEntities(text || '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const matchesSlug = (item, basePath, slug) =>
+  item.cleanPath === `${basePath}/${slug}` || slugify(item.label) === slug;
+
+/**
+ * Read the ?t= start time from a query string
+ * @param {string} query - e.g. "?t=754" or "?t=12m34s"
+ * @returns {number|null} Seconds, or null when there is none
+ */
+const parseStartTime = (query) => {
+  const match = /[?&]t=([^&]+)/.exec(query || '');
+  if (!match) return null;
+
+  const value = decodeURIComponent(match[1]);
+  const parts = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(value);
+  if (!parts) return null;
+
+  const [, hours = 0, minutes = 0, seconds = 0] = parts;
+  const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return total > 0 ? total : null;
+};
+
+/**
+ * Split a link into its route segments and query string
+ * @param {string} url - https://twit.tv/…, twit://… or a development URL
+ * @returns {Object|null} { segments, query, isWeb } or null for other sites
+ */
+const splitUrl = (url) => {
+  const match = /^([a-z][a-z0-9+.-]*):\/\/([^/?#]*)([^?#]*)(\?[^#]*)?/i.exec(url || '');
+  if (!match) return null;
+
+  const [, scheme, host, path, query = ''] = match;
+  const isWeb = /^https?$/i.test(scheme);
+  if (isWeb && !TWIT_HOSTS.includes(host.toLowerCase())) return null;
+
+  // twit://shows/… puts the first segment in the host position; Expo Go
+  // links carry the route after /--/
+  let route = isWeb ? path : `${host}${path}`;
+  if (route.includes('/--/')) {
+    route = route.split('/--/')[1];
+  }
+
+  return {
+    segments: route.split('/').filter(Boolean).map(decodeURIComponent),
+    query,
+    isWeb,
+  };
+};
+
+/**
+ * Work out what a twit.tv or twit:// link points to
+ * @param {string} url - Link
+ * @returns {Object|null} { type: 'show'|'episode'|'person', slug,
+ *   episodeNumber, startTime } or null when it is not a show, episode or
+ *   person link
+ */
+export const parseTwitUrl = (url) => {
+  const parts = splitUrl(url);
+  if (!parts) return null;
+  const [section, slug, sub, number] = parts.segments;
+
+  if (section === 'shows' && slug && !sub) {
+    return { type: 'show', slug };
+  }
+  if (section === 'shows' && slug && sub === 'episodes' && /^\d+$/.test(number || '')) {
+    return { type: 'episode', slug, episodeNumber: number, startTime: parseStartTime(parts.query) };
+  }
+  if (section === 'people' && slug && !sub) {
+    return { type: 'person', slug };
+  }
+  return null;
+};
+
+/**
+ * Find a show by its twit.tv slug or short code
+ * @param {string} slug - e.g. "this-week-in-tech" or "twit"
+ * @returns {Promise<Object|null>} Show
+ */
+export const findShowBySlug = async (slug) => {
+  const shows = await apiService.getShows();
+  return shows.find(show => matchesSlug(show, '/shows', slug))
+    || shows.find(show => (show.shortCode || '').toLowerCase() === slug)
+    || null;
+};
+
+/**
+ * Find an episode of a show by its number
+ * @param {Object} show - Show
+ * @param {string|number} episodeNumber - Episode number from the URL
+ * @returns {Promise<Object|null>} Episode
+ */
+export const findEpisodeByNumber = async (show, episodeNumber) => {
+  const episodes = await apiService.getEpisodes({
+    'filter[shows]': show.id,
+    'filter[episodeNumber]': episodeNumber,
+  });
+  return episodes.find(episode => String(episode.episodeNumber) === String(episodeNumber)) || null;
+};
+
+/**
+ * Find a person by their twit.tv slug
+ * @param {string} slug - e.g. "leo-laporte"
+ * @returns {Promise<Object|null>} Person
+ */
+export const findPersonBySlug = async (slug) => {
+  const people = await apiService.getPeople({
+    'filter[label][operator]': 'CONTAINS',
+    'filter[label][value]': slug.replace(/-/g, ' '),
+  });
+  return people.find(person => matchesSlug(person, '/people', slug)) || null;
+};
+
+const buildUrl = (path, params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${APP_URL}${path}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Turn a show, episode or person link into the app's id-based URL.
+ * When a slug cannot be resolved (unknown, or offline with nothing cached)
+ * the link falls back to the closest list: an unknown episode opens its
+ * show, an unknown show opens Shows and an unknown person opens People.
+ * @param {Object} link - Result of parseTwitUrl()
+ * @returns {Promise<string>} URL matching LINKING_CONFIG
+ */
+const resolveLink = async (link) => {
+  let show = null;
+  try {
+    if (link.type === 'person') {
+      const person = await findPersonBySlug(link.slug);
+      if (person) {
+        return buildUrl(`person/${person.id}`, { name: stripHtmlAndDecodeEntities(person.label) });
+      }
+      console.warn(`DeepLinking: no person found for "${link.slug}"`);
+      return buildUrl('people');
+    }
+
+    show = await findShowBySlug(link.slug);
+    if (!show) {
+      console.warn(`DeepLinking: no show found for "${link.slug}"`);
+      return buildUrl('');
+    }
+
+    if (link.type === 'episode') {
+      const episode = await findEpisodeByNumber(show, link.episodeNumber);
+      if (episode) {
+        return buildUrl(`episode/${episode.id}`, {
+          showId: show.id,
+          title: stripHtmlAndDecodeEntities(episode.label),
+          t: link.startTime,
+        });
+      }
+      console.warn(`DeepLinking: ${show.label} has no episode ${link.episodeNumber}`);
+    }
+  } catch (error) {
+    console.error('DeepLinking: failed to resolve link:', error);
+    if (!show) {
+      return buildUrl(link.type === 'person' ? 'people' : '');
+    }
+  }
+
+  return buildUrl(`show/${show.id}`, { title: stripHtmlAndDecodeEntities(show.label) });
+};
+
+/**
+ * Canonical twit.tv page for an episode
+ * @param {Object} episode - Episode
+ * @param {Object} [show] - Its show, used when the episode has no cleanPath
+ * @param {number} [startSeconds] - Adds ?t= so the link starts playback there
+ * @returns {string|null} URL, or null when there is not enough to build one
+ */
+export const getEpisodeUrl = (episode, show = null, startSeconds = 0) => {
+  let path = episode?.cleanPath?.startsWith('/shows/') ? episode.cleanPath : null;
+  if (!path && show && episode?.episodeNumber) {
+    const showPath = show.cleanPath?.startsWith('/shows/')
+      ? show.cleanPath
+      : `/shows/${slugify(show.label)}`;
+    path = `${showPath}/episodes/${episode.episodeNumber}`;
+  }
+  if (!path) return null;
+
+  const seconds = Math.floor(startSeconds);
+  return `https://twit.tv${path}${seconds > 0 ? `?t=${seconds}` : ''}`;
+};
+
+/**
+ * Resolve an incoming URL for React Navigation.
+ * Show, episode and person links are turned into id-based app URLs; other
+ * twit.tv pages open in an in-app browser (opening them with Linking would
+ * hand them straight back to the app); anything else is left unchanged.
+ * @param {string} url - Incoming URL
+ * @returns {Promise<string|null>} URL to navigate to, or null to stay put
+ */
+export const resolveTwitUrl = async (url) => {
+  if (!url) return null;
+
+  const link = parseTwitUrl(url);
+  if (link) {
+    return resolveLink(link);
+  }
+
+  const parts = splitUrl(url);
+  if (parts?.isWeb && parts.segments.length > 0) {
+    WebBrowser.openBrowserAsync(url).catch(error => {
+      console.error('DeepLinking: failed to open link in browser:', error);
+    });
+    return null;
+  }
+  return url;
+};
+
+// Id-based paths the app navigates to (also usable directly, e.g.
+// twit://show/1635)
+export const LINKING_CONFIG = {
+  screens: {
+    Shows: {
+      initialRouteName: 'ShowsList',
+      screens: {
+        ShowsList: '',
+        ShowDetail: {
+          path: 'show/:id',
+          parse: { id: Number },
+        },
+        EpisodeDetail: {
+          path: 'episode/:id',
+          parse: { id: Number, showId: Number, t: Number },
+        },
+      },
+    },
+    People: {
+      initialRouteName: 'PeopleList',
+      screens: {
+        PeopleList: 'people',
+        PersonDetail: {
+          path: 'person/:personId',
+          parse: { personId: Number },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Linking options for the NavigationContainer
+ */
+export const linking = {
+  prefixes: [APP_URL, 'https://twit.tv', 'https://www.twit.tv', Linking.createURL('/')],
+  config: LINKING_CONFIG,
+
+  async getInitialURL() {
+    return resolveTwitUrl(await Linking.getInitialURL());
+  },
+
+  subscribe(listener) {
+    const subscription = Linking.addEventListener('url', ({ url }) => {
+      resolveTwitUrl(url).then(resolved => {
+        if (resolved) listener(resolved);
+      });
+    });
+    return () => subscription.remove();
+  },
+};
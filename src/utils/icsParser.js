@@ -0,0 +1,372 @@
+/**
+ * Minimal iCalendar (ICS) parser for the TWiT schedule feed
+ *
+ * Handles what the Google Calendar export uses: VEVENTs with UTC, TZID or
+ * all-day dates, DURATION, weekly/daily/monthly RRULEs, EXDATE, moved or
+ * cancelled occurrences (RECURRENCE-ID) and escaped text. Times are returned
+ * as epoch milliseconds, so they display in the device's timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety limit on occurrences walked per recurring event
+const MAX_RECURRENCE_STEPS = 5000;
+
+// Intl formatters per timezone (creating them is slow)
+const tzFormatters = {};
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone (e.g. 'America/Los_Angeles')
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  if (!tzFormatters[timeZone]) {
+    tzFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+
+  const parts = {};
+  tzFormatters[timeZone].formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time to epoch milliseconds
+ * @param {Object} wall - { year, month (0-11), day, hour, minute, second }
+ * @param {string|null} timeZone - IANA timezone, 'UTC', or null for device-local (floating) time
+ * @returns {number} Epoch milliseconds
+ */
+const wallTimeToTimestamp = (wall, timeZone) => {
+  const { year, month, day, hour, minute, second } = wall;
+  if (timeZone === 'UTC') {
+    return Date.UTC(year, month, day, hour, minute, second);
+  }
+  if (!timeZone) {
+    return new Date(year, month, day, hour, minute, second).getTime();
+  }
+
+  try {
+    const guess = Date.UTC(year, month, day, hour, minute, second);
+    const firstPass = guess - getTimeZoneOffset(guess, timeZone);
+    // Re-check in case the first guess fell on the other side of a DST change
+    return guess - getTimeZoneOffset(firstPass, timeZone);
+  } catch (error) {
+    console.warn(`icsParser: unknown timezone ${timeZone}, using device time:`, error);
+    return new Date(year, month, day, hour, minute, second).getTime();
+  }
+};
+
+/**
+ * Parse an ICS date or date-time value
+ * @param {string} value - e.g. '20250105', '20250105T180000' or '20250105T020000Z'
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {Object|null} { wall, timeZone, allDay, timestamp }
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const wall = {
+    year: parseInt(match[1], 10),
+    month: parseInt(match[2], 10) - 1,
+    day: parseInt(match[3], 10),
+    hour: match[4] ? parseInt(match[4], 10) : 0,
+    minute: match[5] ? parseInt(match[5], 10) : 0,
+    second: match[6] ? parseInt(match[6], 10) : 0,
+  };
+  const allDay = !match[4];
+  // All-day dates are calendar days wherever the device is
+  const timeZone = match[7] ? 'UTC' : (allDay ? null : params.TZID || null);
+
+  return { wall, timeZone, allDay, timestamp: wallTimeToTimestamp(wall, timeZone) };
+};
+
+/**
+ * Parse an ICS DURATION value
+ * @param {string} value - e.g. 'PT1H30M' or 'P1D'
+ * @returns {number} Milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = ((parseInt(weeks || 0, 10) * 7 + parseInt(days || 0, 10)) * 24 * 3600 +
+    parseInt(hours || 0, 10) * 3600 + parseInt(minutes || 0, 10) * 60 + parseInt(seconds || 0, 10)) * 1000;
+  return sign === '-' ? -total : total;
+};
+
+/**
+ * Unescape an ICS TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Split a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }
+ */
+const parseLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - e.g. 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20251231T000000Z'
+ * @returns {Object} { freq, interval, count, until, byDay }
+ */
+const parseRule = (value) => {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [key, val] = part.split('=');
+    rule[key.toUpperCase()] = val;
+  });
+
+  return {
+    freq: rule.FREQ,
+    interval: parseInt(rule.INTERVAL || '1', 10),
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+    until: rule.UNTIL ? parseDateValue(rule.UNTIL)?.timestamp ?? null : null,
+    // Plain weekdays only ('MO'); positional forms like '1MO' keep their day
+    byDay: rule.BYDAY ? rule.BYDAY.split(',').map(day => day.slice(-2)) : null,
+  };
+};
+
+/**
+ * Parse ICS text into raw events
+ * @param {string} text - ICS file contents
+ * @returns {Array} Events { uid, title, description, location, start, durationMillis, rule, exdates, recurrenceId, cancelled }
+ */
+export const parseCalendar = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  lines.forEach(rawLine => {
+    const line = parseLine(rawLine);
+    if (!line) return;
+    const { name, params, value } = line;
+
+    if (name === 'BEGIN' && value === 'VEVENT') {
+      current = { exdates: [], rule: null, recurrenceId: null, cancelled: false };
+      return;
+    }
+    if (!current) return;
+
+    switch (name) {
+      case 'END':
+        if (value === 'VEVENT') {
+          if (current.start) {
+            if (current.durationMillis === undefined) {
+              current.durationMillis = current.end
+                ? current.end.timestamp - current.start.timestamp
+                : (current.start.allDay ? DAY_MS : 0);
+            }
+            delete current.end;
+            events.push(current);
+          }
+          current = null;
+        }
+        break;
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.title = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(value);
+        break;
+      case 'STATUS':
+        current.cancelled = value.toUpperCase() === 'CANCELLED';
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(value, params);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(value, params);
+        break;
+      case 'DURATION':
+        current.durationMillis = parseDuration(value);
+        break;
+      case 'RRULE':
+        current.rule = parseRule(value);
+        break;
+      case 'EXDATE':
+        value.split(',').forEach(date => {
+          const parsed = parseDateValue(date, params);
+          if (parsed) current.exdates.push(parsed.timestamp);
+        });
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(value, params)?.timestamp ?? null;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Walk the start times of a recurring event that fall in a range, in the
+ * event's own timezone so occurrences keep their wall-clock time across DST
+ * @param {Object} event - Raw event from parseCalendar()
+ * @param {number} from - Range start (epoch ms)
+ * @param {number} to - Range end (epoch ms)
+ * @param {function} visit - Called with each occurrence start (epoch ms)
+ */
+const forEachOccurrence = (event, from, to, visit) => {
+  const { start, rule, durationMillis } = event;
+  const { wall, timeZone } = start;
+  const startDay = Date.UTC(wall.year, wall.month, wall.day);
+  const startWeekday = new Date(startDay).getUTCDay();
+  const byDay = rule.byDay || [WEEKDAYS[startWeekday]];
+  // Weeks start on Monday (the RFC 5545 default WKST)
+  const startWeek = startDay - ((startWeekday + 6) % 7) * DAY_MS;
+  const repeats = ['DAILY', 'WEEKLY', 'MONTHLY'].includes(rule.freq);
+
+  // Without COUNT there's nothing to tally, so skip straight to the range
+  const firstStep = rule.count === null && repeats
+    ? Math.max(0, Math.floor((from - durationMillis - startDay) / DAY_MS) - 1)
+    : 0;
+
+  let emitted = 0;
+  for (let step = firstStep; step < firstStep + MAX_RECURRENCE_STEPS * 7; step++) {
+    const day = startDay + step * DAY_MS;
+    const date = new Date(day);
+    let matches = false;
+
+    if (rule.freq === 'DAILY') {
+      matches = step % rule.interval === 0;
+    } else if (rule.freq === 'WEEKLY') {
+      const week = Math.floor((day - startWeek) / (7 * DAY_MS));
+      matches = week % rule.interval === 0 && byDay.includes(WEEKDAYS[date.getUTCDay()]);
+    } else if (rule.freq === 'MONTHLY') {
+      const months = (date.getUTCFullYear() - wall.year) * 12 + date.getUTCMonth() - wall.month;
+      matches = months % rule.interval === 0 && date.getUTCDate() === wall.day;
+    } else {
+      // Unsupported frequency: just the first occurrence
+      matches = step === 0;
+    }
+    if (!matches) continue;
+
+    // Wall-clock time read as UTC is within a day of the real instant, which
+    // is enough to skip occurrences outside the range without Intl lookups
+    const approximate = day + ((wall.hour * 60 + wall.minute) * 60 + wall.second) * 1000;
+    if (approximate - DAY_MS > to) return;
+    if (rule.until !== null && approximate - DAY_MS > rule.until) return;
+    if (rule.count !== null && emitted >= rule.count) return;
+    emitted++;
+
+    if (approximate + durationMillis + DAY_MS >= from) {
+      const timestamp = wallTimeToTimestamp({
+        ...wall,
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth(),
+        day: date.getUTCDate(),
+      }, timeZone);
+
+      if (timestamp > to) return;
+      if (rule.until === null || timestamp <= rule.until) {
+        visit(timestamp);
+      }
+    }
+
+    if (!repeats) return;
+  }
+};
+
+/**
+ * Expand raw events into the occurrences that overlap a time range
+ * @param {Array} events - Raw events from parseCalendar()
+ * @param {number} from - Range start (epoch ms)
+ * @param {number} to - Range end (epoch ms)
+ * @returns {Array} Occurrences { id, uid, title, description, location, start, end, allDay }, sorted by start
+ */
+export const expandEvents = (events, from, to) => {
+  // Moved or cancelled occurrences, keyed by series and original start
+  const overrides = {};
+  events.forEach(event => {
+    if (event.recurrenceId !== null) {
+      overrides[`${event.uid}|${event.recurrenceId}`] = event;
+    }
+  });
+
+  const occurrences = [];
+  const addOccurrence = (event, start) => {
+    const end = start + event.durationMillis;
+    if (event.cancelled || end <= from || start >= to) return;
+    occurrences.push({
+      id: `${event.uid}|${start}`,
+      uid: event.uid,
+      title: event.title || '',
+      description: event.description || '',
+      location: event.location || '',
+      start,
+      end,
+      allDay: event.start.allDay,
+    });
+  };
+
+  events.forEach(event => {
+    // Overrides are placed where they moved to, not where the series puts them
+    if (event.recurrenceId !== null) {
+      addOccurrence(event, event.start.timestamp);
+      return;
+    }
+
+    if (!event.rule) {
+      addOccurrence(event, event.start.timestamp);
+      return;
+    }
+
+    forEachOccurrence(event, from, to, start => {
+      if (event.exdates.includes(start) || overrides[`${event.uid}|${start}`]) return;
+      addOccurrence(event, start);
+    });
+  });
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
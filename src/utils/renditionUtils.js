@@ -0,0 +1,60 @@
+/**
+ * Utilities for choosing between the media renditions of an episode
+ */
+
+// Quality mode that picks a rendition for the current connection
+export const AUTO_QUALITY = 'auto';
+
+// Renditions the TWiT API can return for an episode, best first
+export const RENDITION_LABELS = {
+  video_hd: 'HD',
+  video_large: 'Large',
+  video_small: 'Small',
+  video_audio: 'Audio',
+  video_youtube: 'YouTube',
+};
+
+// Renditions that can't play in the in-app player and open externally
+export const EXTERNAL_RENDITIONS = ['video_youtube'];
+
+// Preferred renditions per connection type (NetworkManager.connectionType)
+const AUTO_PREFERENCES = {
+  wifi: ['video_hd', 'video_large', 'video_small', 'video_audio'],
+  ethernet: ['video_hd', 'video_large', 'video_small', 'video_audio'],
+  cellular: ['video_small', 'video_audio', 'video_large', 'video_hd'],
+};
+const DEFAULT_AUTO_PREFERENCE = ['video_large', 'video_small', 'video_hd', 'video_audio'];
+
+/**
+ * Get the media URL of a rendition
+ * @param {Object} episode - Episode object
+ * @param {string} rendition - Rendition key (e.g. 'video_hd')
+ * @returns {string|null} Media URL
+ */
+export const getRenditionUrl = (episode, rendition) => {
+  const media = episode?.[rendition];
+  if (!media) return null;
+  if (typeof media === 'string') return media;
+  return media.mediaUrl || media.url || null;
+};
+
+/**
+ * List the renditions an episode actually has, best first
+ * @param {Object} episode - Episode object
+ * @returns {string[]} Rendition keys
+ */
+export const getAvailableRenditions = (episode) => (
+  Object.keys(RENDITION_LABELS).filter(rendition => !!getRenditionUrl(episode, rendition))
+);
+
+/**
+ * Pick the rendition to play in auto mode
+ * @param {string[]} renditions - Available rendition keys
+ * @param {string} connectionType - Current connection type ('wifi', 'cellular', ...)
+ * @returns {string|null} Rendition key, or null if none can play in-app
+ */
+export const pickAutoRendition = (renditions, connectionType) => {
+  const preference = AUTO_PREFERENCES[connectionType] || DEFAULT_AUTO_PREFERENCE;
+  return preference.find(rendition => renditions.includes(rendition)) || null;
+};
+
@@ -10,12 +10,44 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 const SETTINGS_KEYS = {
   DARK_MODE: 'twit_settings_dark_mode',
   USE_CELLULAR_DATA: 'twit_settings_use_cellular_data',
+  DOWNLOAD_QUOTA_MB: 'twit_settings_download_quota_mb',
+  PLAYED_THRESHOLD: 'twit_settings_played_threshold',
+  PLAYBACK_SPEED: 'twit_settings_playback_speed',
+  SKIP_BACK_SECONDS: 'twit_settings_skip_back_seconds',
+  SKIP_FORWARD_SECONDS: 'twit_settings_skip_forward_seconds',
+  REMEMBER_SHOW_SPEED: 'twit_settings_remember_show_speed',
+  SHOW_PLAYBACK_SPEEDS: 'twit_settings_show_playback_speeds',
+  PREFERRED_STREAM_PROVIDER: 'twit_settings_preferred_stream_provider',
+  REMINDER_LEAD_MINUTES: 'twit_settings_reminder_lead_minutes',
 };
 
+// Selectable playback speeds
+export const PLAYBACK_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+
+// Selectable skip intervals (seconds)
+export const SKIP_INTERVALS = [5, 10, 15, 30, 45, 60];
+
+// Dark Mode choices stored under SETTINGS_KEYS.DARK_MODE
+export const THEME_MODES = {
+  SYSTEM: 'system',
+  LIGHT: 'light',
+  DARK: 'dark',
+};
+
+// Selectable show reminder lead times (minutes before an airing)
+export const REMINDER_LEAD_TIMES = [5, 10, 15, 30, 60];
+
 // Default settings
 const DEFAULT_SETTINGS = {
-  darkMode: false,
+  themeMode: THEME_MODES.SYSTEM,
   useCellularData: true,
+  downloadQuotaMb: 2048,
+  playedThreshold: 95,
+  playbackSpeed: 1,
+  skipBackSeconds: 15,
+  skipForwardSeconds: 30,
+  rememberShowSpeed: true,
+  reminderLeadMinutes: 15,
 };
 
 /**
@@ -51,6 +83,26 @@ export const getSetting = async (key, defaultValue) => {
   }
 };
 
+/**
+ * Turn a stored Dark Mode value into a theme mode. Older versions stored a
+ * boolean that was saved as false for everyone who never touched the switch,
+ * so false means "follow the system" rather than "always light".
+ * @param {string|boolean} value - Stored value
+ * @returns {string} One of THEME_MODES
+ */
+const normalizeThemeMode = (value) => {
+  if (value === true) return THEME_MODES.DARK;
+  return Object.values(THEME_MODES).includes(value) ? value : DEFAULT_SETTINGS.themeMode;
+};
+
+/**
+ * Get the Dark Mode setting
+ * @returns {Promise<string>} One of THEME_MODES
+ */
+export const getThemeMode = async () => {
+  return normalizeThemeMode(await getSetting(SETTINGS_KEYS.DARK_MODE, DEFAULT_SETTINGS.themeMode));
+};
+
 /**
  * Load all app settings
  * @returns {Promise<Object>} Object containing all settings
@@ -60,8 +112,15 @@ export const loadSettings = async () => {
     const settings = { ...DEFAULT_SETTINGS };
     
     // Load each setting
-    settings.darkMode = await getSetting(SETTINGS_KEYS.DARK_MODE, DEFAULT_SETTINGS.darkMode);
+    settings.themeMode = await getThemeMode();
     settings.useCellularData = await getSetting(SETTINGS_KEYS.USE_CELLULAR_DATA, DEFAULT_SETTINGS.useCellularData);
+    settings.downloadQuotaMb = await getSetting(SETTINGS_KEYS.DOWNLOAD_QUOTA_MB, DEFAULT_SETTINGS.downloadQuotaMb);
+    settings.playedThreshold = await getSetting(SETTINGS_KEYS.PLAYED_THRESHOLD, DEFAULT_SETTINGS.playedThreshold);
+    settings.playbackSpeed = await getSetting(SETTINGS_KEYS.PLAYBACK_SPEED, DEFAULT_SETTINGS.playbackSpeed);
+    settings.skipBackSeconds = await getSetting(SETTINGS_KEYS.SKIP_BACK_SECONDS, DEFAULT_SETTINGS.skipBackSeconds);
+    settings.skipForwardSeconds = await getSetting(SETTINGS_KEYS.SKIP_FORWARD_SECONDS, DEFAULT_SETTINGS.skipForwardSeconds);
+    settings.rememberShowSpeed = await getSetting(SETTINGS_KEYS.REMEMBER_SHOW_SPEED, DEFAULT_SETTINGS.rememberShowSpeed);
+    settings.reminderLeadMinutes = await getSetting(SETTINGS_KEYS.REMINDER_LEAD_MINUTES, DEFAULT_SETTINGS.reminderLeadMinutes);
     
     return settings;
   } catch (error) {
@@ -78,13 +137,57 @@ export const loadSettings = async () => {
 export const saveSettings = async (settings) => {
   try {
     // Save each setting individually
-    await saveSetting(SETTINGS_KEYS.DARK_MODE, settings.darkMode ?? DEFAULT_SETTINGS.darkMode);
+    await saveSetting(SETTINGS_KEYS.DARK_MODE, settings.themeMode ?? DEFAULT_SETTINGS.themeMode);
     await saveSetting(SETTINGS_KEYS.USE_CELLULAR_DATA, settings.useCellularData ?? DEFAULT_SETTINGS.useCellularData);
+    await saveSetting(SETTINGS_KEYS.DOWNLOAD_QUOTA_MB, settings.downloadQuotaMb ?? DEFAULT_SETTINGS.downloadQuotaMb);
+    await saveSetting(SETTINGS_KEYS.PLAYED_THRESHOLD, settings.playedThreshold ?? DEFAULT_SETTINGS.playedThreshold);
+    await saveSetting(SETTINGS_KEYS.PLAYBACK_SPEED, settings.playbackSpeed ?? DEFAULT_SETTINGS.playbackSpeed);
+    await saveSetting(SETTINGS_KEYS.SKIP_BACK_SECONDS, settings.skipBackSeconds ?? DEFAULT_SETTINGS.skipBackSeconds);
+    await saveSetting(SETTINGS_KEYS.SKIP_FORWARD_SECONDS, settings.skipForwardSeconds ?? DEFAULT_SETTINGS.skipForwardSeconds);
+    await saveSetting(SETTINGS_KEYS.REMEMBER_SHOW_SPEED, settings.rememberShowSpeed ?? DEFAULT_SETTINGS.rememberShowSpeed);
+    await saveSetting(SETTINGS_KEYS.REMINDER_LEAD_MINUTES, settings.reminderLeadMinutes ?? DEFAULT_SETTINGS.reminderLeadMinutes);
   } catch (error) {
     console.error('Error saving settings:', error);
   }
 };
 
+/**
+ * Get the playback speed to use for an episode: the speed last used for its
+ * show (when per-show memory is on), otherwise the default speed
+ * @param {string|number} showId - Show id (optional)
+ * @returns {Promise<number>} Playback speed
+ */
+export const getPlaybackSpeed = async (showId = null) => {
+  const defaultSpeed = await getSetting(SETTINGS_KEYS.PLAYBACK_SPEED, DEFAULT_SETTINGS.playbackSpeed);
+  if (!showId) return defaultSpeed;
+
+  const remember = await getSetting(SETTINGS_KEYS.REMEMBER_SHOW_SPEED, DEFAULT_SETTINGS.rememberShowSpeed);
+  if (!remember) return defaultSpeed;
+
+  const showSpeeds = await getSetting(SETTINGS_KEYS.SHOW_PLAYBACK_SPEEDS, {});
+  return showSpeeds[showId] ?? defaultSpeed;
+};
+
+/**
+ * Remember the playback speed chosen for a show
+ * @param {string|number} showId - Show id
+ * @param {number} speed - Playback speed
+ * @returns {Promise<void>}
+ */
+export const saveShowPlaybackSpeed = async (showId, speed) => {
+  if (!showId) return;
+  const showSpeeds = await getSetting(SETTINGS_KEYS.SHOW_PLAYBACK_SPEEDS, {});
+  await saveSetting(SETTINGS_KEYS.SHOW_PLAYBACK_SPEEDS, { ...showSpeeds, [showId]: speed });
+};
+
+/**
+ * Forget all remembered per-show playback speeds
+ * @returns {Promise<void>}
+ */
+export const clearShowPlaybackSpeeds = async () => {
+  await saveSetting(SETTINGS_KEYS.SHOW_PLAYBACK_SPEEDS, {});
+};
+
 export default {
   SETTINGS_KEYS,
   DEFAULT_SETTINGS,
@@ -92,4 +195,8 @@ export default {
   getSetting,
   loadSettings,
   saveSettings,
+  getThemeMode,
+  getPlaybackSpeed,
+  saveShowPlaybackSpeed,
+  clearShowPlaybackSpeeds,
 };
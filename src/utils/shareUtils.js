@@ -0,0 +1,51 @@
+/**
+ * Share episodes
+ *
+ * Shares the episode's twit.tv page with its title and show. A shared start
+ * time becomes a ?t= offset on the link, which the app's deep-link handler
+ * (utils/deepLinking) reads back to start playback at that point.
+ */
+import { Platform, Share } from 'react-native';
+import { getEpisodeUrl } from './deepLinking';
+import { stripHtmlAndDecodeEntities } from './textUtils';
+
+/**
+ * The show an episode belongs to, from its embedded data
+ * @param {Object} episode - Episode
+ * @returns {Object|null} Show
+ */
+export const getEpisodeShow = (episode) => {
+  const shows = episode?._embedded?.shows || episode?.embedded?.shows;
+  return (Array.isArray(shows) ? shows[0] : shows) || episode?.show || null;
+};
+
+/**
+ * Open the system share sheet for an episode
+ * @param {Object} episode - Episode
+ * @param {Object} [options]
+ * @param {Object} [options.show] - Its show, when the episode has none embedded
+ * @param {number} [options.positionMillis] - Start time to share, if any
+ * @returns {Promise<boolean>} True when the episode was shared
+ */
+export const shareEpisode = async (episode, { show = null, positionMillis = 0 } = {}) => {
+  const episodeShow = show || getEpisodeShow(episode);
+  const title = stripHtmlAndDecodeEntities(episode.label || 'TWiT.tv Episode');
+  const showName = episodeShow?.label ? stripHtmlAndDecodeEntities(episodeShow.label) : null;
+  const url = getEpisodeUrl(episode, episodeShow, positionMillis / 1000);
+
+  const text = showName ? `${title} - ${showName}` : title;
+
+  try {
+    // iOS shows the link as an attachment; Android only shares the message
+    const result = await Share.share(
+      Platform.OS === 'ios'
+        ? { message: text, url: url || undefined }
+        : { title, message: url ? `${text}\n${url}` : text },
+      { subject: title, dialogTitle: 'Share Episode' }
+    );
+    return result.action === Share.sharedAction;
+  } catch (error) {
+    console.error('Error sharing episode:', error);
+    return false;
+  }
+};
@@ -1,11 +1,79 @@
 /**
  * Utilities for handling live streams
+ *
+ * HLS and Icecast/Shoutcast streams play in the app (see LiveStreamPlayer).
+ * Everything else, and the "Open in…" action, hands off to another app.
  */
 import { Linking, Platform } from 'react-native';
 import playerManager from '../services/playerManager';
 
+// How a stream plays inside the app
+export const STREAM_PLAYBACK = {
+  VIDEO: 'video',
+  AUDIO: 'audio',
+};
+
+// Providers whose stream source is a web page for their own app, not media
+const PAGE_PROVIDERS = ['YouTube', 'YouTube Live', 'Twitch', 'TuneIn', 'TuneIn - Audio', 'Kick', 'Spreaker', 'Spreaker - Audio', 'Ustream'];
+
+// Internet radio servers that send a plain audio stream
+const RADIO_PROVIDERS = ['Icecast', 'Icecast - Audio', 'Shoutcast', 'Shoutcast - Audio', 'TWiT Live - Audio'];
+
+/**
+ * Check whether a stream is HLS
+ * @param {Object} stream - The stream object from the API
+ * @returns {boolean} True for HLS streams
+ */
+export const isHlsStream = (stream) => {
+  const capabilities = Array.isArray(stream?.streamCapabilities) ? stream.streamCapabilities : [];
+  return capabilities.includes('hls') || /\.m3u8(\?|$)/i.test(stream?.streamSource || '');
+};
+
+/**
+ * Work out whether (and how) a stream can play in the app
+ * @param {Object} stream - The stream object from the API
+ * @returns {string|null} STREAM_PLAYBACK value, or null if it needs another app
+ */
+export const getInAppPlayback = (stream) => {
+  if (!stream?.streamSource) return null;
+
+  const provider = stream.streamProviders?.label || '';
+  if (PAGE_PROVIDERS.includes(provider)) return null;
+
+  const isAudio = stream.streamType === 'audio' || provider.includes('Audio');
+  if (isHlsStream(stream)) {
+    return isAudio ? STREAM_PLAYBACK.AUDIO : STREAM_PLAYBACK.VIDEO;
+  }
+
+  const capabilities = Array.isArray(stream.streamCapabilities) ? stream.streamCapabilities : [];
+  if (
+    RADIO_PROVIDERS.includes(provider) ||
+    capabilities.includes('icecast') ||
+    capabilities.includes('shoutcast') ||
+    isAudio
+  ) {
+    return STREAM_PLAYBACK.AUDIO;
+  }
+
+  return null;
+};
+
+/**
+ * Name of the app openStreamInApp() hands a stream to, for "Open in…" labels
+ * @param {Object} stream - The stream object from the API
+ * @returns {string} App name
+ */
+export const getExternalAppName = (stream) => {
+  const provider = stream?.streamProviders?.label || '';
+  if (provider.startsWith('YouTube')) return 'YouTube';
+  if (provider === 'Twitch') return 'Twitch';
+  if (provider.startsWith('TuneIn')) return 'TuneIn';
+  return 'Browser';
+};
+
 /**
- * Opens a stream URL in the appropriate app based on stream type and provider
+ * Opens a stream URL in the appropriate app based on stream type and provider.
+ * Used for streams the app can't play and as the explicit "Open in…" fallback.
  * 
  * @param {Object} stream - The stream object from the API
  * @returns {Promise} - Promise that resolves when the URL is opened
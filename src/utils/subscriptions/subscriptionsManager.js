@@ -0,0 +1,214 @@
+/**
+ * Subscriptions Manager for TWiT Mobile App
+ *
+ * Stores the shows a user follows ("My Shows") and builds the new-episode
+ * inbox from their latest episodes
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from '../../services/api';
+
+// Storage keys
+const SUBSCRIPTIONS_KEYS = {
+  SHOWS: 'twit_subscriptions_shows',
+  SEEN_EPISODES: 'twit_subscriptions_seen_episodes',
+};
+
+// Number of recent episodes fetched per followed show for the inbox
+const INBOX_EPISODES_PER_SHOW = 5;
+
+// Cap on remembered seen episode ids so storage does not grow forever
+const MAX_SEEN_EPISODES = 500;
+
+// What a listener is told changed. Followed-show changes need the inbox
+// fetched again; seen changes only update the flags of an inbox already loaded.
+export const SUBSCRIPTION_CHANGES = {
+  SHOWS: 'shows',
+  SEEN: 'seen',
+};
+
+let listeners = [];
+
+const notifyListeners = (change) => {
+  listeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Error in subscriptions listener:', error);
+    }
+  });
+};
+
+const readJson = async (key, defaultValue) => {
+  try {
+    const value = await AsyncStorage.getItem(key);
+    return value !== null ? JSON.parse(value) : defaultValue;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return defaultValue;
+  }
+};
+
+const writeJson = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+};
+
+/**
+ * Get all followed shows
+ * @returns {Promise<Array>} Followed shows ({ id, label, imageUrl, followedAt })
+ */
+export const getSubscriptions = async () => {
+  return readJson(SUBSCRIPTIONS_KEYS.SHOWS, []);
+};
+
+/**
+ * Check whether a show is followed
+ * @param {string|number} showId - Show id
+ * @returns {Promise<boolean>} True if followed
+ */
+export const isFollowing = async (showId) => {
+  const subscriptions = await getSubscriptions();
+  return subscriptions.some(show => String(show.id) === String(showId));
+};
+
+/**
+ * Follow a show
+ * @param {Object} show - Show object from the API
+ * @returns {Promise<void>}
+ */
+export const followShow = async (show) => {
+  if (!show || !show.id) return;
+
+  const subscriptions = await getSubscriptions();
+  if (subscriptions.some(item => String(item.id) === String(show.id))) return;
+
+  subscriptions.push({
+    id: show.id,
+    label: show.label || '',
+    imageUrl: show.coverArt?.derivatives?.twit_album_art_300x300 || show.coverArt?.url || null,
+    followedAt: Date.now(),
+  });
+  await writeJson(SUBSCRIPTIONS_KEYS.SHOWS, subscriptions);
+  notifyListeners({ type: SUBSCRIPTION_CHANGES.SHOWS });
+};
+
+/**
+ * Unfollow a show
+ * @param {string|number} showId - Show id
+ * @returns {Promise<void>}
+ */
+export const unfollowShow = async (showId) => {
+  const subscriptions = await getSubscriptions();
+  await writeJson(
+    SUBSCRIPTIONS_KEYS.SHOWS,
+    subscriptions.filter(show => String(show.id) !== String(showId))
+  );
+  notifyListeners({ type: SUBSCRIPTION_CHANGES.SHOWS });
+};
+
+/**
+ * Get the ids of episodes already seen in the inbox
+ * @returns {Promise<Array>} Episode ids
+ */
+export const getSeenEpisodeIds = async () => {
+  return readJson(SUBSCRIPTIONS_KEYS.SEEN_EPISODES, []);
+};
+
+/**
+ * Mark inbox episodes as seen
+ * @param {Array} episodeIds - Episode ids
+ * @returns {Promise<void>}
+ */
+export const markEpisodesSeen = async (episodeIds) => {
+  const seen = await getSeenEpisodeIds();
+  const merged = [...new Set([...episodeIds.map(String), ...seen])].slice(0, MAX_SEEN_EPISODES);
+  await writeJson(SUBSCRIPTIONS_KEYS.SEEN_EPISODES, merged);
+  notifyListeners({ type: SUBSCRIPTION_CHANGES.SEEN, episodeIds: episodeIds.map(String) });
+};
+
+/**
+ * Clear the unseen flag of episodes that were just marked seen, without
+ * fetching the inbox again
+ * @param {Array} inbox - Episodes from getInbox()
+ * @param {Array} episodeIds - Episode ids marked seen
+ * @returns {Array} Inbox with updated `unseen` flags
+ */
+export const applySeenEpisodes = (inbox, episodeIds) => {
+  const seen = new Set(episodeIds.map(String));
+  return inbox.map(episode => (
+    episode.unseen && seen.has(String(episode.id)) ? { ...episode, unseen: false } : episode
+  ));
+};
+
+/**
+ * Build the inbox: latest episodes of all followed shows, newest first.
+ * Episodes that aired after the show was followed and have not been opened are unseen.
+ * @returns {Promise<Array>} Episodes with an added `unseen` flag and `show` info
+ */
+export const getInbox = async () => {
+  const subscriptions = await getSubscriptions();
+  if (subscriptions.length === 0) return [];
+
+  const seen = new Set(await getSeenEpisodeIds());
+
+  const results = await Promise.all(subscriptions.map(async (show) => {
+    try {
+      const episodes = await apiService.getEpisodes({
+        'filter[shows]': show.id,
+        range: INBOX_EPISODES_PER_SHOW,
+      });
+      return episodes.map(episode => ({ episode, show }));
+    } catch (error) {
+      console.warn(`Failed to load inbox episodes for show ${show.id}:`, error);
+      return [];
+    }
+  }));
+
+  const byId = new Map();
+  results.flat().forEach(({ episode, show }) => {
+    if (!episode || byId.has(episode.id)) return;
+    const airedAt = episode.airingDate ? new Date(episode.airingDate).getTime() : 0;
+    byId.set(episode.id, {
+      ...episode,
+      // EpisodeItem reads the show name from here
+      show: episode.show || { id: show.id, label: show.label },
+      unseen: airedAt > show.followedAt && !seen.has(String(episode.id)),
+    });
+  });
+
+  return [...byId.values()].sort((a, b) => (
+    new Date(b.airingDate || 0).getTime() - new Date(a.airingDate || 0).getTime()
+  ));
+};
+
+/**
+ * Add a listener for subscription or seen-state changes
+ * @param {function} listener - Called with { type, episodeIds }: type is a
+ *   SUBSCRIPTION_CHANGES value, episodeIds is set for SEEN
+ * @returns {function} Unsubscribe function
+ */
+export const addListener = (listener) => {
+  if (typeof listener !== 'function') return undefined;
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter(l => l !== listener);
+  };
+};
+
+export default {
+  SUBSCRIPTIONS_KEYS,
+  SUBSCRIPTION_CHANGES,
+  getSubscriptions,
+  isFollowing,
+  followShow,
+  unfollowShow,
+  getSeenEpisodeIds,
+  markEpisodesSeen,
+  applySeenEpisodes,
+  getInbox,
+  addListener,
+};